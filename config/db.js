@@ -1,39 +1,36 @@
 const mongoose = require('mongoose');
+const logger = require('../utils/logger').child({ component: 'db' });
 
 const connectDB = async () => {
   try {
-    console.log('\n=== Database Connection ===');
-    console.log(' Connecting to MongoDB...');
+    logger.info('Connecting to MongoDB');
     
     const conn = await mongoose.connect(process.env.MONGODB_URI, {
       useNewUrlParser: true,
       useUnifiedTopology: true,
     });
 
-    console.log(' MongoDB Connected:');
-    console.log(`   Host: ${conn.connection.host}`);
-    console.log(`   Database: ${conn.connection.name}`);
-    console.log(`   Port: ${conn.connection.port}`);
-    console.log('=== End Database Connection ===\n');
+    logger.info('MongoDB connected', {
+      host: conn.connection.host,
+      database: conn.connection.name,
+      port: conn.connection.port
+    });
 
     // Log database events
     mongoose.connection.on('error', (err) => {
-      console.error('\n MongoDB Error:', err);
+      logger.error('MongoDB error', { err });
     });
 
     mongoose.connection.on('disconnected', () => {
-      console.log('\n MongoDB Disconnected');
+      logger.warn('MongoDB disconnected');
     });
 
     mongoose.connection.on('reconnected', () => {
-      console.log('\n MongoDB Reconnected');
+      logger.info('MongoDB reconnected');
     });
 
   } catch (error) {
-    console.error('\n Database Connection Error:');
-    console.error('Message:', error.message);
-    console.error('Stack:', error.stack);
-    console.log('=== End Database Error ===\n');
+    logger.error('Database connection error', { err: error });
     process.exit(1);
   }
 };
@@ -1,20 +0,0 @@
-const User = require('../models/User');
-
-module.exports = async (req, res, next) => {
-  try {
-    const user = await User.findById(req.user.id).select('role');
-    
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-
-    if (user.role !== 'admin') {
-      return res.status(403).json({ message: 'Access denied. Admin privileges required.' });
-    }
-
-    next();
-  } catch (error) {
-    console.error('Admin middleware error:', error);
-    res.status(500).json({ message: 'Server error checking admin status' });
-  }
-};
@@ -1,50 +1,47 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const clock = require('../utils/clock');
+const logger = require('../utils/logger');
+
+const log = logger.child({ component: 'auth' });
 
 module.exports = async (req, res, next) => {
-  console.log('\n=== Auth Middleware ===');
-  console.log('🔑 Checking authentication...');
-  
   try {
     // Get token from header
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
     if (!token) {
-      console.log('❌ No token provided');
+      log.debug('No token provided');
       return res.status(401).json({ message: 'No authentication token, access denied' });
     }
 
-    console.log('🔍 Verifying token...');
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    console.log('✅ Token verified successfully');
-    console.log('👤 User ID:', decoded.id);
+
+    // Tokens are tied to a session so they can be revoked before they expire
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+    if (!session || !session.isActive(clock.now()) || session.user.toString() !== decoded.id) {
+      log.info('Session revoked or expired', { userId: decoded.id, sessionId: decoded.sid });
+      return res.status(401).json({ message: 'Session has been revoked or expired' });
+    }
 
     // Get user from database
-    console.log('🔍 Finding user in database...');
     const user = await User.findById(decoded.id).select('-password');
     
     if (!user) {
-      console.log('❌ User not found in database');
+      log.info('User not found', { userId: decoded.id });
       return res.status(401).json({ message: 'User not found' });
     }
 
-    console.log('✅ User found:', {
-      id: user._id,
-      name: user.name,
-      email: user.email,
-      role: user.role
-    });
-
-    // Add user to request
+    // Add user and session to request, and the user to later log lines
     req.user = user;
-    console.log('=== End Auth Middleware ===\n');
+    req.authSession = session;
+    logger.setContext({ userId: user.id });
+    log.debug('Authenticated', { role: user.role, sessionId: session.id });
     next();
   } catch (error) {
-    console.error('\n🚨 Auth Error:');
-    console.error('Message:', error.message);
-    console.error('Stack:', error.stack);
-    console.log('=== End Auth Error ===\n');
+    log.info('Token is invalid or expired', { err: { name: error.name, message: error.message } });
     res.status(401).json({ message: 'Token is invalid or expired' });
   }
 };
@@ -0,0 +1,58 @@
+const OpenApiValidator = require('express-openapi-validator');
+const apiSpec = require('../openapi');
+
+// Request validation against the OpenAPI document (see openapi/).
+// Unknown body fields are stripped by default; set OPENAPI_UNKNOWN_FIELDS=reject to answer them with 400.
+// In development responses are checked too, so the document stays in step with the routes.
+const UNKNOWN_FIELDS_MODE = process.env.OPENAPI_UNKNOWN_FIELDS === 'reject' ? 'reject' : 'strip';
+const VALIDATE_RESPONSES = process.env.NODE_ENV === 'development';
+
+const validator = OpenApiValidator.middleware({
+  apiSpec,
+  validateRequests: {
+    removeAdditional: UNKNOWN_FIELDS_MODE === 'strip',
+    allowUnknownQueryParameters: UNKNOWN_FIELDS_MODE === 'strip'
+  },
+  validateResponses: VALIDATE_RESPONSES,
+  // Authentication stays with middleware/auth, uploads with multer
+  validateSecurity: false,
+  fileUploader: false
+});
+
+// Response validation sees the object given to res.json, so turn Mongoose documents,
+// ObjectIds and Dates into the JSON the client will receive first
+const serializeResponses = (req, res, next) => {
+  const json = res.json;
+  res.json = function (body) {
+    return json.call(this, body === undefined ? body : JSON.parse(JSON.stringify(body)));
+  };
+  next();
+};
+
+// "/body/venue" -> { location: 'body', path: 'venue' }, like express-validator errors
+const toValidationIssue = ({ path = '', message }) => {
+  const [location, ...field] = path.replace(/^\//, '').split('/');
+  return { type: 'field', msg: message, path: field.join('.'), location };
+};
+
+// Answer invalid requests the way the routes do; anything else goes to the app's error handler
+const handleValidationError = (err, req, res, next) => {
+  const fromValidator = Object.values(OpenApiValidator.error).some(ErrorClass => err instanceof ErrorClass);
+  if (!fromValidator || err.status >= 500) {
+    return next(err);
+  }
+
+  if (err.headers) {
+    res.set(err.headers);
+  }
+  if (err.status === 400) {
+    return res.status(400).json({ errors: err.errors.map(toValidationIssue) });
+  }
+  res.status(err.status).json({ message: err.message });
+};
+
+module.exports = {
+  UNKNOWN_FIELDS_MODE,
+  validateOpenApi: VALIDATE_RESPONSES ? [validator, serializeResponses] : validator,
+  handleValidationError
+};
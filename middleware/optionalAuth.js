@@ -0,0 +1,10 @@
+const auth = require('./auth');
+
+// Authenticate when an Authorization header is sent, otherwise continue anonymously.
+// For public routes that show more to signed-in users (e.g. drafts to their organizers).
+module.exports = (req, res, next) => {
+  if (!req.header('Authorization')) {
+    return next();
+  }
+  return auth(req, res, next);
+};
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const {
+  hasPermission,
+  isEventOwner,
+  canManageEvent,
+  PERMISSIONS
+} = require('../utils/permissions');
+const logger = require('../utils/logger').child({ component: 'permissions' });
+
+// Allow the request if the user has any of the given permissions. Use after auth.
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (permissions.some(permission => hasPermission(req.user, permission))) {
+    return next();
+  }
+  res.status(403).json({ message: 'Access denied. Insufficient permissions.' });
+};
+
+// Allow the request if the user may manage the event in req.params[paramName].
+// With ownerOnly, co-organizers are not enough (e.g. for changing co-organizers).
+const requireEventAccess = (paramName = 'id', { ownerOnly = false } = {}) => async (req, res, next) => {
+  try {
+    const eventId = req.params[paramName];
+    if (!mongoose.isValidObjectId(eventId)) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const event = await Event.findById(eventId).select('creator coOrganizers');
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const allowed = ownerOnly
+      ? hasPermission(req.user, PERMISSIONS.EVENTS_MANAGE_ANY) ||
+        (hasPermission(req.user, PERMISSIONS.EVENTS_MANAGE_OWN) && isEventOwner(req.user, event))
+      : canManageEvent(req.user, event);
+
+    if (!allowed) {
+      return res.status(403).json({ message: 'Access denied. You cannot manage this event.' });
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Event permission middleware error', { err: error });
+    res.status(500).json({ message: 'Server error checking permissions' });
+  }
+};
+
+module.exports = { requirePermission, requireEventAccess };
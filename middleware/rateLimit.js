@@ -0,0 +1,66 @@
+const RateLimit = require('../models/RateLimit');
+const clock = require('../utils/clock');
+const logger = require('../utils/logger').child({ component: 'rate-limit' });
+
+// Count a hit for the key and return the counter. Starting a new window when the
+// previous one ended happens in the same update, so concurrent hits are never lost.
+const hit = (key, windowMs, now) => RateLimit.findOneAndUpdate(
+  { key },
+  [
+    {
+      $set: {
+        expired: { $lte: [{ $ifNull: ['$expiresAt', new Date(0)] }, now] }
+      }
+    },
+    {
+      $set: {
+        count: { $cond: ['$expired', 1, { $add: ['$count', 1] }] },
+        expiresAt: { $cond: ['$expired', new Date(now.getTime() + windowMs), '$expiresAt'] }
+      }
+    },
+    { $unset: 'expired' }
+  ],
+  { upsert: true, new: true }
+);
+
+// Answer 429 with a Retry-After header (in seconds)
+const sendTooManyRequests = (res, retryAfterMs, message) => {
+  const retryAfter = Math.max(Math.ceil(retryAfterMs / 1000), 1);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ message, retryAfter });
+};
+
+// Allow at most `max` requests per `windowMs` for each key. `key` picks what is
+// limited (the client IP by default); requests without a key are not limited.
+// Counter failures are logged and let the request through.
+const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  key = req => req.ip,
+  message = 'Too many requests, please try again later'
+}) => async (req, res, next) => {
+  const value = key(req);
+  if (!value) {
+    return next();
+  }
+
+  try {
+    const now = clock.now();
+    const counter = await hit(`${name}:${String(value).toLowerCase()}`, windowMs, now);
+
+    res.set('X-RateLimit-Limit', String(max));
+    res.set('X-RateLimit-Remaining', String(Math.max(max - counter.count, 0)));
+
+    if (counter.count > max) {
+      logger.warn('Rate limit exceeded', { limit: name, ip: req.ip });
+      return sendTooManyRequests(res, counter.expiresAt - now, message);
+    }
+  } catch (error) {
+    logger.error('Rate limit error', { err: error });
+  }
+
+  next();
+};
+
+module.exports = { rateLimit, sendTooManyRequests };
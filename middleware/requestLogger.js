@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const log = logger.child({ component: 'http' });
+
+// Reuse a caller-supplied ID (e.g. from a load balancer) when it looks safe to echo back
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Route template (e.g. /api/calendar/:token.ics) so secrets in URLs stay out of logs
+const routePath = (req) => (
+  req.route ? req.baseUrl + req.route.path : req.originalUrl.split('?')[0]
+);
+
+// Give every request an ID, return it in X-Request-Id and attach it to every log line
+// written while handling the request. Logs one summary line per response, plus the
+// redacted headers and body at debug level. Mount before the body parser so
+// malformed bodies are logged with an ID too.
+module.exports = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const start = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  logger.runWithContext({ requestId }, () => {
+    // 'finish' may fire outside the request's async context, so pass the ID explicitly
+    res.on('finish', () => {
+      const fields = {
+        requestId,
+        method: req.method,
+        path: routePath(req),
+        status: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e6),
+        userId: req.user ? req.user.id : undefined,
+        ip: req.ip
+      };
+
+      // The raw path is left out since some URLs carry secrets (calendar feed tokens)
+      log.debug('Request details', {
+        requestId,
+        query: req.query,
+        headers: req.headers,
+        body: req.body
+      });
+
+      if (res.statusCode >= 500) {
+        log.error('Request failed', fields);
+      } else if (res.statusCode >= 400) {
+        log.warn('Request completed', fields);
+      } else {
+        log.info('Request completed', fields);
+      }
+    });
+
+    next();
+  });
+};
@@ -0,0 +1,64 @@
+const { body } = require('express-validator');
+const { isValidTimeZone } = require('../utils/time');
+
+// Validation of event fields, shared by the event management routes and the import
+
+// Longest event, one week
+const MAX_DURATION_MINUTES = 7 * 24 * 60;
+
+const toMinutes = (time) => time.split(':').reduce((hours, minutes) => Number(hours) * 60 + Number(minutes));
+
+// Fields of a new event or a full update
+const validateEvent = [
+  body('title').trim().notEmpty().withMessage('Title is required'),
+  body('description').trim().notEmpty().withMessage('Description is required'),
+  body('date').isISO8601().withMessage('Valid date is required'),
+  body('time').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid time in HH:MM format is required'),
+  // Events booked into a venue default to the venue's label as their location
+  body('location').if((value, { req }) => !req.body.venue).trim().notEmpty().withMessage('Location is required'),
+  body('venue').optional({ values: 'null' }).isMongoId().withMessage('Invalid venue ID'),
+  body('capacity').isInt({ min: 1 }).withMessage('Capacity must be at least 1'),
+  body('type').isIn(['Academic', 'Social', 'Sports', 'Cultural', 'Workshop', 'Conference']).withMessage('Invalid event type'),
+  body('timezone').optional().custom(isValidTimeZone).withMessage('Invalid timezone'),
+  // The end is an HH:MM time on the same day or a duration; without either events last an hour
+  body('endTime').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid end time in HH:MM format is required')
+    .custom((value, { req }) => toMinutes(value) > toMinutes(req.body.time || '00:00'))
+    .withMessage('End time must be after start time'),
+  body('durationMinutes').optional().isInt({ min: 1, max: MAX_DURATION_MINUTES })
+    .withMessage(`Duration must be between 1 and ${MAX_DURATION_MINUTES} minutes`)
+    .custom((value, { req }) => req.body.endTime === undefined)
+    .withMessage('Give either endTime or durationMinutes, not both'),
+];
+
+// Fields of a partial update; only the fields given are checked
+const validateEventPatch = [
+  body('title').optional().trim().notEmpty().withMessage('Title is required'),
+  body('description').optional().trim().notEmpty().withMessage('Description is required'),
+  body('date').optional().isISO8601().withMessage('Valid date is required'),
+  body('time').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid time in HH:MM format is required'),
+  body('location').optional().trim().notEmpty().withMessage('Location is required'),
+  body('venue').optional({ values: 'null' }).isMongoId().withMessage('Invalid venue ID'),
+  body('capacity').optional().isInt({ min: 1 }).withMessage('Capacity must be at least 1'),
+  body('type').optional().isIn(['Academic', 'Social', 'Sports', 'Cultural', 'Workshop', 'Conference']).withMessage('Invalid event type'),
+  body('timezone').optional().custom(isValidTimeZone).withMessage('Invalid timezone'),
+  // Without a new start time the event's own start is checked when it is saved
+  body('endTime').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid end time in HH:MM format is required')
+    .custom((value, { req }) => req.body.time === undefined || toMinutes(value) > toMinutes(req.body.time))
+    .withMessage('End time must be after start time'),
+  body('durationMinutes').optional().isInt({ min: 1, max: MAX_DURATION_MINUTES })
+    .withMessage(`Duration must be between 1 and ${MAX_DURATION_MINUTES} minutes`)
+    .custom((value, { req }) => req.body.endTime === undefined)
+    .withMessage('Give either endTime or durationMinutes, not both'),
+];
+
+// Initial status of new events: drafts unless status is "published" or publishAt is given
+const validateLifecycle = [
+  body('status').optional().isIn(['draft', 'published']).withMessage('New events must be draft or published'),
+  body('publishAt').optional({ values: 'null' }).isISO8601().withMessage('publishAt must be a valid date'),
+];
+
+module.exports = {
+  validateEvent,
+  validateEventPatch,
+  validateLifecycle
+};
@@ -0,0 +1,9 @@
+// Requires a verified email address; runs after auth, which loaded req.user.
+// Accounts created before verification existed have no emailVerified value and are let through.
+module.exports = (req, res, next) => {
+  if (req.user.emailVerified === false) {
+    return res.status(403).json({ message: 'Please verify your email address first' });
+  }
+
+  next();
+};
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Append-only record of administrative and registration actions.
+// Entries are never updated or deleted by the application; MongoDB removes
+// them through the TTL index once expiresAt (set from the retention setting) passes.
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: {
+    type: String
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required']
+  },
+  targetType: {
+    type: String,
+    required: [true, 'Target type is required'],
+    enum: ['Event', 'EventSeries', 'User', 'Feedback', 'Venue', 'Webhook']
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // User affected by a registration action on an event target
+  subjectUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Changed fields as { field: { from, to } }
+  diff: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  expiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Refuse in-place changes so the log stays append-only
+const rejectMutation = function(next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'],
+  rejectMutation
+);
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
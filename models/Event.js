@@ -1,4 +1,12 @@
 const mongoose = require('mongoose');
+const clock = require('../utils/clock');
+const {
+  DEFAULT_TIMEZONE,
+  DEFAULT_DURATION_MINUTES,
+  isValidTimeZone,
+  zonedTimeToUtc
+} = require('../utils/time');
+const { EVENT_STATUSES } = require('../utils/eventStatus');
 
 const eventSchema = new mongoose.Schema({
   title: {
@@ -20,11 +28,31 @@ const eventSchema = new mongoose.Schema({
     required: [true, 'Time is required'],
     match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Please enter a valid time in HH:MM format']
   },
+  // IANA timezone that date/time are expressed in
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: [isValidTimeZone, 'Please enter a valid IANA timezone']
+  },
+  // UTC instants derived from date/time/timezone, used for all time-based queries
+  startsAt: {
+    type: Date,
+    index: true
+  },
+  endsAt: {
+    type: Date,
+    index: true
+  },
   location: {
     type: String,
     required: [true, 'Location is required'],
     trim: true
   },
+  // Booked room, if any; location then defaults to the venue's label
+  venue: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Venue'
+  },
   type: {
     type: String,
     required: [true, 'Event type is required'],
@@ -40,6 +68,48 @@ const eventSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Creator is required']
   },
+  // Organizers who may manage this event alongside its creator
+  coOrganizers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Recurring series this event is an occurrence of
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EventSeries',
+    index: true
+  },
+  // Lifecycle state, see utils/eventStatus
+  status: {
+    type: String,
+    enum: EVENT_STATUSES,
+    default: 'draft'
+  },
+  // When a draft is scheduled to be published
+  publishAt: {
+    type: Date
+  },
+  publishedAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancellationReason: {
+    type: String,
+    trim: true
+  },
+  completedAt: {
+    type: Date
+  },
+  // Fields edited on this occurrence alone; series-wide edits leave them alone
+  overriddenFields: [{
+    type: String
+  }],
   registrations: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -49,6 +119,28 @@ const eventSchema = new mongoose.Schema({
     registeredAt: {
       type: Date,
       default: Date.now
+    },
+    checkedInAt: {
+      type: Date
+    },
+    checkedInBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    checkInMethod: {
+      type: String,
+      enum: ['qr', 'manual']
+    }
+  }],
+  waitlist: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
     }
   }]
 }, {
@@ -57,6 +149,87 @@ const eventSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+eventSchema.index({ type: 1, startsAt: 1 });
+eventSchema.index(
+  { title: 'text', description: 'text', location: 'text' },
+  { name: 'EventTextIndex', weights: { title: 10, location: 3, description: 1 } }
+);
+eventSchema.index({ 'registrations.user': 1, startsAt: -1 });
+eventSchema.index({ status: 1, publishAt: 1 });
+eventSchema.index({ venue: 1, startsAt: 1 });
+
+// Recompute startsAt/endsAt from date, time and timezone, keeping the current duration
+eventSchema.methods.syncSchedule = function() {
+  const duration = this.startsAt && this.endsAt
+    ? this.endsAt.getTime() - this.startsAt.getTime()
+    : DEFAULT_DURATION_MINUTES * 60 * 1000;
+
+  // An explicitly supplied endsAt wins over shifting the old one
+  const keepEndsAt = this.endsAt && this.isModified('endsAt') && !this.isModified('startsAt');
+
+  this.startsAt = zonedTimeToUtc(this.date, this.time, this.timezone || DEFAULT_TIMEZONE);
+  if (!keepEndsAt) {
+    this.endsAt = new Date(this.startsAt.getTime() + duration);
+  }
+};
+
+// Set endsAt from an HH:MM end time on the event's date or a duration in minutes.
+// Call after date, time and timezone are set; the next validation keeps the result.
+eventSchema.methods.setEnd = function({ endTime, durationMinutes }) {
+  this.syncSchedule();
+  if (durationMinutes) {
+    this.endsAt = new Date(this.startsAt.getTime() + Number(durationMinutes) * 60 * 1000);
+  } else if (endTime) {
+    this.endsAt = zonedTimeToUtc(this.date, endTime, this.timezone || DEFAULT_TIMEZONE);
+  }
+};
+
+eventSchema.pre('validate', function(next) {
+  if (!this.date || !this.time || !isValidTimeZone(this.timezone || DEFAULT_TIMEZONE)) {
+    return next();
+  }
+
+  if (!this.startsAt || this.isModified('date') || this.isModified('time') || this.isModified('timezone')) {
+    this.syncSchedule();
+  }
+
+  if (this.endsAt && this.endsAt < this.startsAt) {
+    this.invalidate('endsAt', 'End time must be after start time');
+  }
+
+  next();
+});
+
+// Query helpers: Event.find().upcoming(now) / Event.find().past(now)
+eventSchema.query.upcoming = function(now) {
+  return this.where({ startsAt: { $gt: now } });
+};
+
+eventSchema.query.past = function(now) {
+  return this.where({ startsAt: { $lte: now } });
+};
+
+// Whether users can register or join the waitlist at the given instant
+eventSchema.methods.isOpenForRegistration = function(now) {
+  return this.status === 'published' && !this.hasStarted(now);
+};
+
+// Whether the event has started at the given instant
+eventSchema.methods.hasStarted = function(now) {
+  return this.startsAt <= now;
+};
+
+// Whether the event is over at the given instant (events without an end count as over once started)
+eventSchema.methods.hasEnded = function(now) {
+  return (this.endsAt || this.startsAt) <= now;
+};
+
+// Virtual for the event's length in minutes
+eventSchema.virtual('durationMinutes').get(function() {
+  if (!this.startsAt || !this.endsAt) return null;
+  return Math.round((this.endsAt - this.startsAt) / 60000);
+});
+
 // Virtual for checking if event is full
 eventSchema.virtual('isFull').get(function() {
   return this.registrations.length >= this.capacity;
@@ -67,4 +240,35 @@ eventSchema.virtual('availableSpots').get(function() {
   return Math.max(0, this.capacity - this.registrations.length);
 });
 
+// Virtual for number of registered users who checked in
+eventSchema.virtual('checkedInCount').get(function() {
+  if (!this.registrations) return 0;
+  return this.registrations.filter(reg => reg.checkedInAt).length;
+});
+
+// Virtual for registered users who never checked in (only counted once the event is over)
+eventSchema.virtual('noShowCount').get(function() {
+  if (!this.registrations || !this.endsAt || this.endsAt > clock.now()) return 0;
+  return this.registrations.length - this.checkedInCount;
+});
+
+// Virtual for share of registered users who checked in, from 0 to 1
+eventSchema.virtual('attendanceRate').get(function() {
+  if (!this.registrations || this.registrations.length === 0) return 0;
+  return Math.round((this.checkedInCount / this.registrations.length) * 100) / 100;
+});
+
+// Virtual for number of users waiting for a seat
+eventSchema.virtual('waitlistCount').get(function() {
+  return this.waitlist ? this.waitlist.length : 0;
+});
+
+// 1-based position of a user in the waitlist, or null if not waiting
+eventSchema.methods.waitlistPosition = function(userId) {
+  const index = this.waitlist.findIndex(
+    entry => entry.user.toString() === userId.toString()
+  );
+  return index === -1 ? null : index + 1;
+};
+
 module.exports = mongoose.model('Event', eventSchema);
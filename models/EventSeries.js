@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('../utils/time');
+const { FREQUENCIES, formatRRule } = require('../utils/recurrence');
+
+// Template and recurrence rule for a group of recurring events.
+// Each occurrence is a regular Event document pointing back here through Event.series.
+const eventSeriesSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    required: [true, 'Description is required'],
+    trim: true
+  },
+  time: {
+    type: String,
+    required: [true, 'Time is required'],
+    match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Please enter a valid time in HH:MM format']
+  },
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: [isValidTimeZone, 'Please enter a valid IANA timezone']
+  },
+  location: {
+    type: String,
+    required: [true, 'Location is required'],
+    trim: true
+  },
+  venue: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Venue'
+  },
+  type: {
+    type: String,
+    required: [true, 'Event type is required'],
+    enum: ['Academic', 'Social', 'Sports', 'Cultural', 'Workshop', 'Conference']
+  },
+  capacity: {
+    type: Number,
+    min: [1, 'Capacity must be at least 1'],
+    required: [true, 'Capacity is required']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  recurrence: {
+    freq: {
+      type: String,
+      enum: FREQUENCIES,
+      required: [true, 'Recurrence frequency is required']
+    },
+    interval: {
+      type: Number,
+      min: 1,
+      default: 1
+    },
+    byWeekday: [{
+      type: Number,
+      min: 0,
+      max: 6
+    }],
+    count: {
+      type: Number,
+      min: 1
+    },
+    until: {
+      type: Date
+    },
+    exceptions: [{
+      type: Date
+    }]
+  },
+  creator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for the rule in RRULE notation
+eventSeriesSchema.virtual('rrule').get(function() {
+  return this.recurrence && this.recurrence.freq ? formatRRule(this.recurrence) : undefined;
+});
+
+module.exports = mongoose.model('EventSeries', eventSeriesSchema);
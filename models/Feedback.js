@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// One attendee's rating of an event after it ended. Hidden feedback keeps
+// counting towards rating stats; only its comment is withheld from the public.
+const feedbackSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Event is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number'
+    }
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Comment cannot be more than 2000 characters']
+  },
+  // Whether the user checked in to the event
+  attended: {
+    type: Boolean,
+    default: false
+  },
+  hidden: {
+    type: Boolean,
+    default: false
+  },
+  hiddenAt: {
+    type: Date
+  },
+  hiddenBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  hiddenReason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// At most one feedback per user and event
+feedbackSchema.index({ event: 1, user: 1 }, { unique: true });
+feedbackSchema.index({ event: 1, createdAt: -1 });
+feedbackSchema.index({ hidden: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Feedback', feedbackSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Request counter for one rate limit key (e.g. "login:ip:1.2.3.4") in a fixed window.
+// Kept in MongoDB so limits hold across restarts and multiple server instances.
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let MongoDB drop counters once their window ends
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// A login session. Access tokens carry the session id (sid) and are only accepted
+// while the session is active; the refresh token is stored hashed and rotated on use.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hash of the refresh token that was rotated out, used to detect token reuse
+  previousTokenHash: {
+    type: String,
+    select: false
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  },
+  deviceName: {
+    type: String,
+    trim: true
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB drop sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function(now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// One-time token for account flows (password reset, email verification).
+// Only a SHA-256 hash of the token is stored.
+const tokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    index: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Token type is required'],
+    enum: ['password_reset', 'email_verification']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB drop tokens once they expire
+tokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Token', tokenSchema);
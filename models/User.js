@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { ROLES } = require('../utils/permissions');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -20,9 +22,16 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters']
   },
+  // Left unset on accounts that predate email verification
+  emailVerified: {
+    type: Boolean
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLES,
     default: 'user'
   },
   preferences: [{
@@ -33,6 +42,44 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Event'
   }],
+  // Secret for the personal calendar feed URL
+  calendarToken: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
+  },
+  // Events dropped from the user's calendar, kept so feeds can publish them as cancelled
+  calendarCancellations: [{
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event'
+    },
+    title: String,
+    location: String,
+    startsAt: Date,
+    endsAt: Date,
+    cancelledAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Login lockout state, see utils/loginLockout
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date
+  },
+  lockedUntil: {
+    type: Date,
+    index: true
+  },
+  lockCount: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -62,4 +109,10 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
+// Generate a new calendar feed token, invalidating the previous feed URL
+userSchema.methods.rotateCalendarToken = function() {
+  this.calendarToken = crypto.randomBytes(24).toString('hex');
+  return this.calendarToken;
+};
+
 module.exports = mongoose.model('User', userSchema);
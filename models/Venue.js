@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('../utils/time');
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// A bookable room. Events reference it through Event.venue; the opening hours
+// bound the free slots reported by the availability endpoint.
+const venueSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true
+  },
+  building: {
+    type: String,
+    trim: true
+  },
+  capacity: {
+    type: Number,
+    min: [1, 'Capacity must be at least 1'],
+    required: [true, 'Capacity is required']
+  },
+  // e.g. wheelchair_access, hearing_loop, step_free
+  accessibility: [{
+    type: String,
+    trim: true
+  }],
+  // e.g. projector, microphone, whiteboard
+  equipment: [{
+    type: String,
+    trim: true
+  }],
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: [isValidTimeZone, 'Please enter a valid IANA timezone']
+  },
+  opensAt: {
+    type: String,
+    default: '08:00',
+    match: [TIME_PATTERN, 'Please enter a valid time in HH:MM format']
+  },
+  closesAt: {
+    type: String,
+    default: '22:00',
+    match: [TIME_PATTERN, 'Please enter a valid time in HH:MM format']
+  },
+  // Inactive venues stay on past events but cannot be booked
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+venueSchema.index({ name: 1, building: 1 }, { unique: true });
+
+venueSchema.pre('validate', function(next) {
+  const minutes = time => time.split(':').reduce((hours, mins) => Number(hours) * 60 + Number(mins));
+  if (TIME_PATTERN.test(this.opensAt) && TIME_PATTERN.test(this.closesAt) &&
+      minutes(this.closesAt) <= minutes(this.opensAt)) {
+    this.invalidate('closesAt', 'Closing time must be after opening time');
+  }
+  next();
+});
+
+// Display name used as the event location, e.g. "Room 101, Science Building"
+venueSchema.virtual('label').get(function() {
+  return this.building ? `${this.name}, ${this.building}` : this.name;
+});
+
+module.exports = mongoose.model('Venue', venueSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// An outgoing webhook endpoint. Deliveries are signed with the secret, which is
+// only returned when the webhook is created or the secret is rotated.
+const webhookSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'URL is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  // Change types to deliver (see utils/webhooks); '*' subscribes to all of them
+  events: {
+    type: [{
+      type: String,
+      enum: [
+        'event.created', 'event.updated', 'event.published', 'event.cancelled', 'event.completed', 'event.deleted',
+        'registration.created', 'registration.cancelled', '*'
+      ]
+    }],
+    validate: {
+      validator: events => events.length > 0,
+      message: 'At least one event type is required'
+    }
+  },
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Deliveries that ran out of retries in a row; reset by any successful delivery
+  consecutiveFailures: {
+    type: Number,
+    default: 0
+  },
+  disabledAt: {
+    type: Date
+  },
+  disabledReason: {
+    type: String
+  },
+  lastDeliveryAt: {
+    type: Date
+  },
+  creator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+webhookSchema.index({ active: 1, events: 1 });
+
+module.exports = mongoose.model('Webhook', webhookSchema);
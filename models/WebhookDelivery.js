@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// One HTTP request made for a delivery
+const attemptSchema = new mongoose.Schema({
+  attemptedAt: {
+    type: Date,
+    required: true
+  },
+  // HTTP status of the response; missing when the request failed (timeout, refused, ...)
+  statusCode: {
+    type: Number
+  },
+  responseTimeMs: {
+    type: Number
+  },
+  // Start of the response body, for debugging the receiver
+  responseBody: {
+    type: String
+  },
+  error: {
+    type: String
+  }
+}, { _id: false });
+
+// A change sent (or to be sent) to a webhook. Failed attempts are retried with
+// exponential backoff until the delivery succeeds or runs out of attempts.
+// Deliveries are removed through the TTL index once expiresAt passes.
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  // The JSON body, as signed and sent
+  payload: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: [attemptSchema],
+  nextAttemptAt: {
+    type: Date
+  },
+  deliveredAt: {
+    type: Date
+  },
+  // Set on manual redeliveries
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  },
+  expiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
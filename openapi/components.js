@@ -0,0 +1,460 @@
+const Event = require('../models/Event');
+const Notification = require('../models/Notification');
+const AuditLog = require('../models/AuditLog');
+const Webhook = require('../models/Webhook');
+const { ROLES } = require('../utils/permissions');
+const { EVENT_STATUSES } = require('../utils/eventStatus');
+const { ref, arrayOf, refOrId } = require('./helpers');
+
+// Shared schemas, parameters and responses of the OpenAPI document.
+// Request bodies set additionalProperties: false so unknown fields are stripped or
+// rejected (see middleware/openapi); response schemas describe the fields clients
+// can rely on and allow others.
+
+const EVENT_TYPES = Event.schema.path('type').enumValues;
+const WEBHOOK_EVENT_TYPES = Webhook.schema.path('events').caster.enumValues;
+
+const TIME_PATTERN = '^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$';
+
+const objectId = { type: 'string', pattern: '^[0-9a-fA-F]{24}$', example: '65f1c2a9e4b0a1b2c3d4e5f6' };
+const nullableId = { ...objectId, nullable: true };
+const dateTime = { type: 'string', format: 'date-time' };
+const optionalDateTime = { ...dateTime, nullable: true };
+const time = { type: 'string', pattern: TIME_PATTERN, example: '18:30' };
+const count = { type: 'integer', minimum: 0 };
+
+// Event fields accepted when creating or editing an event
+const eventFields = {
+  title: { type: 'string', minLength: 1 },
+  description: { type: 'string', minLength: 1 },
+  date: { type: 'string', description: 'ISO 8601 date of the (first) occurrence, e.g. 2025-03-14' },
+  time: { ...time, description: 'Start time (HH:MM) in the event timezone' },
+  timezone: { type: 'string', description: 'IANA timezone, e.g. Europe/Berlin' },
+  location: { type: 'string', description: 'Required unless a venue is given, which then provides the default' },
+  venue: nullableId,
+  type: { type: 'string', enum: EVENT_TYPES },
+  capacity: { type: 'integer', minimum: 1 },
+  endTime: { ...time, description: 'End time (HH:MM) on the same day; give either endTime or durationMinutes' },
+  durationMinutes: { type: 'integer', minimum: 1, maximum: 7 * 24 * 60 }
+};
+
+const lifecycleFields = {
+  status: { type: 'string', enum: ['draft', 'published'], description: 'Defaults to draft' },
+  publishAt: { ...optionalDateTime, description: 'Schedule publishing of a draft' }
+};
+
+const requiredEventFields = ['title', 'description', 'date', 'time', 'type', 'capacity'];
+
+const venueInput = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    building: { type: 'string' },
+    capacity: { type: 'integer', minimum: 1 },
+    accessibility: { ...arrayOf({ type: 'string' }), example: ['wheelchair_access', 'hearing_loop'] },
+    equipment: { ...arrayOf({ type: 'string' }), example: ['projector', 'microphone'] },
+    timezone: { type: 'string' },
+    opensAt: time,
+    closesAt: time,
+    active: { type: 'boolean' }
+  }
+};
+
+const webhookInput = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    url: { type: 'string', format: 'uri' },
+    description: { type: 'string', maxLength: 200 },
+    events: { ...arrayOf({ type: 'string', enum: WEBHOOK_EVENT_TYPES }), minItems: 1 },
+    active: { type: 'boolean', description: 'true re-enables a disabled webhook' }
+  }
+};
+
+const schemas = {
+  ObjectId: objectId,
+  EventType: { type: 'string', enum: EVENT_TYPES },
+  // A populated reference to a document that no longer exists
+  Null: { type: 'object', nullable: true, enum: [null] },
+
+  Message: {
+    type: 'object',
+    required: ['message'],
+    properties: { message: { type: 'string' } }
+  },
+  ValidationIssue: {
+    type: 'object',
+    properties: {
+      type: { type: 'string' },
+      msg: { type: 'string' },
+      path: { type: 'string' },
+      location: { type: 'string', enum: ['body', 'query', 'params', 'headers', 'cookies'] },
+      value: {}
+    }
+  },
+  Error: {
+    type: 'object',
+    description: 'Either a message or, for invalid input, a list of validation errors. ' +
+      'Some errors add details, e.g. venue booking issues or schedule conflicts.',
+    properties: {
+      message: { type: 'string' },
+      errors: arrayOf(ref('ValidationIssue')),
+      details: arrayOf({ type: 'string' }),
+      issues: arrayOf(ref('VenueIssue')),
+      conflicts: arrayOf(ref('ScheduleConflict'))
+    }
+  },
+  Pagination: {
+    type: 'object',
+    properties: { total: count, page: { type: 'integer' }, pages: count }
+  },
+
+  UserSummary: {
+    type: 'object',
+    properties: {
+      _id: ref('ObjectId'),
+      name: { type: 'string' },
+      email: { type: 'string' },
+      role: { type: 'string', enum: ROLES }
+    }
+  },
+  AuthUser: {
+    type: 'object',
+    properties: {
+      id: ref('ObjectId'),
+      name: { type: 'string' },
+      email: { type: 'string' },
+      role: { type: 'string', enum: ROLES },
+      preferences: arrayOf({ type: 'string' }),
+      emailVerified: { type: 'boolean' }
+    }
+  },
+  AuthTokens: {
+    type: 'object',
+    properties: {
+      token: { type: 'string', description: 'Short-lived JWT access token' },
+      refreshToken: { type: 'string' },
+      user: ref('AuthUser')
+    }
+  },
+  User: {
+    type: 'object',
+    properties: {
+      _id: ref('ObjectId'),
+      name: { type: 'string' },
+      email: { type: 'string' },
+      role: { type: 'string', enum: ROLES },
+      preferences: arrayOf({ type: 'string' }),
+      emailVerified: { type: 'boolean' },
+      emailVerifiedAt: dateTime,
+      registeredEvents: arrayOf(ref('ObjectId')),
+      lockedUntil: optionalDateTime,
+      lockCount: count,
+      lastFailedLoginAt: optionalDateTime,
+      createdAt: dateTime
+    }
+  },
+  Session: {
+    type: 'object',
+    properties: {
+      id: ref('ObjectId'),
+      userAgent: { type: 'string' },
+      deviceName: { type: 'string' },
+      ip: { type: 'string' },
+      createdAt: dateTime,
+      lastUsedAt: dateTime,
+      current: { type: 'boolean' }
+    }
+  },
+
+  Registration: {
+    type: 'object',
+    properties: {
+      _id: ref('ObjectId'),
+      user: refOrId('UserSummary'),
+      registeredAt: dateTime,
+      checkedInAt: optionalDateTime,
+      checkedInBy: ref('ObjectId'),
+      checkInMethod: { type: 'string', enum: ['qr', 'manual'] }
+    }
+  },
+  WaitlistEntry: {
+    type: 'object',
+    properties: {
+      _id: ref('ObjectId'),
+      user: refOrId('UserSummary'),
+      joinedAt: dateTime,
+      position: { type: 'integer', minimum: 1 }
+    }
+  },
+  Event: {
+    type: 'object',
+    properties: {
+      _id: ref('ObjectId'),
+      title: { type: 'string' },
+      description: { type: 'string' },
+      date: dateTime,
+      time,
+      timezone: { type: 'string' },
+      startsAt: dateTime,
+      endsAt: dateTime,
+      location: { type: 'string' },
+      venue: refOrId('Venue'),
+      type: { type: 'string', enum: EVENT_TYPES },
+      capacity: { type: 'integer' },
+      creator: refOrId('UserSummary'),
+      coOrganizers: arrayOf(refOrId('UserSummary')),
+      series: nullableId,
+      status: { type: 'string', enum: EVENT_STATUSES },
+      publishAt: optionalDateTime,
+      publishedAt: optionalDateTime,
+      cancelledAt: optionalDateTime,
+      cancelledBy: nullableId,
+      cancellationReason: { type: 'string' },
+      completedAt: optionalDateTime,
+      overriddenFields: arrayOf({ type: 'string' }),
+      registrations: arrayOf(ref('Registration')),
+      waitlist: arrayOf(ref('WaitlistEntry')),
+      durationMinutes: { type: 'integer', nullable: true },
+      isFull: { type: 'boolean', nullable: true },
+      availableSpots: { type: 'integer', nullable: true },
+      checkedInCount: { type: 'integer', nullable: true },
+      noShowCount: { type: 'integer', nullable: true },
+      attendanceRate: { type: 'number', nullable: true },
+      waitlistCount: { type: 'integer', nullable: true },
+      createdAt: dateTime,
+      updatedAt: dateTime,
+      venueWarnings: {
+        ...arrayOf(ref('VenueIssue')),
+        description: 'Venue booking issues, when VENUE_BOOKING_MODE lets them through'
+      }
+    }
+  },
+  EventCreate: {
+    type: 'object',
+    additionalProperties: false,
+    required: requiredEventFields,
+    properties: { ...eventFields, ...lifecycleFields }
+  },
+  EventUpdate: {
+    type: 'object',
+    additionalProperties: false,
+    required: requiredEventFields,
+    properties: eventFields
+  },
+  EventPatch: {
+    type: 'object',
+    additionalProperties: false,
+    properties: eventFields
+  },
+  Recurrence: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      freq: { type: 'string', enum: ['daily', 'weekly', 'monthly'] },
+      interval: { type: 'integer', minimum: 1 },
+      count: { type: 'integer', minimum: 1 },
+      until: { type: 'string', description: 'Last day (YYYY-MM-DD)' },
+      byWeekday: arrayOf({ type: 'integer', minimum: 0, maximum: 6 })
+    }
+  },
+  SeriesCreate: {
+    type: 'object',
+    additionalProperties: false,
+    required: requiredEventFields,
+    properties: {
+      ...eventFields,
+      ...lifecycleFields,
+      rrule: { type: 'string', example: 'FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10' },
+      recurrence: ref('Recurrence'),
+      exceptions: { ...arrayOf({ type: 'string' }), description: 'Dates (YYYY-MM-DD) to skip' }
+    }
+  },
+  EventSeries: {
+    type: 'object',
+    properties: {
+      _id: ref('ObjectId'),
+      title: { type: 'string' },
+      description: { type: 'string' },
+      time,
+      timezone: { type: 'string' },
+      location: { type: 'string' },
+      venue: nullableId,
+      type: { type: 'string', enum: EVENT_TYPES },
+      capacity: { type: 'integer' },
+      startDate: dateTime,
+      recurrence: { type: 'object' },
+      rrule: { type: 'string' },
+      creator: refOrId('UserSummary')
+    }
+  },
+  VenueIssue: {
+    type: 'object',
+    properties: {
+      event: ref('ObjectId'),
+      date: dateTime,
+      code: { type: 'string', enum: ['venue_overlap', 'venue_capacity'] },
+      message: { type: 'string' }
+    }
+  },
+  ScheduleConflict: {
+    type: 'object',
+    properties: {
+      _id: ref('ObjectId'),
+      title: { type: 'string' },
+      startsAt: dateTime,
+      endsAt: dateTime,
+      location: { type: 'string' },
+      overlapMinutes: { type: 'integer' }
+    }
+  },
+
+  RatingStats: {
+    type: 'object',
+    properties: {
+      count,
+      average: { type: 'number', nullable: true },
+      distribution: { type: 'object', additionalProperties: count }
+    }
+  },
+  Feedback: {
+    type: 'object',
+    properties: {
+      _id: ref('ObjectId'),
+      event: refOrId('Event'),
+      user: refOrId('UserSummary'),
+      rating: { type: 'integer', minimum: 1, maximum: 5 },
+      comment: { type: 'string' },
+      attended: { type: 'boolean' },
+      hidden: { type: 'boolean' },
+      hiddenAt: optionalDateTime,
+      hiddenBy: refOrId('UserSummary'),
+      hiddenReason: { type: 'string' },
+      createdAt: dateTime,
+      updatedAt: dateTime
+    }
+  },
+
+  Notification: {
+    type: 'object',
+    properties: {
+      _id: ref('ObjectId'),
+      user: ref('ObjectId'),
+      type: { type: 'string', enum: Notification.schema.path('type').enumValues },
+      title: { type: 'string' },
+      message: { type: 'string' },
+      event: refOrId('Event'),
+      read: { type: 'boolean' },
+      readAt: optionalDateTime,
+      createdAt: dateTime
+    }
+  },
+  AuditLogEntry: {
+    type: 'object',
+    properties: {
+      _id: ref('ObjectId'),
+      actor: refOrId('UserSummary'),
+      actorRole: { type: 'string' },
+      action: { type: 'string', example: 'event.update' },
+      targetType: { type: 'string', enum: AuditLog.schema.path('targetType').enumValues },
+      targetId: ref('ObjectId'),
+      subjectUser: refOrId('UserSummary'),
+      before: { type: 'object', nullable: true },
+      after: { type: 'object', nullable: true },
+      diff: { type: 'object', nullable: true },
+      metadata: { type: 'object', nullable: true },
+      ip: { type: 'string' },
+      userAgent: { type: 'string' },
+      createdAt: dateTime
+    }
+  },
+
+  Venue: {
+    type: 'object',
+    properties: {
+      _id: ref('ObjectId'),
+      name: { type: 'string' },
+      building: { type: 'string' },
+      label: { type: 'string' },
+      capacity: { type: 'integer' },
+      accessibility: arrayOf({ type: 'string' }),
+      equipment: arrayOf({ type: 'string' }),
+      timezone: { type: 'string' },
+      opensAt: time,
+      closesAt: time,
+      active: { type: 'boolean' }
+    }
+  },
+  VenueCreate: { ...venueInput, required: ['name', 'capacity'] },
+  VenueUpdate: venueInput,
+
+  Webhook: {
+    type: 'object',
+    properties: {
+      _id: ref('ObjectId'),
+      url: { type: 'string' },
+      description: { type: 'string' },
+      events: arrayOf({ type: 'string', enum: WEBHOOK_EVENT_TYPES }),
+      active: { type: 'boolean' },
+      consecutiveFailures: count,
+      disabledAt: optionalDateTime,
+      disabledReason: { type: 'string' },
+      lastDeliveryAt: optionalDateTime,
+      creator: refOrId('UserSummary'),
+      createdAt: dateTime,
+      updatedAt: dateTime,
+      secret: { type: 'string', description: 'Only returned on creation and secret rotation' }
+    }
+  },
+  WebhookCreate: { ...webhookInput, required: ['url', 'events'] },
+  WebhookUpdate: webhookInput,
+  WebhookDelivery: {
+    type: 'object',
+    properties: {
+      _id: ref('ObjectId'),
+      webhook: ref('ObjectId'),
+      type: { type: 'string' },
+      payload: { type: 'string', description: 'The JSON body as sent' },
+      status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] },
+      attempts: arrayOf({
+        type: 'object',
+        properties: {
+          attemptedAt: dateTime,
+          statusCode: { type: 'integer' },
+          responseTimeMs: count,
+          responseBody: { type: 'string' },
+          error: { type: 'string' }
+        }
+      }),
+      nextAttemptAt: optionalDateTime,
+      deliveredAt: optionalDateTime,
+      redeliveryOf: ref('ObjectId'),
+      createdAt: dateTime
+    }
+  },
+
+  // Analytics reports echo the filters they were computed with
+  AnalyticsReport: {
+    type: 'object',
+    properties: {
+      filters: {
+        type: 'object',
+        properties: { from: { type: 'string' }, to: { type: 'string' }, type: { type: 'string' } }
+      }
+    }
+  }
+};
+
+const responses = {
+  Error: {
+    description: 'Error',
+    content: { 'application/json': { schema: ref('Error') } }
+  }
+};
+
+const securitySchemes = {
+  bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+};
+
+module.exports = { schemas, responses, securitySchemes };
@@ -0,0 +1,74 @@
+// Shorthands for writing the OpenAPI document (see openapi/index.js)
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const arrayOf = (items) => ({ type: 'array', items });
+
+const json = (schema) => ({ 'application/json': { schema } });
+
+// Required JSON request body unless { required: false }
+const jsonBody = (schema, { required = true } = {}) => ({ required, content: json(schema) });
+
+// Success responses by status code, plus the shared error response for everything else
+const responses = (success) => ({
+  ...Object.fromEntries(Object.entries(success).map(([status, [description, schema]]) => [
+    status,
+    schema ? { description, content: json(schema) } : { description }
+  ])),
+  default: { $ref: '#/components/responses/Error' }
+});
+
+const pathParam = (name, description) => ({
+  name,
+  in: 'path',
+  required: true,
+  description,
+  schema: { type: 'string' }
+});
+
+// Path parameter holding a document ID, so malformed IDs are answered with 400
+const idParam = (name, description) => ({ ...pathParam(name, description), schema: ref('ObjectId') });
+
+const queryParam = (name, schema, description) => ({
+  name,
+  in: 'query',
+  schema,
+  ...(description ? { description } : {})
+});
+
+// "true" / "false" query flags, compared as strings by the routes
+const flagParam = (name, description) => queryParam(name, { type: 'string', enum: ['true', 'false'] }, description);
+
+const pageParams = (defaultLimit, maxLimit) => [
+  queryParam('page', { type: 'integer', minimum: 1, default: 1 }),
+  queryParam('limit', { type: 'integer', minimum: 1, ...(maxLimit ? { maximum: maxLimit } : {}), default: defaultLimit })
+];
+
+// { <key>: [...], pagination }
+const paginated = (key, items, extra = {}) => ({
+  type: 'object',
+  properties: { [key]: arrayOf(items), pagination: ref('Pagination'), ...extra }
+});
+
+// Reference that is either an ID or, when populated, the document (null if it was deleted)
+const refOrId = (name) => ({ anyOf: [ref('ObjectId'), ref(name), ref('Null')] });
+
+const bearer = [{ bearerAuth: [] }];
+const optionalBearer = [{}, { bearerAuth: [] }];
+
+module.exports = {
+  ref,
+  arrayOf,
+  json,
+  jsonBody,
+  responses,
+  pathParam,
+  idParam,
+  queryParam,
+  flagParam,
+  pageParams,
+  paginated,
+  refOrId,
+  bearer,
+  optionalBearer
+};
@@ -0,0 +1,43 @@
+const { name, version, description } = require('../package.json');
+const components = require('./components');
+
+// The OpenAPI 3 document of everything under /api, served at /api/docs.
+// Requests are validated against it by middleware/openapi.
+
+const paths = [
+  'auth',
+  'events',
+  'analytics',
+  'webhooks',
+  'admin',
+  'dashboard',
+  'users',
+  'notifications',
+  'calendar',
+  'venues',
+  'stream',
+  'misc'
+].reduce((all, file) => ({ ...all, ...require(`./paths/${file}`) }), {});
+
+module.exports = {
+  openapi: '3.0.3',
+  info: { title: name, version, description },
+  servers: [{ url: '/api' }],
+  tags: [
+    { name: 'Auth', description: 'Accounts, sessions and tokens' },
+    { name: 'Events', description: 'Browsing, registration, waitlists and feedback' },
+    { name: 'Event management', description: 'Creating and running events (admins and organizers)' },
+    { name: 'Admin', description: 'Users, moderation, attendance and exports' },
+    { name: 'Analytics', description: 'Reports (reports:view permission)' },
+    { name: 'Webhooks', description: 'Signed outgoing webhooks (webhooks:manage permission)' },
+    { name: 'Venues', description: 'Rooms and their availability' },
+    { name: 'Users', description: "The current user's settings" },
+    { name: 'Notifications' },
+    { name: 'Dashboard' },
+    { name: 'Calendar', description: 'iCalendar feeds' },
+    { name: 'Streams', description: 'Server-Sent Events' },
+    { name: 'Misc' }
+  ],
+  paths,
+  components
+};
@@ -0,0 +1,368 @@
+const { ROLES } = require('../../utils/permissions');
+const {
+  ref, arrayOf, jsonBody, responses, idParam, queryParam, flagParam, pageParams, paginated, bearer
+} = require('../helpers');
+
+const tags = ['Admin'];
+
+const eventId = idParam('id', 'Event ID');
+const registrationParams = [idParam('eventId', 'Event ID'), idParam('userId', 'User ID')];
+
+const formatParam = queryParam('format', { type: 'string', enum: ['csv', 'xlsx'], default: 'csv' });
+const exportParams = [
+  formatParam,
+  queryParam('fields', { type: 'string' }, 'Comma-separated columns to include'),
+  queryParam('eventId', ref('ObjectId')),
+  queryParam('type', { type: 'string' }),
+  queryParam('from', { type: 'string' }, 'Events on or after this date (ISO 8601)'),
+  queryParam('to', { type: 'string' }, 'Events on or before this date (ISO 8601)')
+];
+
+const spreadsheet = (description) => ({
+  description,
+  content: {
+    'text/csv': { schema: { type: 'string' } },
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { schema: { type: 'string', format: 'binary' } }
+  }
+});
+
+const mismatch = {
+  type: 'object',
+  properties: { event: ref('ObjectId'), title: { type: 'string' }, user: ref('ObjectId'), eventExists: { type: 'boolean' } }
+};
+const overbookedEvent = {
+  type: 'object',
+  properties: { _id: ref('ObjectId'), title: { type: 'string' }, capacity: { type: 'integer' }, registrations: { type: 'integer' } }
+};
+
+module.exports = {
+  '/admin/users': {
+    get: {
+      tags,
+      summary: 'List all users',
+      security: bearer,
+      responses: responses({ 200: ['Users', arrayOf(ref('User'))] })
+    }
+  },
+  '/admin/users/locked': {
+    get: {
+      tags,
+      summary: 'Accounts currently locked after failed logins',
+      security: bearer,
+      responses: responses({ 200: ['Locked users', arrayOf(ref('User'))] })
+    }
+  },
+  '/admin/users/{id}/unlock': {
+    post: {
+      tags,
+      summary: 'Unlock an account',
+      security: bearer,
+      parameters: [idParam('id', 'User ID')],
+      responses: responses({ 200: ['Account unlocked', ref('Message')] })
+    }
+  },
+  '/admin/users/{id}/revoke-sessions': {
+    post: {
+      tags,
+      summary: "End all of a user's sessions",
+      security: bearer,
+      parameters: [idParam('id', 'User ID')],
+      responses: responses({
+        200: ['Sessions revoked', { type: 'object', properties: { message: { type: 'string' }, revoked: { type: 'integer' } } }]
+      })
+    }
+  },
+  '/admin/users/{id}/role': {
+    put: {
+      tags,
+      summary: "Change a user's role",
+      description: "The user's sessions are ended so the new role takes effect.",
+      security: bearer,
+      parameters: [idParam('id', 'User ID')],
+      requestBody: jsonBody({
+        type: 'object',
+        additionalProperties: false,
+        required: ['role'],
+        properties: { role: { type: 'string', enum: ROLES } }
+      }),
+      responses: responses({ 200: ['Updated user', ref('User')] })
+    }
+  },
+  '/admin/audit-logs': {
+    get: {
+      tags,
+      summary: 'Query the audit log, newest first',
+      security: bearer,
+      parameters: [
+        queryParam('actor', ref('ObjectId')),
+        queryParam('targetId', ref('ObjectId'), 'Entries about this document or user'),
+        queryParam('targetType', { type: 'string' }),
+        queryParam('action', { type: 'string' }, 'Comma-separated actions or prefixes such as event.*'),
+        queryParam('from', { type: 'string' }, 'ISO 8601 date'),
+        queryParam('to', { type: 'string' }, 'ISO 8601 date'),
+        ...pageParams(50)
+      ],
+      responses: responses({ 200: ['Audit log entries', paginated('entries', ref('AuditLogEntry'))] })
+    }
+  },
+  '/admin/feedback': {
+    get: {
+      tags,
+      summary: 'Feedback for moderation, newest first',
+      security: bearer,
+      parameters: [
+        queryParam('event', ref('ObjectId')),
+        flagParam('hidden'),
+        queryParam('rating', { type: 'integer', minimum: 1, maximum: 5 }, 'Only ratings up to this value'),
+        ...pageParams(50)
+      ],
+      responses: responses({ 200: ['Feedback', paginated('entries', ref('Feedback'))] })
+    }
+  },
+  '/admin/feedback/{id}/visibility': {
+    put: {
+      tags,
+      summary: 'Hide or show a feedback comment',
+      security: bearer,
+      parameters: [idParam('id', 'Feedback ID')],
+      requestBody: jsonBody({
+        type: 'object',
+        additionalProperties: false,
+        required: ['hidden'],
+        properties: { hidden: { type: 'boolean' }, reason: { type: 'string' } }
+      }),
+      responses: responses({ 200: ['Updated feedback', ref('Feedback')] })
+    }
+  },
+  '/admin/dashboard': {
+    get: {
+      tags,
+      summary: 'Event and user totals',
+      security: bearer,
+      responses: responses({
+        200: ['Totals', {
+          type: 'object',
+          properties: {
+            totalUsers: { type: 'integer' },
+            totalEvents: { type: 'integer' },
+            upcomingEvents: { type: 'integer' },
+            eventsByType: arrayOf({ type: 'object', properties: { _id: { type: 'string' }, count: { type: 'integer' } } })
+          }
+        }]
+      })
+    }
+  },
+  '/admin/events': {
+    get: {
+      tags,
+      summary: 'Events the current user can manage',
+      security: bearer,
+      responses: responses({ 200: ['Events', arrayOf(ref('Event'))] })
+    },
+    post: {
+      tags,
+      summary: 'Create an event',
+      security: bearer,
+      requestBody: jsonBody(ref('EventCreate')),
+      responses: responses({ 201: ['Created event', ref('Event')] })
+    }
+  },
+  '/admin/events/{id}': {
+    put: {
+      tags,
+      summary: 'Change some fields of an event',
+      security: bearer,
+      parameters: [eventId],
+      requestBody: jsonBody(ref('EventPatch')),
+      responses: responses({ 200: ['Updated event', ref('Event')] })
+    },
+    delete: {
+      tags,
+      summary: 'Delete a draft or an event nobody registered for',
+      security: bearer,
+      parameters: [eventId],
+      responses: responses({
+        200: ['Event deleted', { type: 'object', properties: { message: { type: 'string' }, event: ref('Event') } }]
+      })
+    }
+  },
+  '/admin/events/{id}/registrations': {
+    get: {
+      tags,
+      summary: "An event's registrations",
+      security: bearer,
+      parameters: [eventId],
+      responses: responses({ 200: ['Registrations', arrayOf(ref('Registration'))] })
+    }
+  },
+  '/admin/events/{id}/registrations/export': {
+    get: {
+      tags,
+      summary: "Download an event's registrations",
+      security: bearer,
+      parameters: [eventId, ...exportParams.filter(param => param.name !== 'eventId')],
+      responses: { ...responses({}), 200: spreadsheet('Registrations') }
+    }
+  },
+  '/admin/events/{id}/feedback/export': {
+    get: {
+      tags,
+      summary: "Download an event's feedback",
+      security: bearer,
+      parameters: [eventId, formatParam],
+      responses: { ...responses({}), 200: spreadsheet('Feedback') }
+    }
+  },
+  '/admin/events/{id}/attendance': {
+    get: {
+      tags,
+      summary: 'Attendance figures of an event',
+      security: bearer,
+      parameters: [eventId],
+      responses: responses({
+        200: ['Attendance', {
+          type: 'object',
+          properties: {
+            registered: { type: 'integer' },
+            checkedIn: { type: 'integer' },
+            noShows: { type: 'integer' },
+            attendanceRate: { type: 'number', nullable: true }
+          }
+        }]
+      })
+    }
+  },
+  '/admin/events/{id}/check-in': {
+    post: {
+      tags,
+      summary: 'Check in an attendee with the token from their QR code',
+      security: bearer,
+      parameters: [eventId],
+      requestBody: jsonBody({
+        type: 'object',
+        additionalProperties: false,
+        required: ['token'],
+        properties: { token: { type: 'string' } }
+      }),
+      responses: responses({
+        200: ['Checked in', {
+          type: 'object',
+          properties: {
+            message: { type: 'string' },
+            user: { anyOf: [ref('ObjectId'), ref('UserSummary')] },
+            checkedInAt: { type: 'string', format: 'date-time' }
+          }
+        }]
+      })
+    }
+  },
+  '/admin/events/{eventId}/registrations/{userId}/check-in': {
+    post: {
+      tags,
+      summary: 'Check in a registered user manually',
+      security: bearer,
+      parameters: registrationParams,
+      responses: responses({
+        200: ['Checked in', {
+          type: 'object',
+          properties: { message: { type: 'string' }, checkedInAt: { type: 'string', format: 'date-time' } }
+        }]
+      })
+    },
+    delete: {
+      tags,
+      summary: 'Undo a check-in',
+      security: bearer,
+      parameters: registrationParams,
+      responses: responses({ 200: ['Check-in undone', ref('Message')] })
+    }
+  },
+  '/admin/events/{id}/waitlist': {
+    get: {
+      tags,
+      summary: "An event's waitlist in order",
+      security: bearer,
+      parameters: [eventId],
+      responses: responses({ 200: ['Waitlist', arrayOf(ref('WaitlistEntry'))] })
+    },
+    put: {
+      tags,
+      summary: 'Reorder the waitlist',
+      security: bearer,
+      parameters: [eventId],
+      requestBody: jsonBody({
+        type: 'object',
+        additionalProperties: false,
+        required: ['order'],
+        properties: { order: { ...arrayOf(ref('ObjectId')), description: 'Every waitlisted user ID, in the new order' } }
+      }),
+      responses: responses({ 200: ['Reordered waitlist', arrayOf(ref('WaitlistEntry'))] })
+    }
+  },
+  '/admin/events/{eventId}/registrations/{userId}': {
+    delete: {
+      tags,
+      summary: 'Remove a user from an event',
+      security: bearer,
+      parameters: registrationParams,
+      responses: responses({ 200: ['Registration removed', ref('Message')] })
+    }
+  },
+  '/admin/registrations/reconcile': {
+    get: {
+      tags,
+      summary: 'Find registrations that differ between events and users',
+      security: bearer,
+      responses: responses({
+        200: ['Mismatches', {
+          type: 'object',
+          properties: {
+            missingFromUser: arrayOf(mismatch),
+            orphanedRegistrations: arrayOf(mismatch),
+            staleUserEntries: arrayOf(mismatch),
+            overbookedEvents: arrayOf(overbookedEvent)
+          }
+        }]
+      })
+    },
+    post: {
+      tags,
+      summary: 'Repair mismatched registrations',
+      description: 'Overbooked events are reported but not repaired.',
+      security: bearer,
+      responses: responses({
+        200: ['Repair result', {
+          type: 'object',
+          properties: {
+            repaired: {
+              type: 'object',
+              properties: {
+                addedToUsers: { type: 'integer' },
+                removedFromUsers: { type: 'integer' },
+                removedFromEvents: { type: 'integer' }
+              }
+            },
+            overbookedEvents: arrayOf(overbookedEvent)
+          }
+        }]
+      })
+    }
+  },
+  '/admin/registrations': {
+    get: {
+      tags,
+      summary: 'Registrations of every event the current user can manage',
+      security: bearer,
+      responses: responses({ 200: ['Events with their registrations', arrayOf(ref('Event'))] })
+    }
+  },
+  '/admin/registrations/export': {
+    get: {
+      tags,
+      summary: 'Download registrations, filterable by event, type and date range',
+      security: bearer,
+      parameters: exportParams,
+      responses: { ...responses({}), 200: spreadsheet('Registrations') }
+    }
+  }
+};
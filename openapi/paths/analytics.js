@@ -0,0 +1,53 @@
+const { INTERVAL_FORMATS, TOP_EVENT_SORTS } = require('../../utils/analytics');
+const { ref, responses, queryParam, bearer } = require('../helpers');
+
+const tags = ['Analytics'];
+
+// Filters shared by every report
+const filterParams = [
+  queryParam('from', { type: 'string' }, 'Start of the range (ISO 8601)'),
+  queryParam('to', { type: 'string' }, 'End of the range (ISO 8601)'),
+  queryParam('type', { type: 'string' }, 'Comma-separated event types')
+];
+
+const report = (summary, description, extraParams = []) => ({
+  get: {
+    tags,
+    summary,
+    description,
+    security: bearer,
+    parameters: [...filterParams, ...extraParams],
+    responses: responses({ 200: ['Report', ref('AnalyticsReport')] })
+  }
+});
+
+module.exports = {
+  '/admin/analytics/registrations': report(
+    'Registrations per day or week',
+    'Counted by registration time.',
+    [
+      queryParam('interval', { type: 'string', enum: Object.keys(INTERVAL_FORMATS), default: 'day' }),
+      queryParam('timezone', { type: 'string' }, 'IANA timezone the days are counted in')
+    ]
+  ),
+  '/admin/analytics/fill-rates': report(
+    'Fill rate per event, per type and overall',
+    'For events starting in the range.'
+  ),
+  '/admin/analytics/top-events': report(
+    'Top events by registrations, fill rate or check-ins',
+    'The events are returned in the events field.',
+    [
+      queryParam('by', { type: 'string', enum: Object.keys(TOP_EVENT_SORTS), default: 'registrations' }),
+      queryParam('limit', { type: 'integer', minimum: 1, maximum: 100, default: 10 })
+    ]
+  ),
+  '/admin/analytics/cancellations': report(
+    'Registration and event cancellation rates',
+    'Cancelled registrations are counted by cancellation time.'
+  ),
+  '/admin/analytics/users': report(
+    'Active users and repeat attendees',
+    'Users who registered in the range.'
+  )
+};
@@ -0,0 +1,141 @@
+const { ref, arrayOf, jsonBody, responses, idParam, bearer } = require('../helpers');
+
+const tags = ['Auth'];
+
+const strictBody = (properties, required) => jsonBody({
+  type: 'object',
+  additionalProperties: false,
+  required,
+  properties
+});
+
+const email = { type: 'string', format: 'email' };
+const password = { type: 'string', minLength: 6 };
+const deviceName = { type: 'string', description: 'Label for the new session, e.g. "Work laptop"' };
+
+module.exports = {
+  '/auth/register': {
+    post: {
+      tags,
+      summary: 'Create an account and start a session',
+      requestBody: strictBody({
+        name: { type: 'string', minLength: 1 },
+        email,
+        password,
+        preferences: { ...arrayOf(ref('EventType')), description: 'Event types the user is interested in' },
+        deviceName
+      }, ['name', 'email', 'password']),
+      responses: responses({ 200: ['Account created', ref('AuthTokens')] })
+    }
+  },
+  '/auth/login': {
+    post: {
+      tags,
+      summary: 'Log in',
+      description: 'Repeated failures lock the account for a while. Wrong passwords always answer 400; ' +
+        'the right password on a locked account answers 429.',
+      requestBody: strictBody({
+        email: { type: 'string' },
+        password: { type: 'string' },
+        deviceName
+      }, ['email', 'password']),
+      responses: responses({ 200: ['Logged in', ref('AuthTokens')] })
+    }
+  },
+  '/auth/refresh': {
+    post: {
+      tags,
+      summary: 'Exchange a refresh token for new tokens',
+      requestBody: strictBody({ refreshToken: { type: 'string' } }, ['refreshToken']),
+      responses: responses({
+        200: ['New tokens', {
+          type: 'object',
+          properties: { token: { type: 'string' }, refreshToken: { type: 'string' } }
+        }]
+      })
+    }
+  },
+  '/auth/logout': {
+    post: {
+      tags,
+      summary: 'End the session of a refresh token',
+      requestBody: jsonBody({
+        type: 'object',
+        additionalProperties: false,
+        properties: { refreshToken: { type: 'string' } }
+      }, { required: false }),
+      responses: responses({ 200: ['Logged out', ref('Message')] })
+    }
+  },
+  '/auth/logout-all': {
+    post: {
+      tags,
+      summary: 'End all sessions of the current user',
+      security: bearer,
+      responses: responses({
+        200: ['Logged out', {
+          type: 'object',
+          properties: { message: { type: 'string' }, revoked: { type: 'integer' } }
+        }]
+      })
+    }
+  },
+  '/auth/sessions': {
+    get: {
+      tags,
+      summary: "List the current user's active sessions",
+      security: bearer,
+      responses: responses({ 200: ['Sessions, most recently used first', arrayOf(ref('Session'))] })
+    }
+  },
+  '/auth/sessions/{id}': {
+    delete: {
+      tags,
+      summary: 'Revoke one of the current user\'s sessions',
+      security: bearer,
+      parameters: [idParam('id', 'Session ID')],
+      responses: responses({ 200: ['Session revoked', ref('Message')] })
+    }
+  },
+  '/auth/verify-email': {
+    post: {
+      tags,
+      summary: 'Verify an email address with the token from the verification email',
+      requestBody: strictBody({ token: { type: 'string' } }, ['token']),
+      responses: responses({ 200: ['Email verified', ref('Message')] })
+    }
+  },
+  '/auth/resend-verification': {
+    post: {
+      tags,
+      summary: 'Send the verification email again',
+      security: bearer,
+      responses: responses({ 200: ['Email sent', ref('Message')] })
+    }
+  },
+  '/auth/forgot-password': {
+    post: {
+      tags,
+      summary: 'Email a password reset link',
+      description: 'Always answers the same way, whether or not the account exists.',
+      requestBody: strictBody({ email: { type: 'string' } }, ['email']),
+      responses: responses({ 200: ['Reset link sent if the account exists', ref('Message')] })
+    }
+  },
+  '/auth/reset-password': {
+    post: {
+      tags,
+      summary: 'Set a new password with the token from the reset email',
+      requestBody: strictBody({ token: { type: 'string' }, password }, ['token', 'password']),
+      responses: responses({ 200: ['Password reset', ref('Message')] })
+    }
+  },
+  '/auth/me': {
+    get: {
+      tags,
+      summary: 'Get the current user',
+      security: bearer,
+      responses: responses({ 200: ['Current user', ref('AuthUser')] })
+    }
+  }
+};
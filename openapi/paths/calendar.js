@@ -0,0 +1,19 @@
+const { responses, pathParam } = require('../helpers');
+
+module.exports = {
+  '/calendar/{token}.ics': {
+    get: {
+      tags: ['Calendar'],
+      summary: "A user's calendar feed",
+      description: 'Authenticated by the secret token in the URL, so calendar apps can poll it.',
+      parameters: [pathParam('token', 'Calendar feed token')],
+      responses: {
+        ...responses({}),
+        200: {
+          description: 'iCalendar feed of the registered events',
+          content: { 'text/calendar': { schema: { type: 'string' } } }
+        }
+      }
+    }
+  }
+};
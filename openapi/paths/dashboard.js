@@ -0,0 +1,46 @@
+const { ref, arrayOf, responses, bearer } = require('../helpers');
+
+const tags = ['Dashboard'];
+
+module.exports = {
+  '/dashboard/admin': {
+    get: {
+      tags,
+      summary: 'Totals, upcoming events and latest registrations',
+      description: 'Needs the reports:view permission.',
+      security: bearer,
+      responses: responses({
+        200: ['Dashboard', {
+          type: 'object',
+          properties: {
+            totalEvents: { type: 'integer' },
+            totalUsers: { type: 'integer' },
+            upcomingEvents: arrayOf(ref('Event')),
+            recentRegistrations: arrayOf({
+              type: 'object',
+              properties: {
+                _id: ref('ObjectId'),
+                eventName: { type: 'string' },
+                user: ref('UserSummary'),
+                registeredAt: { type: 'string', format: 'date-time' }
+              }
+            })
+          }
+        }]
+      })
+    }
+  },
+  '/dashboard/user': {
+    get: {
+      tags,
+      summary: "The current user's preferences and upcoming registered events",
+      security: bearer,
+      responses: responses({
+        200: ['Dashboard', {
+          type: 'object',
+          properties: { preferences: arrayOf({ type: 'string' }), registeredEvents: arrayOf(ref('Event')) }
+        }]
+      })
+    }
+  }
+};
@@ -0,0 +1,470 @@
+const {
+  ref, arrayOf, json, jsonBody, responses, idParam, queryParam, flagParam, pageParams, paginated,
+  bearer, optionalBearer
+} = require('../helpers');
+
+const tags = ['Events'];
+const manageTags = ['Event management'];
+
+const eventId = idParam('id', 'Event ID');
+const dateParam = (name, description) => queryParam(name, { type: 'string' }, `${description} (ISO 8601)`);
+
+const calendarFile = {
+  description: 'iCalendar file',
+  content: { 'text/calendar': { schema: { type: 'string' } } }
+};
+
+// An event followed by extra fields computed for the current user
+const eventWith = (properties) => ({ allOf: [ref('Event'), { type: 'object', properties }] });
+
+const withVenueWarnings = (properties) => ({
+  type: 'object',
+  properties: { ...properties, venueWarnings: arrayOf(ref('VenueIssue')) }
+});
+
+const rowIssue = { type: 'object', properties: { field: { type: 'string' }, message: { type: 'string' } } };
+
+const importRow = {
+  type: 'object',
+  properties: {
+    row: { type: 'integer' },
+    status: { type: 'string', enum: ['valid', 'invalid'] },
+    errors: arrayOf(rowIssue),
+    warnings: arrayOf(rowIssue),
+    eventId: ref('ObjectId')
+  }
+};
+
+module.exports = {
+  '/events': {
+    get: {
+      tags,
+      summary: 'Search and browse published upcoming events',
+      parameters: [
+        queryParam('q', { type: 'string', maxLength: 200 }, 'Text search on title, description and location'),
+        queryParam('type', { type: 'string' }, 'Comma-separated event types'),
+        dateParam('from', 'Events on or after this date'),
+        dateParam('to', 'Events on or before this date'),
+        queryParam('weekday', { type: 'string' }, 'Comma-separated weekdays, e.g. mon,wed'),
+        queryParam('timeOfDay', { type: 'string' }, 'Comma-separated morning, afternoon, evening'),
+        queryParam('location', { type: 'string' }),
+        flagParam('hasSeats', 'Only events with free seats'),
+        queryParam('sort', { type: 'string', enum: ['soonest', 'popular', 'recent'], default: 'soonest' }),
+        ...pageParams(10, 100),
+        flagParam('collapseSeries', 'Show only the next occurrence of each series')
+      ],
+      responses: responses({
+        200: ['Matching events', paginated('events', ref('Event'), {
+          facets: {
+            type: 'object',
+            properties: { types: { type: 'object', additionalProperties: { type: 'integer' } } }
+          }
+        })]
+      })
+    }
+  },
+  '/events/recommended': {
+    get: {
+      tags,
+      summary: 'Upcoming events recommended for the current user, best match first',
+      security: bearer,
+      parameters: [queryParam('limit', { type: 'integer', minimum: 1, maximum: 50, default: 10 })],
+      responses: responses({
+        200: ['Recommended events', arrayOf(eventWith({
+          matchesPreferences: { type: 'boolean' },
+          recommendation: {
+            type: 'object',
+            properties: {
+              score: { type: 'number' },
+              reasons: arrayOf({
+                type: 'object',
+                properties: {
+                  code: { type: 'string', example: 'preferred_type' },
+                  points: { type: 'number' },
+                  message: { type: 'string' }
+                }
+              })
+            }
+          }
+        }))]
+      })
+    }
+  },
+  '/events/registered': {
+    get: {
+      tags,
+      summary: 'Upcoming events the current user is registered for',
+      security: bearer,
+      parameters: [queryParam('type', { type: 'string' })],
+      responses: responses({
+        200: ['Registered events', arrayOf(eventWith({
+          isRegistered: { type: 'boolean' },
+          registrationDate: { type: 'string', format: 'date-time', nullable: true },
+          conflictsWith: arrayOf(ref('ScheduleConflict'))
+        }))]
+      })
+    }
+  },
+  '/events/registered/conflicts': {
+    get: {
+      tags,
+      summary: "Overlapping events in the current user's schedule",
+      security: bearer,
+      responses: responses({
+        200: ['Conflicting pairs', {
+          type: 'object',
+          properties: {
+            total: { type: 'integer' },
+            conflicts: arrayOf({
+              type: 'object',
+              properties: { events: arrayOf(ref('ScheduleConflict')), overlapMinutes: { type: 'integer' } }
+            })
+          }
+        }]
+      })
+    }
+  },
+  '/events/waitlisted': {
+    get: {
+      tags,
+      summary: 'Upcoming events the current user is waitlisted for',
+      security: bearer,
+      responses: responses({
+        200: ['Waitlisted events', arrayOf(eventWith({ waitlistPosition: { type: 'integer' } }))]
+      })
+    }
+  },
+  '/events/past': {
+    get: {
+      tags,
+      summary: 'Past events the current user was registered for',
+      security: bearer,
+      responses: responses({ 200: ['Past events', arrayOf(ref('Event'))] })
+    }
+  },
+  '/events/admin': {
+    get: {
+      tags: manageTags,
+      summary: 'Events the current user can manage',
+      security: bearer,
+      parameters: [
+        queryParam('status', { type: 'string', default: 'upcoming' }, 'upcoming, past, all or a lifecycle status such as draft')
+      ],
+      responses: responses({ 200: ['Events', arrayOf(ref('Event'))] })
+    },
+    post: {
+      tags: manageTags,
+      summary: 'Create an event',
+      security: bearer,
+      requestBody: jsonBody(ref('EventCreate')),
+      responses: responses({ 201: ['Created event', ref('Event')] })
+    }
+  },
+  '/events/admin/import': {
+    post: {
+      tags: manageTags,
+      summary: 'Bulk import events from a CSV or JSON file',
+      description: 'Every row is validated. Nothing is written unless dryRun is false; imported events are drafts unless status is published.',
+      security: bearer,
+      parameters: [
+        flagParam('dryRun', 'Only validate (default true)'),
+        queryParam('status', { type: 'string', enum: ['draft', 'published'] })
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              properties: { file: { type: 'string', format: 'binary', description: 'CSV or JSON file, at most 1 MB' } }
+            }
+          },
+          ...json({
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              events: { ...arrayOf({ type: 'object' }), minItems: 1 },
+              dryRun: { type: 'boolean' },
+              status: { type: 'string', enum: ['draft', 'published'] }
+            }
+          })
+        }
+      },
+      responses: responses(Object.fromEntries(['200', '201'].map(status => [status, [
+        status === '200' ? 'Dry run result' : 'Imported',
+        {
+          type: 'object',
+          properties: {
+            dryRun: { type: 'boolean' },
+            summary: {
+              type: 'object',
+              properties: Object.fromEntries(['total', 'valid', 'invalid', 'withWarnings', 'inserted']
+                .map(key => [key, { type: 'integer' }]))
+            },
+            rows: arrayOf(importRow)
+          }
+        }
+      ]])))
+    }
+  },
+  '/events/admin/series': {
+    post: {
+      tags: manageTags,
+      summary: 'Create a recurring event series',
+      description: 'date is the first occurrence. Give either an rrule or a recurrence object.',
+      security: bearer,
+      requestBody: jsonBody(ref('SeriesCreate')),
+      responses: responses({
+        201: ['Created series', withVenueWarnings({ series: ref('EventSeries'), occurrences: arrayOf(ref('Event')) })]
+      })
+    }
+  },
+  '/events/admin/{id}': {
+    put: {
+      tags: manageTags,
+      summary: 'Edit an event, or several occurrences of its series',
+      security: bearer,
+      parameters: [
+        eventId,
+        queryParam('scope', { type: 'string', enum: ['this', 'following', 'all'], default: 'this' })
+      ],
+      requestBody: jsonBody(ref('EventUpdate')),
+      responses: responses({
+        200: ['The event, or for series scopes the updated occurrences', {
+          oneOf: [
+            ref('Event'),
+            withVenueWarnings({ updated: { type: 'integer' }, events: arrayOf(ref('Event')) })
+          ]
+        }]
+      })
+    },
+    delete: {
+      tags: manageTags,
+      summary: 'Delete a draft or an event nobody registered for',
+      security: bearer,
+      parameters: [eventId],
+      responses: responses({ 200: ['Event deleted', ref('Message')] })
+    }
+  },
+  '/events/admin/{id}/co-organizers': {
+    put: {
+      tags: manageTags,
+      summary: "Replace an event's co-organizers",
+      security: bearer,
+      parameters: [eventId],
+      requestBody: jsonBody({
+        type: 'object',
+        additionalProperties: false,
+        required: ['coOrganizers'],
+        properties: { coOrganizers: arrayOf(ref('ObjectId')) }
+      }),
+      responses: responses({ 200: ['Co-organizers', arrayOf(ref('UserSummary'))] })
+    }
+  },
+  '/events/admin/{id}/publish': {
+    post: {
+      tags: manageTags,
+      summary: 'Publish a draft now or at publishAt',
+      security: bearer,
+      parameters: [eventId, queryParam('scope', { type: 'string', enum: ['this', 'all'], default: 'this' })],
+      requestBody: jsonBody({
+        type: 'object',
+        additionalProperties: false,
+        properties: { publishAt: { type: 'string', format: 'date-time', nullable: true } }
+      }, { required: false }),
+      responses: responses({
+        200: ['The event, or for scope=all every occurrence', {
+          oneOf: [ref('Event'), { type: 'object', required: ['events'], properties: { events: arrayOf(ref('Event')) } }]
+        }]
+      })
+    }
+  },
+  '/events/admin/{id}/cancel': {
+    post: {
+      tags: manageTags,
+      summary: 'Cancel a published event',
+      security: bearer,
+      parameters: [eventId],
+      requestBody: jsonBody({
+        type: 'object',
+        additionalProperties: false,
+        required: ['reason'],
+        properties: { reason: { type: 'string', minLength: 1 } }
+      }),
+      responses: responses({ 200: ['Cancelled event', ref('Event')] })
+    }
+  },
+  '/events/admin/{id}/complete': {
+    post: {
+      tags: manageTags,
+      summary: 'Mark an event as completed',
+      security: bearer,
+      parameters: [eventId],
+      responses: responses({ 200: ['Completed event', ref('Event')] })
+    }
+  },
+  '/events/creators/{id}/ratings': {
+    get: {
+      tags,
+      summary: "Rating summary across an organizer's events",
+      parameters: [idParam('id', 'Creator (user) ID')],
+      responses: responses({
+        200: ['Ratings', { type: 'object', properties: { creator: ref('ObjectId'), ratings: ref('RatingStats') } }]
+      })
+    }
+  },
+  '/events/series/{id}': {
+    get: {
+      tags,
+      summary: 'A series with its visible occurrences',
+      security: optionalBearer,
+      parameters: [idParam('id', 'Series ID')],
+      responses: responses({
+        200: ['Series', { type: 'object', properties: { series: ref('EventSeries'), occurrences: arrayOf(ref('Event')) } }]
+      })
+    }
+  },
+  '/events/{id}': {
+    get: {
+      tags,
+      summary: 'Get an event',
+      description: 'Drafts are only visible to the people who can manage them.',
+      security: optionalBearer,
+      parameters: [eventId],
+      responses: responses({ 200: ['Event', ref('Event')] })
+    }
+  },
+  '/events/{id}/ics': {
+    get: {
+      tags,
+      summary: 'Download an event as an iCalendar file',
+      security: optionalBearer,
+      parameters: [eventId],
+      responses: { ...responses({}), 200: calendarFile }
+    }
+  },
+  '/events/{id}/check-in-token': {
+    get: {
+      tags,
+      summary: "The current user's check-in token for an event, shown as a QR code",
+      security: bearer,
+      parameters: [eventId],
+      responses: responses({
+        200: ['Check-in token', {
+          type: 'object',
+          properties: {
+            token: { type: 'string' },
+            qrPayload: { type: 'string' },
+            checkedInAt: { type: 'string', format: 'date-time', nullable: true },
+            opensAt: { type: 'string', format: 'date-time' },
+            closesAt: { type: 'string', format: 'date-time' }
+          }
+        }]
+      })
+    }
+  },
+  '/events/{id}/register': {
+    post: {
+      tags,
+      summary: 'Register for an event',
+      description: 'Needs a verified email. Depending on REGISTRATION_CONFLICT_MODE, overlaps with other ' +
+        'registrations are rejected (409) unless allowConflict is true, or reported in the response.',
+      security: bearer,
+      parameters: [eventId],
+      requestBody: jsonBody({
+        type: 'object',
+        additionalProperties: false,
+        properties: { allowConflict: { type: 'boolean' } }
+      }, { required: false }),
+      responses: responses({
+        200: ['Registered', {
+          type: 'object',
+          properties: { message: { type: 'string' }, conflicts: arrayOf(ref('ScheduleConflict')) }
+        }]
+      })
+    },
+    delete: {
+      tags,
+      summary: 'Cancel the current user\'s registration',
+      security: bearer,
+      parameters: [eventId],
+      responses: responses({ 200: ['Registration cancelled', ref('Message')] })
+    }
+  },
+  '/events/{id}/waitlist': {
+    post: {
+      tags,
+      summary: 'Join the waitlist of a full event',
+      security: bearer,
+      parameters: [eventId],
+      responses: responses({
+        201: ['Joined', {
+          type: 'object',
+          properties: { message: { type: 'string' }, position: { type: 'integer' }, waitlistCount: { type: 'integer' } }
+        }]
+      })
+    },
+    get: {
+      tags,
+      summary: "The current user's waitlist position",
+      security: bearer,
+      parameters: [eventId],
+      responses: responses({
+        200: ['Position', {
+          type: 'object',
+          properties: { position: { type: 'integer' }, waitlistCount: { type: 'integer' } }
+        }]
+      })
+    },
+    delete: {
+      tags,
+      summary: 'Leave the waitlist',
+      security: bearer,
+      parameters: [eventId],
+      responses: responses({ 200: ['Left the waitlist', ref('Message')] })
+    }
+  },
+  '/events/{id}/feedback': {
+    post: {
+      tags,
+      summary: 'Rate an event after it has ended',
+      description: 'Only attendees can leave feedback, once per event.',
+      security: bearer,
+      parameters: [eventId],
+      requestBody: jsonBody({
+        type: 'object',
+        additionalProperties: false,
+        required: ['rating'],
+        properties: {
+          rating: { type: 'integer', minimum: 1, maximum: 5 },
+          comment: { type: 'string', maxLength: 2000, nullable: true }
+        }
+      }),
+      responses: responses({
+        201: ['Saved feedback', ref('Feedback')],
+        409: ['Feedback was already left for this event', ref('Error')]
+      })
+    },
+    get: {
+      tags,
+      summary: 'Rating summary and visible comments of an event',
+      security: optionalBearer,
+      parameters: [eventId, ...pageParams(20, 100)],
+      responses: responses({
+        200: ['Feedback', paginated('comments', ref('Feedback'), {
+          ratings: ref('RatingStats'),
+          myFeedback: { anyOf: [ref('Feedback'), ref('Null')] }
+        })]
+      })
+    }
+  },
+  '/events/{eventId}/registrations/{userId}': {
+    delete: {
+      tags: manageTags,
+      summary: 'Remove a user from an event',
+      security: bearer,
+      parameters: [idParam('eventId', 'Event ID'), idParam('userId', 'User ID')],
+      responses: responses({ 200: ['Registration removed', ref('Message')] })
+    }
+  }
+};
@@ -0,0 +1,18 @@
+const { ref, responses } = require('../helpers');
+
+module.exports = {
+  '/test': {
+    get: {
+      tags: ['Misc'],
+      summary: 'Check that the API is up',
+      responses: responses({ 200: ['API is working', ref('Message')] })
+    }
+  },
+  '/docs': {
+    get: {
+      tags: ['Misc'],
+      summary: 'This OpenAPI document',
+      responses: responses({ 200: ['OpenAPI 3 document', { type: 'object' }] })
+    }
+  }
+};
@@ -0,0 +1,40 @@
+const { ref, responses, idParam, flagParam, pageParams, paginated, bearer } = require('../helpers');
+
+const tags = ['Notifications'];
+
+module.exports = {
+  '/notifications': {
+    get: {
+      tags,
+      summary: "List the current user's notifications, newest first",
+      security: bearer,
+      parameters: [flagParam('unread', 'Only unread notifications'), ...pageParams(20)],
+      responses: responses({ 200: ['Notifications', paginated('notifications', ref('Notification'))] })
+    }
+  },
+  '/notifications/unread-count': {
+    get: {
+      tags,
+      summary: 'Count unread notifications',
+      security: bearer,
+      responses: responses({ 200: ['Unread count', { type: 'object', properties: { count: { type: 'integer' } } }] })
+    }
+  },
+  '/notifications/read-all': {
+    put: {
+      tags,
+      summary: 'Mark all notifications as read',
+      security: bearer,
+      responses: responses({ 200: ['Notifications updated', { type: 'object', properties: { updated: { type: 'integer' } } }] })
+    }
+  },
+  '/notifications/{id}/read': {
+    put: {
+      tags,
+      summary: 'Mark a notification as read',
+      security: bearer,
+      parameters: [idParam('id', 'Notification ID')],
+      responses: responses({ 200: ['Updated notification', ref('Notification')] })
+    }
+  }
+};
@@ -0,0 +1,41 @@
+const { responses, idParam, queryParam, bearer, optionalBearer } = require('../helpers');
+
+const tags = ['Streams'];
+
+// EventSource cannot send headers, so the JWT may also be passed in the query
+const tokenParam = queryParam('token', { type: 'string' }, 'JWT access token, instead of the Authorization header');
+
+const eventStream = (description) => ({
+  ...responses({}),
+  200: { description, content: { 'text/event-stream': { schema: { type: 'string' } } } }
+});
+
+module.exports = {
+  '/stream/events': {
+    get: {
+      tags,
+      summary: 'Live changes to the public event listing',
+      responses: eventStream('Server-Sent Events: created, updated and deleted events')
+    }
+  },
+  '/stream/events/{id}': {
+    get: {
+      tags,
+      summary: 'Live updates of one event',
+      description: 'Starts with a snapshot of the event, followed by seat, waitlist and status changes.',
+      security: optionalBearer,
+      parameters: [idParam('id', 'Event ID'), tokenParam],
+      responses: eventStream('Server-Sent Events')
+    }
+  },
+  '/stream/me': {
+    get: {
+      tags,
+      summary: "The current user's notifications as they arrive",
+      description: 'Starts with the unread count.',
+      security: bearer,
+      parameters: [tokenParam],
+      responses: eventStream('Server-Sent Events')
+    }
+  }
+};
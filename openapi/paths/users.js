@@ -0,0 +1,51 @@
+const { ref, arrayOf, jsonBody, responses, bearer } = require('../helpers');
+
+const tags = ['Users'];
+
+const calendarFeed = {
+  type: 'object',
+  properties: { url: { type: 'string', description: 'Secret iCalendar feed URL (see /calendar/{token}.ics)' } }
+};
+
+module.exports = {
+  '/users/preferences': {
+    put: {
+      tags,
+      summary: "Replace the current user's event type preferences",
+      security: bearer,
+      requestBody: jsonBody({
+        type: 'object',
+        additionalProperties: false,
+        required: ['preferences'],
+        properties: { preferences: arrayOf(ref('EventType')) }
+      }),
+      responses: responses({
+        200: ['Updated preferences', { type: 'object', properties: { preferences: arrayOf({ type: 'string' }) } }]
+      })
+    }
+  },
+  '/users/calendar-feed': {
+    get: {
+      tags,
+      summary: 'Get the personal calendar feed URL, creating it on first use',
+      security: bearer,
+      responses: responses({ 200: ['Feed URL', calendarFeed] })
+    }
+  },
+  '/users/calendar-feed/rotate': {
+    post: {
+      tags,
+      summary: 'Replace the calendar feed URL, revoking the old one',
+      security: bearer,
+      responses: responses({ 200: ['New feed URL', calendarFeed] })
+    }
+  },
+  '/users/profile': {
+    get: {
+      tags,
+      summary: "Get the current user's profile",
+      security: bearer,
+      responses: responses({ 200: ['Profile', ref('User')] })
+    }
+  }
+};
@@ -0,0 +1,90 @@
+const { ref, arrayOf, jsonBody, responses, idParam, queryParam, flagParam, bearer } = require('../helpers');
+
+const tags = ['Venues'];
+
+const venueId = idParam('id', 'Venue ID');
+
+const slot = {
+  type: 'object',
+  properties: {
+    startsAt: { type: 'string', format: 'date-time' },
+    endsAt: { type: 'string', format: 'date-time' },
+    start: { type: 'string', description: 'HH:MM in the venue timezone' },
+    end: { type: 'string' },
+    minutes: { type: 'integer' }
+  }
+};
+
+module.exports = {
+  '/venues': {
+    get: {
+      tags,
+      summary: 'List venues',
+      parameters: [
+        queryParam('minCapacity', { type: 'integer', minimum: 1 }),
+        queryParam('accessibility', { type: 'string' }, 'Comma-separated features, all required'),
+        queryParam('equipment', { type: 'string' }, 'Comma-separated equipment, all required'),
+        flagParam('includeInactive')
+      ],
+      responses: responses({ 200: ['Venues', arrayOf(ref('Venue'))] })
+    },
+    post: {
+      tags,
+      summary: 'Create a venue',
+      security: bearer,
+      requestBody: jsonBody(ref('VenueCreate')),
+      responses: responses({ 201: ['Created venue', ref('Venue')] })
+    }
+  },
+  '/venues/{id}': {
+    get: {
+      tags,
+      summary: 'Get a venue',
+      parameters: [venueId],
+      responses: responses({ 200: ['Venue', ref('Venue')] })
+    },
+    put: {
+      tags,
+      summary: 'Update a venue',
+      security: bearer,
+      parameters: [venueId],
+      requestBody: jsonBody(ref('VenueUpdate')),
+      responses: responses({ 200: ['Updated venue', ref('Venue')] })
+    },
+    delete: {
+      tags,
+      summary: 'Delete a venue no event uses',
+      security: bearer,
+      parameters: [venueId],
+      responses: responses({ 200: ['Venue deleted', ref('Message')] })
+    }
+  },
+  '/venues/{id}/availability': {
+    get: {
+      tags,
+      summary: 'Bookings and free slots of a venue for a day',
+      parameters: [
+        venueId,
+        { ...queryParam('date', { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' }, 'Day in the venue timezone'), required: true },
+        queryParam('minMinutes', { type: 'integer', minimum: 1, maximum: 1440 }, 'Leave out shorter free slots')
+      ],
+      responses: responses({
+        200: ['Availability', {
+          type: 'object',
+          properties: {
+            venue: {
+              type: 'object',
+              properties: { _id: ref('ObjectId'), label: { type: 'string' }, capacity: { type: 'integer' } }
+            },
+            date: { type: 'string' },
+            timezone: { type: 'string' },
+            opensAt: { type: 'string', format: 'date-time' },
+            closesAt: { type: 'string', format: 'date-time' },
+            bookings: arrayOf({ type: 'object' }),
+            freeSlots: arrayOf(slot)
+          }
+        }]
+      })
+    }
+  }
+};
@@ -0,0 +1,106 @@
+const { ref, jsonBody, responses, idParam, queryParam, pageParams, paginated, arrayOf, bearer } = require('../helpers');
+
+const tags = ['Webhooks'];
+
+const webhookId = idParam('id', 'Webhook ID');
+const deliveryParams = [webhookId, idParam('deliveryId', 'Delivery ID')];
+
+const deliveryCounts = {
+  type: 'object',
+  properties: Object.fromEntries(['pending', 'succeeded', 'failed'].map(status => [status, { type: 'integer' }]))
+};
+
+module.exports = {
+  '/admin/webhooks': {
+    get: {
+      tags,
+      summary: 'List webhooks',
+      security: bearer,
+      responses: responses({ 200: ['Webhooks', arrayOf(ref('Webhook'))] })
+    },
+    post: {
+      tags,
+      summary: 'Create a webhook',
+      description: 'The response is the only time the signing secret is shown.',
+      security: bearer,
+      requestBody: jsonBody(ref('WebhookCreate')),
+      responses: responses({ 201: ['Created webhook with its secret', ref('Webhook')] })
+    }
+  },
+  '/admin/webhooks/{id}': {
+    get: {
+      tags,
+      summary: 'Get a webhook with its delivery counts by status',
+      security: bearer,
+      parameters: [webhookId],
+      responses: responses({
+        200: ['Webhook', { allOf: [ref('Webhook'), { type: 'object', properties: { deliveries: deliveryCounts } }] }]
+      })
+    },
+    put: {
+      tags,
+      summary: 'Update a webhook',
+      security: bearer,
+      parameters: [webhookId],
+      requestBody: jsonBody(ref('WebhookUpdate')),
+      responses: responses({ 200: ['Updated webhook', ref('Webhook')] })
+    },
+    delete: {
+      tags,
+      summary: 'Delete a webhook and its delivery history',
+      security: bearer,
+      parameters: [webhookId],
+      responses: responses({ 200: ['Webhook deleted', ref('Message')] })
+    }
+  },
+  '/admin/webhooks/{id}/rotate-secret': {
+    post: {
+      tags,
+      summary: 'Replace the signing secret',
+      security: bearer,
+      parameters: [webhookId],
+      responses: responses({ 200: ['Webhook with its new secret', ref('Webhook')] })
+    }
+  },
+  '/admin/webhooks/{id}/ping': {
+    post: {
+      tags,
+      summary: 'Send a ping delivery',
+      security: bearer,
+      parameters: [webhookId],
+      responses: responses({ 201: ['The delivery with its first attempt', ref('WebhookDelivery')] })
+    }
+  },
+  '/admin/webhooks/{id}/deliveries': {
+    get: {
+      tags,
+      summary: "A webhook's deliveries, newest first, without their bodies",
+      security: bearer,
+      parameters: [
+        webhookId,
+        queryParam('status', { type: 'string', enum: ['pending', 'succeeded', 'failed'] }),
+        queryParam('type', { type: 'string' }),
+        ...pageParams(50)
+      ],
+      responses: responses({ 200: ['Deliveries', paginated('entries', ref('WebhookDelivery'))] })
+    }
+  },
+  '/admin/webhooks/{id}/deliveries/{deliveryId}': {
+    get: {
+      tags,
+      summary: 'Get a delivery including the body that was sent',
+      security: bearer,
+      parameters: deliveryParams,
+      responses: responses({ 200: ['Delivery', ref('WebhookDelivery')] })
+    }
+  },
+  '/admin/webhooks/{id}/deliveries/{deliveryId}/redeliver': {
+    post: {
+      tags,
+      summary: 'Send a delivery again with the same body',
+      security: bearer,
+      parameters: deliveryParams,
+      responses: responses({ 201: ['The new delivery with its first attempt', ref('WebhookDelivery')] })
+    }
+  }
+};
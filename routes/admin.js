@@ -1,32 +1,384 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Event = require('../models/Event');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
-const admin = require('../middleware/admin');
+const { requirePermission, requireEventAccess } = require('../middleware/permissions');
+const { validateEvent, validateEventPatch, validateLifecycle } = require('../middleware/validateEvent');
+const { PERMISSIONS, ROLES, manageableEventsFilter } = require('../utils/permissions');
+const { promoteFromWaitlist } = require('../utils/waitlist');
+const {
+  cancelRegistration,
+  setCapacity,
+  findRegistrationMismatches,
+  repairRegistrationMismatches
+} = require('../utils/registration');
+const { notifyUser, notifyUsers, isRescheduled } = require('../utils/notifications');
+const clock = require('../utils/clock');
+const { recordCalendarCancellation } = require('../utils/calendar');
+const {
+  REGISTRATION_EXPORT_COLUMNS,
+  selectColumns,
+  registrationCursor,
+  streamExport,
+  streamRegistrationExport
+} = require('../utils/registrationExport');
+const {
+  verifyCheckInToken,
+  isWithinCheckInWindow,
+  markCheckedIn,
+  undoCheckIn
+} = require('../utils/checkIn');
+const { revokeUserSessions } = require('../utils/sessions');
+const { unlockUser } = require('../utils/loginLockout');
+const AuditLog = require('../models/AuditLog');
+const Feedback = require('../models/Feedback');
+const { FEEDBACK_EXPORT_COLUMNS, feedbackCursor } = require('../utils/feedback');
+const { eventSnapshot, recordAudit } = require('../utils/audit');
+const { createEvent } = require('../utils/eventCreation');
+const { broadcastEvent, broadcastEventDeleted } = require('../utils/realtime');
+const { emitEventWebhook } = require('../utils/webhooks');
+const {
+  resolveVenueLocation,
+  checkVenueBookings,
+  rejectsBooking,
+  withVenueWarnings
+} = require('../utils/venues');
+const { query, matchedData, validationResult } = require('express-validator');
+const logger = require('../utils/logger').child({ component: 'admin' });
+
+// Validation for registration export query parameters
+const validateExport = [
+  query('format').optional().isIn(['csv', 'xlsx']).withMessage('format must be csv or xlsx'),
+  query('eventId').optional().isMongoId().withMessage('eventId must be a valid ID'),
+  query('type').optional().isString(),
+  query('from').optional().isISO8601().withMessage('from must be a valid date'),
+  query('to').optional().isISO8601().withMessage('to must be a valid date'),
+  query('fields').optional().custom(value => value.split(',').every(
+    key => REGISTRATION_EXPORT_COLUMNS.some(column => column.key === key.trim())
+  )).withMessage(`fields must be a list of ${REGISTRATION_EXPORT_COLUMNS.map(column => column.key).join(', ')}`),
+];
+
+// Shared handler for registration exports; filters come from req.query plus overrides
+const exportRegistrations = (overrides = () => ({})) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { format = 'csv', fields, eventId, type, from, to } = req.query;
+    const filters = { eventId, type, from, to, ...overrides(req) };
+
+    if (filters.eventId && !(await Event.exists({ _id: filters.eventId }))) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    logger.info('Exporting registrations', { format, filters });
+    const fileName = filters.eventId ? `registrations-${filters.eventId}` : 'registrations';
+    const count = await streamRegistrationExport(
+      format,
+      registrationCursor(filters),
+      res,
+      selectColumns(fields),
+      fileName
+    );
+
+    logger.info('Exported registrations', { count });
+  } catch (error) {
+    logger.error('Error exporting registrations', { err: error });
+    // Once streaming has started the only option left is to abort the response
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ message: 'Error exporting registrations' });
+  }
+};
 
 // Get all users (admin only)
-router.get('/users', [auth, admin], async (req, res) => {
+router.get('/users', [auth, requirePermission(PERMISSIONS.USERS_MANAGE)], async (req, res) => {
   try {
     const users = await User.find().select('-password');
     res.json(users);
   } catch (error) {
+    logger.error('Error fetching users', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List accounts currently locked after failed logins (admin only)
+router.get('/users/locked', [auth, requirePermission(PERMISSIONS.USERS_MANAGE)], async (req, res) => {
+  try {
+    const users = await User.find({ lockedUntil: { $gt: clock.now() } })
+      .select('name email role lockedUntil lockCount lastFailedLoginAt')
+      .sort({ lockedUntil: 1 });
+    res.json(users);
+  } catch (error) {
+    logger.error('Error fetching locked users', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unlock an account locked after failed logins (admin only)
+router.post('/users/:id/unlock', [auth, requirePermission(PERMISSIONS.USERS_MANAGE)], async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const user = await unlockUser(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'user.unlock',
+      targetType: 'User',
+      targetId: user._id
+    });
+    logger.info('Unlocked user', { targetUserId: req.params.id });
+    res.json({ message: 'Account unlocked successfully' });
+  } catch (error) {
+    logger.error('Error unlocking user', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke all sessions of a user, forcing them to log in again (admin only)
+router.post('/users/:id/revoke-sessions', [auth, requirePermission(PERMISSIONS.USERS_MANAGE)], async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('_id');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const revoked = await revokeUserSessions(user._id, 'admin_revoked');
+    await recordAudit(req, {
+      action: 'user.sessions_revoke',
+      targetType: 'User',
+      targetId: user._id,
+      metadata: { revoked }
+    });
+    logger.info('Revoked sessions', { targetUserId: req.params.id, revoked });
+    res.json({ message: 'Sessions revoked successfully', revoked });
+  } catch (error) {
+    logger.error('Error revoking sessions', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Change a user's role (admin only)
+router.put('/users/:id/role', [auth, requirePermission(PERMISSIONS.USERS_MANAGE)], async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of ${ROLES.join(', ')}` });
+    }
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ message: 'You cannot change your own role' });
+    }
+
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.role !== role) {
+      const previousRole = user.role;
+      user.role = role;
+      await user.save();
+
+      await recordAudit(req, {
+        action: 'user.role_change',
+        targetType: 'User',
+        targetId: user._id,
+        before: { role: previousRole },
+        after: { role }
+      });
+
+      // Existing tokens carry the old role, so force a fresh login
+      await revokeUserSessions(user._id, 'role_changed');
+      logger.info('Changed user role', { targetUserId: user.id, role });
+    }
+
+    res.json(user);
+  } catch (error) {
+    logger.error('Error changing role', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Query the audit log (admin only)
+// Filters: actor, targetId, targetType, action (comma-separated or prefix like "event.*"), from, to
+router.get('/audit-logs', [auth, requirePermission(PERMISSIONS.AUDIT_VIEW)], async (req, res) => {
+  try {
+    const { actor, targetId, targetType, action, from, to, page = 1, limit = 50 } = req.query;
+    const filter = {};
+
+    for (const [name, value] of [['actor', actor], ['targetId', targetId]]) {
+      if (value && !mongoose.isValidObjectId(value)) {
+        return res.status(400).json({ message: `${name} must be a valid ID` });
+      }
+    }
+
+    if (actor) {
+      filter.actor = actor;
+    }
+    if (targetId) {
+      filter.$or = [{ targetId }, { subjectUser: targetId }];
+    }
+    if (targetType) {
+      filter.targetType = targetType;
+    }
+    if (action) {
+      filter.action = {
+        $in: action.split(',').map(name => (
+          name.endsWith('.*') ? new RegExp(`^${name.slice(0, -2).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.`) : name
+        ))
+      };
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) {
+        filter.createdAt.$gte = new Date(from);
+      }
+      if (to) {
+        filter.createdAt.$lte = new Date(to);
+      }
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .populate('actor', 'name email')
+        .populate('subjectUser', 'name email'),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      entries,
+      pagination: {
+        total,
+        page: pageNumber,
+        pages: Math.ceil(total / pageSize),
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching audit logs', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List feedback for moderation, newest first (admin only)
+// Filters: event, hidden (true/false), rating (max rating, e.g. 2 for low ratings)
+router.get('/feedback', [auth, requirePermission(PERMISSIONS.FEEDBACK_MODERATE)], async (req, res) => {
+  try {
+    const { event, hidden, rating, page = 1, limit = 50 } = req.query;
+    const filter = {};
+
+    if (event) {
+      if (!mongoose.isValidObjectId(event)) {
+        return res.status(400).json({ message: 'event must be a valid ID' });
+      }
+      filter.event = event;
+    }
+    if (hidden === 'true' || hidden === 'false') {
+      filter.hidden = hidden === 'true';
+    }
+    if (rating) {
+      filter.rating = { $lte: parseInt(rating) || 5 };
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+    const [entries, total] = await Promise.all([
+      Feedback.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .populate('event', 'title startsAt')
+        .populate('user', 'name email')
+        .populate('hiddenBy', 'name'),
+      Feedback.countDocuments(filter)
+    ]);
+
+    res.json({
+      entries,
+      pagination: {
+        total,
+        page: pageNumber,
+        pages: Math.ceil(total / pageSize),
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching feedback', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Hide or restore a feedback comment (admin only). Hidden feedback still counts towards ratings.
+router.put('/feedback/:id/visibility', [auth, requirePermission(PERMISSIONS.FEEDBACK_MODERATE)], async (req, res) => {
+  try {
+    const { hidden, reason } = req.body;
+    if (typeof hidden !== 'boolean') {
+      return res.status(400).json({ message: 'hidden must be true or false' });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Feedback not found' });
+    }
+
+    const feedback = await Feedback.findById(req.params.id);
+    if (!feedback) {
+      return res.status(404).json({ message: 'Feedback not found' });
+    }
+
+    if (feedback.hidden !== hidden) {
+      feedback.hidden = hidden;
+      feedback.hiddenAt = hidden ? clock.now() : undefined;
+      feedback.hiddenBy = hidden ? req.user._id : undefined;
+      feedback.hiddenReason = hidden && reason ? String(reason).trim() : undefined;
+      await feedback.save();
+
+      await recordAudit(req, {
+        action: hidden ? 'feedback.hide' : 'feedback.unhide',
+        targetType: 'Feedback',
+        targetId: feedback._id,
+        subjectUser: feedback.user,
+        before: { hidden: !hidden },
+        after: { hidden },
+        metadata: { event: feedback.event, reason: feedback.hiddenReason }
+      });
+      logger.info('Changed feedback visibility', { feedbackId: feedback.id, hidden });
+    }
+
+    res.json(feedback);
+  } catch (error) {
+    logger.error('Error moderating feedback', { err: error });
     res.status(500).json({ message: 'Server error' });
   }
 });
 
 // Get dashboard statistics (admin only)
-router.get('/dashboard', [auth, admin], async (req, res) => {
+router.get('/dashboard', [auth, requirePermission(PERMISSIONS.REPORTS_VIEW)], async (req, res) => {
   try {
     const totalUsers = await User.countDocuments({ role: 'user' });
     const totalEvents = await Event.countDocuments();
     const upcomingEvents = await Event.countDocuments({
-      date: { $gte: new Date() }
+      status: 'published',
+      startsAt: { $gt: clock.now() }
     });
     const eventsByType = await Event.aggregate([
       {
         $group: {
-          _id: '$eventType',
+          _id: '$type',
           count: { $sum: 1 }
         }
       }
@@ -39,65 +391,158 @@ router.get('/dashboard', [auth, admin], async (req, res) => {
       eventsByType
     });
   } catch (error) {
+    logger.error('Error fetching dashboard', { err: error });
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Create event (admin only)
-router.post('/events', [auth, admin], async (req, res) => {
-  try {
-    const event = new Event({
-      ...req.body,
-      createdBy: req.user.id,
-      availableSeats: req.body.capacity
-    });
-
-    await event.save();
-    res.status(201).json(event);
-  } catch (error) {
-    res.status(400).json({ message: error.message });
-  }
-});
+// Create event (admins and organizers)
+router.post('/events', [auth, requirePermission(PERMISSIONS.EVENTS_CREATE), validateEvent, validateLifecycle], createEvent);
 
-// Update event (admin only)
-router.put('/events/:id', [auth, admin], async (req, res) => {
+// Update event (admins and the event's organizers); only the fields given change
+router.put('/events/:id', [auth, requireEventAccess('id'), validateEventPatch], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const event = await Event.findById(req.params.id);
     if (!event) {
       return res.status(404).json({ message: 'Event not found' });
     }
 
-    Object.assign(event, req.body);
+    if (!['draft', 'published'].includes(event.status)) {
+      return res.status(400).json({ message: `Cannot edit a ${event.status} event` });
+    }
+
+    // Only the validated event fields are assigned; ownership changes through the
+    // co-organizers endpoint and status through the lifecycle endpoints.
+    // A null venue is kept, as it unbooks the event.
+    const { endTime, durationMinutes, ...updates } = Object.fromEntries(
+      Object.entries(matchedData(req, { locations: ['body'], includeOptionals: true }))
+        .filter(([, value]) => value !== undefined)
+    );
+
+    // A new venue must be bookable; without a location the event takes the venue's label
+    if (updates.venue && String(updates.venue) !== String(event.venue)) {
+      updates.location = await resolveVenueLocation(updates.venue, updates.location);
+      if (!updates.location) {
+        return res.status(400).json({ message: 'Venue not found' });
+      }
+    }
+
+    const previous = { date: event.date, time: event.time, location: event.location };
+    const before = eventSnapshot(event);
+
+    Object.assign(event, updates);
+    if (endTime || durationMinutes) {
+      event.setEnd({ endTime, durationMinutes });
+    }
+
+    const venueIssues = await checkVenueBookings([event]);
+    if (rejectsBooking(venueIssues)) {
+      return res.status(409).json({ message: 'Venue booking conflict', issues: venueIssues });
+    }
+
+    // Check the merged event before a lower capacity is written on its own
+    await event.validate();
+
+    // A lower capacity is checked against the registrations at the time of the write
+    if (event.capacity < before.capacity && !(await setCapacity(event._id, event.capacity))) {
+      return res.status(409).json({
+        message: 'Cannot reduce capacity below current number of registrations',
+      });
+    }
+
     await event.save();
-    res.json(event);
+
+    await recordAudit(req, {
+      action: 'event.update',
+      targetType: 'Event',
+      targetId: event._id,
+      before,
+      after: eventSnapshot(event)
+    });
+
+    if (isRescheduled(previous, event)) {
+      await notifyUsers(event.registrations.map(reg => reg.user), 'reschedule', event, { previous });
+    }
+
+    await broadcastEvent('updated', event);
+    await emitEventWebhook('updated', event);
+
+    // A capacity increase may free seats for waitlisted users
+    await promoteFromWaitlist(event);
+
+    res.json(withVenueWarnings(event, venueIssues));
   } catch (error) {
-    res.status(400).json({ message: error.message });
+    // A partial update is checked against the rest of the event when it is saved
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation Error',
+        details: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    logger.error('Update event error', { err: error });
+    res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Delete event (admin only)
-router.delete('/events/:id', [auth, admin], async (req, res) => {
+// Delete event (admins and the event's organizers)
+// Events with registrations must be cancelled instead, keeping their history
+router.delete('/events/:id', [auth, requireEventAccess('id')], async (req, res) => {
   try {
-    console.log(`[ADMIN API] Attempting to delete event ${req.params.id}`);
-    const event = await Event.findByIdAndDelete(req.params.id);
+    logger.info('Deleting event', { eventId: req.params.id });
+    const event = await Event.findById(req.params.id);
     
     if (!event) {
-      console.log('[ADMIN API] Event not found');
+      logger.debug('Event not found');
       return res.status(404).json({ message: 'Event not found' });
     }
 
-    console.log('[ADMIN API] Event deleted successfully');
+    if (event.status !== 'draft' && (event.registrations.length > 0 || event.waitlist.length > 0)) {
+      return res.status(409).json({
+        message: 'Events with registrations cannot be deleted, cancel the event instead'
+      });
+    }
+
+    await event.deleteOne();
+    await broadcastEventDeleted(event);
+    await emitEventWebhook('deleted', event);
+
+    await User.updateMany(
+      { _id: { $in: event.registrations.map(reg => reg.user) } },
+      { $pull: { registeredEvents: event._id } }
+    );
+
+    await recordAudit(req, {
+      action: 'event.delete',
+      targetType: 'Event',
+      targetId: event._id,
+      before: eventSnapshot(event),
+      metadata: { registrations: event.registrations.length, waitlist: event.waitlist.length }
+    });
+
+    // Notify registered and waitlisted users
+    await notifyUsers([
+      ...event.registrations.map(reg => reg.user),
+      ...event.waitlist.map(entry => entry.user)
+    ], 'deletion', event);
+    await recordCalendarCancellation(event.registrations.map(reg => reg.user), event);
+
+    logger.info('Event deleted successfully');
     res.json({ message: 'Event deleted successfully', event });
   } catch (error) {
-    console.error('[ADMIN API] Error deleting event:', error);
+    logger.error('Error deleting event', { err: error });
     res.status(500).json({ message: 'Server error deleting event' });
   }
 });
 
-// Get event registrations (admin only)
-router.get('/events/:id/registrations', [auth, admin], async (req, res) => {
+// Get event registrations (admins and the event's organizers)
+router.get('/events/:id/registrations', [auth, requireEventAccess('id')], async (req, res) => {
   try {
-    console.log(`[ADMIN API] Fetching registrations for event ${req.params.id}`);
+    logger.debug('Fetching registrations', { eventId: req.params.id });
     const event = await Event.findById(req.params.id)
       .populate({
         path: 'registrations.user',
@@ -105,53 +550,330 @@ router.get('/events/:id/registrations', [auth, admin], async (req, res) => {
       });
 
     if (!event) {
-      console.log('[ADMIN API] Event not found');
+      logger.debug('Event not found');
       return res.status(404).json({ message: 'Event not found' });
     }
 
-    console.log(`[ADMIN API] Found ${event.registrations.length} registrations`);
+    logger.debug('Found registrations', { count: event.registrations.length });
     res.json(event.registrations);
   } catch (error) {
-    console.error('[ADMIN API] Error fetching registrations:', error);
+    logger.error('Error fetching registrations', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Export event registrations as CSV or XLSX (admins and the event's organizers)
+router.get(
+  '/events/:id/registrations/export',
+  [auth, requireEventAccess('id'), ...validateExport],
+  exportRegistrations(req => ({ eventId: req.params.id }))
+);
+
+// Export an event's feedback, hidden comments included, as CSV or XLSX (admins and the event's organizers)
+router.get('/events/:id/feedback/export', [
+  auth,
+  requireEventAccess('id'),
+  query('format').optional().isIn(['csv', 'xlsx']).withMessage('format must be csv or xlsx')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const count = await streamExport(
+      req.query.format || 'csv',
+      feedbackCursor(req.params.id),
+      res,
+      FEEDBACK_EXPORT_COLUMNS,
+      `feedback-${req.params.id}`,
+      'Feedback'
+    );
+
+    logger.info('Exported feedback', { eventId: req.params.id, count });
+  } catch (error) {
+    logger.error('Error exporting feedback', { err: error });
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ message: 'Error exporting feedback' });
+  }
+});
+
+// Get attendance summary for an event (admins and the event's organizers)
+router.get('/events/:id/attendance', [auth, requireEventAccess('id')], async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).select('title startsAt endsAt registrations');
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    res.json({
+      registered: event.registrations.length,
+      checkedIn: event.checkedInCount,
+      noShows: event.noShowCount,
+      attendanceRate: event.attendanceRate
+    });
+  } catch (error) {
+    logger.error('Error fetching attendance', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Check in a registration by scanning its QR token (admins and the event's organizers)
+router.post('/events/:id/check-in', [auth, requireEventAccess('id')], async (req, res) => {
+  logger.info('QR check-in', { eventId: req.params.id });
+  try {
+    const claims = verifyCheckInToken(req.body.token);
+    if (!claims) {
+      return res.status(400).json({ message: 'Invalid check-in token' });
+    }
+    if (claims.eventId !== req.params.id) {
+      return res.status(400).json({ message: 'Check-in token is for a different event' });
+    }
+
+    const event = await Event.findById(req.params.id)
+      .populate('registrations.user', 'name email');
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const registration = event.registrations.id(claims.registrationId);
+    if (!registration) {
+      return res.status(404).json({ message: 'Registration not found' });
+    }
+
+    const now = clock.now();
+    if (!isWithinCheckInWindow(event, now)) {
+      return res.status(400).json({ message: 'Check-in is not open for this event' });
+    }
+
+    const checkedIn = await markCheckedIn(event._id, registration._id, {
+      by: req.user.id,
+      method: 'qr',
+      now
+    });
+    if (!checkedIn) {
+      return res.status(409).json({ message: 'Already checked in' });
+    }
+
+    logger.info('Checked in successfully');
+    res.json({
+      message: 'Checked in successfully',
+      user: registration.user,
+      checkedInAt: now
+    });
+  } catch (error) {
+    logger.error('Error checking in', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Manually check in a registered user (admins and the event's organizers)
+router.post('/events/:eventId/registrations/:userId/check-in', [auth, requireEventAccess('eventId')], async (req, res) => {
+  logger.info('Manual check-in', { eventId: req.params.eventId, targetUserId: req.params.userId });
+  try {
+    const event = await Event.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const registration = event.registrations.find(
+      reg => reg.user.toString() === req.params.userId
+    );
+    if (!registration) {
+      return res.status(404).json({ message: 'Registration not found' });
+    }
+
+    const now = clock.now();
+    const checkedIn = await markCheckedIn(event._id, registration._id, {
+      by: req.user.id,
+      method: 'manual',
+      now
+    });
+    if (!checkedIn) {
+      return res.status(409).json({ message: 'Already checked in' });
+    }
+
+    res.json({ message: 'Checked in successfully', checkedInAt: now });
+  } catch (error) {
+    logger.error('Error checking in manually', { err: error });
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get all registrations (Admin only)
-router.get('/registrations', [auth, admin], async (req, res) => {
-  console.log('[ADMIN API] Fetching all registrations');
+// Undo a check-in (admins and the event's organizers)
+router.delete('/events/:eventId/registrations/:userId/check-in', [auth, requireEventAccess('eventId')], async (req, res) => {
+  logger.info('Undoing check-in', { eventId: req.params.eventId, targetUserId: req.params.userId });
   try {
-    const events = await Event.find()
+    const event = await Event.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const registration = event.registrations.find(
+      reg => reg.user.toString() === req.params.userId
+    );
+    if (!registration) {
+      return res.status(404).json({ message: 'Registration not found' });
+    }
+
+    const undone = await undoCheckIn(event._id, registration._id);
+    if (!undone) {
+      return res.status(400).json({ message: 'User is not checked in' });
+    }
+
+    res.json({ message: 'Check-in undone successfully' });
+  } catch (error) {
+    logger.error('Error undoing check-in', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get event waitlist (admins and the event's organizers)
+router.get('/events/:id/waitlist', [auth, requireEventAccess('id')], async (req, res) => {
+  try {
+    logger.debug('Fetching waitlist', { eventId: req.params.id });
+    const event = await Event.findById(req.params.id)
+      .populate({
+        path: 'waitlist.user',
+        select: 'name email role'
+      });
+
+    if (!event) {
+      logger.debug('Event not found');
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    logger.debug('Found waitlisted users', { count: event.waitlist.length });
+    res.json(event.waitlist.map((entry, index) => ({
+      ...entry.toJSON(),
+      position: index + 1
+    })));
+  } catch (error) {
+    logger.error('Error fetching waitlist', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reorder event waitlist (admins and the event's organizers)
+// Expects { order: [userId, ...] } containing every waitlisted user exactly once
+router.put('/events/:id/waitlist', [auth, requireEventAccess('id')], async (req, res) => {
+  try {
+    logger.info('Reordering waitlist', { eventId: req.params.id });
+    const { order } = req.body;
+
+    if (!Array.isArray(order)) {
+      return res.status(400).json({ message: 'Order must be an array of user IDs' });
+    }
+
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      logger.debug('Event not found');
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const entriesByUser = new Map(
+      event.waitlist.map(entry => [entry.user.toString(), entry])
+    );
+    const uniqueIds = new Set(order.map(String));
+
+    if (uniqueIds.size !== order.length ||
+        order.length !== entriesByUser.size ||
+        !order.every(userId => entriesByUser.has(String(userId)))) {
+      return res.status(400).json({
+        message: 'Order must list every waitlisted user exactly once'
+      });
+    }
+
+    event.waitlist = order.map(userId => {
+      const entry = entriesByUser.get(String(userId));
+      return { _id: entry._id, user: entry.user, joinedAt: entry.joinedAt };
+    });
+    await event.save();
+    await broadcastEvent('waitlist', event);
+
+    logger.info('Waitlist reordered successfully');
+    res.json(event.waitlist);
+  } catch (error) {
+    logger.error('Error reordering waitlist', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Report registrations recorded on only one of Event.registrations / User.registeredEvents,
+// plus events holding more registrations than their capacity
+router.get('/registrations/reconcile', [auth, requirePermission(PERMISSIONS.EVENTS_MANAGE_ANY)], async (req, res) => {
+  try {
+    const mismatches = await findRegistrationMismatches();
+    res.json(mismatches);
+  } catch (error) {
+    logger.error('Error checking registration consistency', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Repair mismatched registrations, treating the event's registrations as the source of truth
+router.post('/registrations/reconcile', [auth, requirePermission(PERMISSIONS.EVENTS_MANAGE_ANY)], async (req, res) => {
+  logger.info('Reconciling registrations');
+  try {
+    const mismatches = await findRegistrationMismatches();
+    const repaired = await repairRegistrationMismatches(mismatches);
+
+    logger.info('Registrations reconciled', { repaired });
+    res.json({
+      repaired,
+      overbookedEvents: mismatches.overbookedEvents
+    });
+  } catch (error) {
+    logger.error('Error reconciling registrations', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get all registrations (admins see every event, organizers their own)
+router.get('/registrations', [auth, requirePermission(PERMISSIONS.EVENTS_MANAGE_ANY, PERMISSIONS.EVENTS_MANAGE_OWN)], async (req, res) => {
+  logger.debug('Fetching all registrations');
+  try {
+    const events = await Event.find(manageableEventsFilter(req.user))
       .populate({
         path: 'registrations.user',
         select: 'name email role'
       })
-      .select('title date registrations');
+      .select('title date time startsAt registrations');
     
-    console.log(`[ADMIN API] Found ${events.length} events with registrations`);
+    logger.debug('Found events with registrations', { count: events.length });
     res.json(events);
   } catch (error) {
-    console.error('[ADMIN API] Error fetching registrations:', error);
+    logger.error('Error fetching registrations', { err: error });
     res.status(500).json({ message: 'Error fetching registrations' });
   }
 });
 
-// Get all events (Admin only)
-router.get('/events', [auth, admin], async (req, res) => {
-  console.log('[ADMIN API] Fetching all events');
+// Export all registrations as CSV or XLSX, filterable by event, type and date range
+// (admins see every event, organizers their own)
+router.get(
+  '/registrations/export',
+  [auth, requirePermission(PERMISSIONS.EVENTS_MANAGE_ANY, PERMISSIONS.EVENTS_MANAGE_OWN), ...validateExport],
+  exportRegistrations(req => ({ eventFilter: manageableEventsFilter(req.user) }))
+);
+
+// Get all events (admins see every event, organizers their own)
+router.get('/events', [auth, requirePermission(PERMISSIONS.EVENTS_MANAGE_ANY, PERMISSIONS.EVENTS_MANAGE_OWN)], async (req, res) => {
+  logger.debug('Fetching all events');
   try {
-    const events = await Event.find()
+    const events = await Event.find(manageableEventsFilter(req.user))
       .populate('creator', 'name email')
       .populate({
         path: 'registrations.user',
         select: 'name email role'
       })
-      .sort({ date: -1 }); // Sort by date descending
+      .sort({ startsAt: -1 }); // Sort by start time descending
 
-    console.log(`[ADMIN API] Found ${events.length} events`);
+    logger.debug('Found events', { count: events.length });
     res.json(events);
   } catch (error) {
-    console.error('[ADMIN API] Error fetching events:', error);
+    logger.error('Error fetching events', { err: error });
     res.status(500).json({ 
       message: 'Error fetching events',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined 
@@ -159,34 +881,44 @@ router.get('/events', [auth, admin], async (req, res) => {
   }
 });
 
-// Cancel registration (Admin only)
-router.delete('/events/:eventId/registrations/:userId', [auth, admin], async (req, res) => {
-  console.log(`[ADMIN API] Cancelling registration for event ${req.params.eventId} user ${req.params.userId}`);
+// Cancel registration (admins and the event's organizers)
+router.delete('/events/:eventId/registrations/:userId', [auth, requireEventAccess('eventId')], async (req, res) => {
+  logger.info('Cancelling registration', { eventId: req.params.eventId, targetUserId: req.params.userId });
   try {
     const event = await Event.findById(req.params.eventId);
     if (!event) {
-      console.log('[ADMIN API] Event not found');
+      logger.debug('Event not found');
       return res.status(404).json({ message: 'Event not found' });
     }
 
-    const registrationIndex = event.registrations.findIndex(
-      reg => reg.user.toString() === req.params.userId
-    );
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
 
-    if (registrationIndex === -1) {
-      console.log('[ADMIN API] Registration not found');
+    // Remove the registration from the event and the user together
+    const updated = await cancelRegistration(event._id, req.params.userId);
+    if (!updated) {
+      logger.debug('Registration not found');
       return res.status(404).json({ message: 'Registration not found' });
     }
 
-    // Remove the registration and increment available seats
-    event.registrations.splice(registrationIndex, 1);
-    event.availableSeats += 1;
-    await event.save();
+    await notifyUser(req.params.userId, 'cancellation', event, { byAdmin: true });
+    await recordCalendarCancellation([req.params.userId], event);
+
+    await recordAudit(req, {
+      action: 'registration.cancel',
+      targetType: 'Event',
+      targetId: event._id,
+      subjectUser: req.params.userId
+    });
+
+    // Hand the freed seat to the next user on the waitlist
+    await promoteFromWaitlist(updated);
 
-    console.log('[ADMIN API] Registration cancelled successfully');
+    logger.info('Registration cancelled successfully');
     res.json({ message: 'Registration cancelled successfully' });
   } catch (error) {
-    console.error('[ADMIN API] Error cancelling registration:', error);
+    logger.error('Error cancelling registration', { err: error });
     res.status(500).json({ message: 'Server error' });
   }
 });
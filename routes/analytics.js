@@ -0,0 +1,88 @@
+const express = require('express');
+const router = express.Router();
+const Event = require('../models/Event');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { PERMISSIONS } = require('../utils/permissions');
+const { isValidTimeZone } = require('../utils/time');
+const {
+  INTERVAL_FORMATS,
+  TOP_EVENT_SORTS,
+  registrationTrends,
+  fillRates,
+  topEvents,
+  cancellationStats,
+  userActivity
+} = require('../utils/analytics');
+const { query, validationResult } = require('express-validator');
+const logger = require('../utils/logger').child({ component: 'analytics' });
+
+const EVENT_TYPES = Event.schema.path('type').enumValues;
+
+// Filters shared by every analytics endpoint
+const validateFilters = [
+  query('from').optional().isISO8601().withMessage('from must be a valid date'),
+  query('to').optional().isISO8601().withMessage('to must be a valid date'),
+  query('type').optional().custom(value => value.split(',').every(type => EVENT_TYPES.includes(type.trim())))
+    .withMessage(`type must be a list of ${EVENT_TYPES.join(', ')}`),
+];
+
+// Wrap an analytics query: validate filters, run it and return the result with the filters used
+const analyticsHandler = (name, run) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { from, to, type } = req.query;
+    const filters = { from, to, type };
+    const result = await run(filters, req.query);
+
+    res.json({ filters, ...(Array.isArray(result) ? { events: result } : result) });
+  } catch (error) {
+    logger.error(`Error computing ${name}`, { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+router.use(auth, requirePermission(PERMISSIONS.REPORTS_VIEW));
+
+// Registrations per day or week, by registration time
+router.get(
+  '/registrations',
+  [
+    ...validateFilters,
+    query('interval').optional().isIn(Object.keys(INTERVAL_FORMATS))
+      .withMessage(`interval must be one of ${Object.keys(INTERVAL_FORMATS).join(', ')}`),
+    query('timezone').optional().custom(isValidTimeZone).withMessage('Invalid timezone'),
+  ],
+  analyticsHandler('registration trends', (filters, { interval, timezone }) => (
+    registrationTrends(filters, { interval, timezone })
+  ))
+);
+
+// Fill rate per event, per type and overall, for events starting in the range
+router.get('/fill-rates', validateFilters, analyticsHandler('fill rates', fillRates));
+
+// Top events by registrations, fill rate or check-ins
+router.get(
+  '/top-events',
+  [
+    ...validateFilters,
+    query('by').optional().isIn(Object.keys(TOP_EVENT_SORTS))
+      .withMessage(`by must be one of ${Object.keys(TOP_EVENT_SORTS).join(', ')}`),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100'),
+  ],
+  analyticsHandler('top events', (filters, { by, limit = 10 }) => (
+    topEvents(filters, { by, limit: parseInt(limit) })
+  ))
+);
+
+// Registration and event cancellation rates
+router.get('/cancellations', validateFilters, analyticsHandler('cancellations', cancellationStats));
+
+// Active users and repeat attendees
+router.get('/users', validateFilters, analyticsHandler('user activity', userActivity));
+
+module.exports = router;
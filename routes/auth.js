@@ -1,13 +1,85 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const auth = require('../middleware/auth');
+const clock = require('../utils/clock');
+const {
+  createSession,
+  rotateSession,
+  findSessionByRefreshToken,
+  revokeSession,
+  revokeUserSessions
+} = require('../utils/sessions');
+const { recordAudit } = require('../utils/audit');
+const { createOneTimeToken, consumeOneTimeToken } = require('../utils/oneTimeTokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/accountEmails');
+const { rateLimit, sendTooManyRequests } = require('../middleware/rateLimit');
+const {
+  getLockRemaining,
+  recordFailedLogin,
+  clearFailedLogins,
+  unlockUser
+} = require('../utils/loginLockout');
+const logger = require('../utils/logger').child({ component: 'auth' });
+
+const MINUTE = 60 * 1000;
+
+// Compared against on logins with an unknown email, so they take as long as a wrong password
+const DUMMY_PASSWORD_HASH = '$2a$10$zyhYNM7UcBR8NjBLKpLepeIXZvT.S6XmR7B6oFc7C1J3Ehz7HZlwi';
+
+// Per-IP limits; accounts are additionally locked after repeated failed logins
+const loginLimiter = rateLimit({
+  name: 'login:ip',
+  windowMs: 15 * MINUTE,
+  max: parseInt(process.env.LOGIN_RATE_LIMIT || '20'),
+  message: 'Too many login attempts, please try again later'
+});
+const registerLimiter = rateLimit({
+  name: 'register:ip',
+  windowMs: 60 * MINUTE,
+  max: parseInt(process.env.REGISTER_RATE_LIMIT || '10'),
+  message: 'Too many accounts created from this address, please try again later'
+});
+const passwordResetLimiter = rateLimit({
+  name: 'password-reset:ip',
+  windowMs: 60 * MINUTE,
+  max: parseInt(process.env.PASSWORD_RESET_RATE_LIMIT || '10'),
+  message: 'Too many password reset requests, please try again later'
+});
+// Keeps one mailbox from being flooded with reset emails
+const passwordResetEmailLimiter = rateLimit({
+  name: 'password-reset:email',
+  windowMs: 60 * MINUTE,
+  max: 3,
+  key: req => req.body.email && String(req.body.email).trim(),
+  message: 'Too many password reset requests, please try again later'
+});
+const verificationEmailLimiter = rateLimit({
+  name: 'verification:user',
+  windowMs: 60 * MINUTE,
+  max: 3,
+  key: req => req.user.id,
+  message: 'Too many verification emails requested, please try again later'
+});
+
+const LOCKED_MESSAGE = 'Account temporarily locked due to too many failed login attempts';
+
+// Send a fresh verification link; delivery failures are logged, not returned
+const sendVerification = async (user) => {
+  try {
+    const token = await createOneTimeToken(user._id, 'email_verification');
+    await sendVerificationEmail(user, token);
+  } catch (error) {
+    logger.error('Verification email error', { err: error });
+  }
+};
 
 // Register user
-router.post('/register', async (req, res) => {
+router.post('/register', registerLimiter, async (req, res) => {
   try {
-    const { name, email, password, role, preferences } = req.body;
+    const { name, email, password, preferences } = req.body;
 
     // Check if user already exists
     let user = await User.findOne({ email });
@@ -20,71 +92,328 @@ router.post('/register', async (req, res) => {
       name,
       email,
       password,
-      role: role || 'user',
-      preferences: preferences || []
+      // Roles are only granted by admins
+      role: 'user',
+      preferences: preferences || [],
+      emailVerified: false
     });
 
     await user.save();
+    await sendVerification(user);
 
-    // Create and return JWT token
-    const token = jwt.sign(
-      { id: user.id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Start a session and return its access and refresh tokens
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
       token,
+      refreshToken,
       user: {
         id: user.id,
         name: user.name,
         email: user.email,
         role: user.role,
-        preferences: user.preferences
+        preferences: user.preferences,
+        emailVerified: user.emailVerified !== false
       }
     });
   } catch (error) {
-    console.error('Register error:', error);
+    logger.error('Register error', { err: error });
     res.status(500).json({ message: 'Server error' });
   }
 });
 
 // Login user
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimiter, async (req, res) => {
   try {
     const { email, password } = req.body;
 
     // Check if user exists
     const user = await User.findOne({ email });
     if (!user) {
+      await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+      await recordAudit(req, {
+        action: 'auth.login_failed',
+        targetType: 'User',
+        metadata: { reason: 'unknown_email' }
+      });
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    // Check password
+    // The password is checked first and every wrong password gets the same answer as an
+    // unknown email, so the lock cannot be used to find out which emails have accounts
     const isMatch = await user.comparePassword(password);
+    const lockRemaining = getLockRemaining(user, clock.now());
     if (!isMatch) {
+      // Attempts on a locked account neither count nor extend the lock
+      if (lockRemaining > 0) {
+        await recordAudit(req, {
+          action: 'auth.login_failed',
+          targetType: 'User',
+          targetId: user._id,
+          metadata: { reason: 'locked' }
+        });
+        return res.status(400).json({ message: 'Invalid credentials' });
+      }
+
+      const { locked, lockedUntil } = await recordFailedLogin(user);
+      await recordAudit(req, {
+        action: 'auth.login_failed',
+        targetType: 'User',
+        targetId: user._id,
+        metadata: { reason: 'wrong_password' }
+      });
+
+      if (locked) {
+        await recordAudit(req, {
+          action: 'auth.lockout',
+          targetType: 'User',
+          targetId: user._id,
+          metadata: { lockedUntil }
+        });
+      }
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    // Create and return JWT token
-    const token = jwt.sign(
-      { id: user.id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Only someone who knows the password learns that the account is locked
+    if (lockRemaining > 0) {
+      await recordAudit(req, {
+        action: 'auth.login_failed',
+        targetType: 'User',
+        targetId: user._id,
+        metadata: { reason: 'locked' }
+      });
+      return sendTooManyRequests(res, lockRemaining, LOCKED_MESSAGE);
+    }
+
+    await clearFailedLogins(user);
+
+    // Start a session and return its access and refresh tokens
+    const { token, refreshToken, session } = await createSession(user, req);
+
+    await recordAudit(req, {
+      action: 'auth.login',
+      targetType: 'User',
+      targetId: user._id,
+      actor: user,
+      metadata: { session: session._id }
+    });
 
     res.json({
       token,
+      refreshToken,
       user: {
         id: user.id,
         name: user.name,
         email: user.email,
         role: user.role,
-        preferences: user.preferences
+        preferences: user.preferences,
+        emailVerified: user.emailVerified !== false
       }
     });
   } catch (error) {
-    console.error('Login error:', error);
+    logger.error('Login error', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Exchange a refresh token for a new access token and refresh token
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const session = await findSessionByRefreshToken(refreshToken);
+    if (!session) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user) {
+      return res.status(401).json({ message: 'User not found' });
+    }
+
+    const tokens = await rotateSession(refreshToken, user, session);
+    if (!tokens) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    res.json(tokens);
+  } catch (error) {
+    logger.error('Refresh token error', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Log out: revoke the session behind a refresh token (works even if the access token expired)
+router.post('/logout', async (req, res) => {
+  try {
+    const session = await findSessionByRefreshToken(req.body.refreshToken);
+    if (session) {
+      await revokeSession(session, 'logout');
+    }
+
+    // Always succeed so clients can clear their tokens
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    logger.error('Logout error', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Log out of every session of the current user
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.id, 'logout_all');
+    res.json({ message: 'Logged out of all sessions', revoked });
+  } catch (error) {
+    logger.error('Logout all error', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List current user's active sessions
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: clock.now() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json(sessions.map(session => ({
+      id: session.id,
+      userAgent: session.userAgent,
+      deviceName: session.deviceName,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      current: session.id === req.authSession.id
+    })));
+  } catch (error) {
+    logger.error('Get sessions error', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke one of the current user's sessions
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user.id });
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeSession(session, 'logout');
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    logger.error('Revoke session error', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Confirm an email address with the token from the verification email
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({ message: 'Token is required' });
+    }
+
+    const record = await consumeOneTimeToken(token, 'email_verification');
+    if (!record) {
+      return res.status(400).json({ message: 'Invalid or expired verification link' });
+    }
+
+    await User.findByIdAndUpdate(record.user, {
+      emailVerified: true,
+      emailVerifiedAt: clock.now()
+    });
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    logger.error('Verify email error', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Send another verification email to the current user
+router.post('/resend-verification', [auth, verificationEmailLimiter], async (req, res) => {
+  try {
+    if (req.user.emailVerified !== false) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerification(req.user);
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    logger.error('Resend verification error', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Start a password reset. Responds the same whether or not the email is known.
+router.post('/forgot-password', [passwordResetLimiter, passwordResetEmailLimiter], async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (user) {
+      try {
+        const token = await createOneTimeToken(user._id, 'password_reset');
+        await sendPasswordResetEmail(user, token);
+      } catch (error) {
+        logger.error('Password reset email error', { err: error });
+      }
+    }
+
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    logger.error('Forgot password error', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set a new password with the token from the reset email
+router.post('/reset-password', passwordResetLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Token and password are required' });
+    }
+    if (String(password).length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters' });
+    }
+
+    const record = await consumeOneTimeToken(token, 'password_reset');
+    if (!record) {
+      return res.status(400).json({ message: 'Invalid or expired reset link' });
+    }
+
+    const user = await User.findById(record.user);
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired reset link' });
+    }
+
+    user.password = password;
+    // Receiving the reset email proves the address works
+    if (user.emailVerified === false) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = clock.now();
+    }
+    await user.save();
+    await unlockUser(user._id);
+
+    // Sign out everywhere in case the old password was compromised
+    await revokeUserSessions(user._id, 'password_reset');
+
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    logger.error('Reset password error', { err: error });
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -101,10 +430,11 @@ router.get('/me', auth, async (req, res) => {
       name: user.name,
       email: user.email,
       role: user.role,
-      preferences: user.preferences || []
+      preferences: user.preferences || [],
+      emailVerified: user.emailVerified !== false
     });
   } catch (error) {
-    console.error('Get current user error:', error);
+    logger.error('Get current user error', { err: error });
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { buildUserFeed } = require('../utils/calendar');
+const logger = require('../utils/logger').child({ component: 'calendar' });
+
+// Personal calendar feed. Authenticated by the secret token in the URL (no JWT),
+// so calendar apps can poll it directly.
+router.get('/:token.ics', async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarToken: req.params.token })
+      .select('name registeredEvents calendarCancellations');
+
+    if (!user) {
+      return res.status(404).json({ message: 'Calendar feed not found' });
+    }
+
+    const calendar = await buildUserFeed(user);
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(calendar);
+  } catch (error) {
+    logger.error('Error building calendar feed', { err: error });
+    res.status(500).json({ message: 'Error building calendar feed' });
+  }
+});
+
+module.exports = router;
@@ -2,29 +2,34 @@ const express = require('express');
 const router = express.Router();
 const Event = require('../models/Event');
 const User = require('../models/User');
-const { auth, isAdmin } = require('../middleware/auth');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { PERMISSIONS } = require('../utils/permissions');
+const clock = require('../utils/clock');
+const logger = require('../utils/logger').child({ component: 'dashboard' });
 
 // Get admin dashboard stats
-router.get('/admin', auth, isAdmin, async (req, res) => {
+router.get('/admin', [auth, requirePermission(PERMISSIONS.REPORTS_VIEW)], async (req, res) => {
   try {
     const totalEvents = await Event.countDocuments();
     const totalUsers = await User.countDocuments();
     
     const upcomingEvents = await Event.find({
-      date: { $gte: new Date() }
+      status: 'published',
+      startsAt: { $gt: clock.now() }
     })
-    .sort({ date: 1 })
+    .sort({ startsAt: 1 })
     .limit(5)
-    .populate('registeredUsers', 'username email');
+    .populate('creator', 'name email');
 
     const recentRegistrations = await Event.aggregate([
-      { $unwind: '$registeredUsers' },
-      { $sort: { 'registeredUsers.registeredAt': -1 } },
+      { $unwind: '$registrations' },
+      { $sort: { 'registrations.registeredAt': -1 } },
       { $limit: 10 },
       {
         $lookup: {
           from: 'users',
-          localField: 'registeredUsers',
+          localField: 'registrations.user',
           foreignField: '_id',
           as: 'user'
         }
@@ -33,13 +38,13 @@ router.get('/admin', auth, isAdmin, async (req, res) => {
       {
         $project: {
           _id: 1,
-          eventName: '$name',
+          eventName: '$title',
           user: {
             _id: '$user._id',
-            username: '$user.username',
+            name: '$user.name',
             email: '$user.email'
           },
-          registeredAt: '$registeredUsers.registeredAt'
+          registeredAt: '$registrations.registeredAt'
         }
       }
     ]);
@@ -51,6 +56,7 @@ router.get('/admin', auth, isAdmin, async (req, res) => {
       recentRegistrations
     });
   } catch (error) {
+    logger.error('Error fetching admin dashboard', { err: error });
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -61,15 +67,16 @@ router.get('/user', auth, async (req, res) => {
     const user = await User.findById(req.user._id)
       .populate({
         path: 'registeredEvents',
-        match: { date: { $gte: new Date() } },
-        options: { sort: { date: 1 } }
+        match: { startsAt: { $gt: clock.now() } },
+        options: { sort: { startsAt: 1 } }
       });
 
     res.json({
-      preferences: user.eventPreferences,
+      preferences: user.preferences,
       registeredEvents: user.registeredEvents
     });
   } catch (error) {
+    logger.error('Error fetching user dashboard', { err: error });
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -1,99 +1,210 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const Event = require('../models/Event');
 const User = require('../models/User');
+const EventSeries = require('../models/EventSeries');
 const auth = require('../middleware/auth');
-const adminCheck = require('../middleware/admin');
-const { body, validationResult } = require('express-validator');
-
-// Validation middleware
-const validateEvent = [
-  body('title').trim().notEmpty().withMessage('Title is required'),
-  body('description').trim().notEmpty().withMessage('Description is required'),
-  body('date').isISO8601().withMessage('Valid date is required'),
-  body('time').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid time in HH:MM format is required'),
-  body('location').trim().notEmpty().withMessage('Location is required'),
-  body('capacity').isInt({ min: 1 }).withMessage('Capacity must be at least 1'),
-  body('type').isIn(['Academic', 'Social', 'Sports', 'Cultural', 'Workshop', 'Conference']).withMessage('Invalid event type'),
+const optionalAuth = require('../middleware/optionalAuth');
+const { requirePermission, requireEventAccess } = require('../middleware/permissions');
+const { PERMISSIONS, hasPermission, canViewEvent, manageableEventsFilter } = require('../utils/permissions');
+const verified = require('../middleware/verified');
+const { validateEvent, validateLifecycle } = require('../middleware/validateEvent');
+const { createEvent } = require('../utils/eventCreation');
+const { promoteFromWaitlist } = require('../utils/waitlist');
+const {
+  registerUser,
+  cancelRegistration,
+  joinWaitlist,
+  leaveWaitlist,
+  setCapacity
+} = require('../utils/registration');
+const { notifyUser, notifyUsers, isRescheduled } = require('../utils/notifications');
+const clock = require('../utils/clock');
+const { buildVEvent, buildCalendar } = require('../utils/ical');
+const { recordCalendarCancellation } = require('../utils/calendar');
+const { QR_PREFIX, createCheckInToken, getCheckInWindow } = require('../utils/checkIn');
+const {
+  WEEKDAYS,
+  TIME_OF_DAY,
+  SORT_OPTIONS,
+  parseWeekday,
+  buildListingFilters
+} = require('../utils/eventSearch');
+const {
+  MAX_IMPORT_ROWS,
+  parseImportFile,
+  validateImportRows,
+  insertImportedEvents
+} = require('../utils/eventImport');
+const { parseRRule, validateRecurrence, generateOccurrenceDates } = require('../utils/recurrence');
+const { getSeriesChanges, createSeries, updateSeriesOccurrences } = require('../utils/series');
+const { eventSnapshot, recordAudit } = require('../utils/audit');
+const {
+  EVENT_STATUSES,
+  canTransition,
+  initialLifecycle,
+  withoutLifecycleFields
+} = require('../utils/eventStatus');
+const { publishEvents, cancelEvent, completeEvent } = require('../utils/eventLifecycle');
+const { getRecommendations } = require('../utils/recommendations');
+const { broadcastEvent, broadcastEventDeleted } = require('../utils/realtime');
+const { emitEventWebhook } = require('../utils/webhooks');
+const Feedback = require('../models/Feedback');
+const {
+  REGISTRATION_CONFLICT_MODE,
+  conflictingPairs,
+  findScheduleConflicts,
+  findRegistrationConflicts
+} = require('../utils/scheduleConflicts');
+const { feedbackIneligibility, eventRatingStats, creatorRatingStats } = require('../utils/feedback');
+const {
+  resolveVenueLocation,
+  checkVenueBookings,
+  rejectsBooking,
+  withVenueWarnings
+} = require('../utils/venues');
+const { body, param, query, validationResult } = require('express-validator');
+const logger = require('../utils/logger').child({ component: 'events' });
+
+// Validation for event feedback
+const validateFeedback = [
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be a whole number from 1 to 5'),
+  body('comment').optional({ values: 'null' }).isString().trim()
+    .isLength({ max: 2000 }).withMessage('Comment cannot be more than 2000 characters'),
 ];
 
-// Get all events with filtering and pagination
-router.get('/', async (req, res) => {
-  console.log('[EVENTS API] Fetching all events');
-  try {
-    const { type, page = 1, limit = 10 } = req.query;
-    let query = {};
+// Validation for listing query parameters
+const validateListing = [
+  query('q').optional().trim().isLength({ max: 200 }).withMessage('Search text is too long'),
+  query('from').optional().isISO8601().withMessage('from must be a valid date'),
+  query('to').optional().isISO8601().withMessage('to must be a valid date'),
+  query('weekday').optional().custom(value => value.split(',').every(day => parseWeekday(day.trim()) !== -1))
+    .withMessage(`weekday must be a list of ${WEEKDAYS.join(', ')} or 0-6`),
+  query('timeOfDay').optional().custom(value => value.split(',').every(slot => TIME_OF_DAY[slot.trim()]))
+    .withMessage(`timeOfDay must be a list of ${Object.keys(TIME_OF_DAY).join(', ')}`),
+  query('hasSeats').optional().isIn(['true', 'false']).withMessage('hasSeats must be true or false'),
+  query('sort').optional().isIn(Object.keys(SORT_OPTIONS)).withMessage(`sort must be one of ${Object.keys(SORT_OPTIONS).join(', ')}`),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100'),
+  query('collapseSeries').optional().isIn(['true', 'false']).withMessage('collapseSeries must be true or false'),
+];
 
-    // Type filter
-    if (type) {
-      const types = type.split(',');
-      query.type = { $in: types };
+// Get all events with search, filtering, sorting and pagination
+router.get('/', validateListing, async (req, res) => {
+  logger.debug('Fetching all events');
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
+    const { sort = 'soonest', page = 1, limit = 10, collapseSeries } = req.query;
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+
     // Only get upcoming events
-    const now = new Date('2024-12-14T04:13:12Z'); // Using the provided current time
-    console.log('[EVENTS API] Current time:', now.toISOString());
-
-    // Get all events and filter in memory to handle date+time comparison
-    const allEvents = await Event.find(query).populate('creator', 'name');
-    
-    // Filter events where the combined date and time is in the future
-    const upcomingEvents = allEvents.filter(event => {
-      const [hours, minutes] = event.time.split(':').map(Number);
-      const eventDateTime = new Date(event.date);
-      eventDateTime.setUTCHours(hours, minutes, 0, 0);
-      
-      console.log(`[EVENTS API] Comparing event: ${event.title}`);
-      console.log(`Event datetime: ${eventDateTime.toISOString()}`);
-      console.log(`Current time: ${now.toISOString()}`);
-      console.log(`Is upcoming: ${eventDateTime > now}`);
-      
-      return eventDateTime > now;
-    });
+    const { match, typeMatch } = buildListingFilters(req.query, clock.now());
 
-    // Sort events by date and time
-    upcomingEvents.sort((a, b) => {
-      const aDateTime = new Date(a.date);
-      const bDateTime = new Date(b.date);
-      const [aHours, aMinutes] = a.time.split(':').map(Number);
-      const [bHours, bMinutes] = b.time.split(':').map(Number);
-      
-      aDateTime.setUTCHours(aHours, aMinutes, 0, 0);
-      bDateTime.setUTCHours(bHours, bMinutes, 0, 0);
-      
-      return aDateTime - bDateTime;
-    });
+    // Optionally show each series once, as its soonest matching occurrence
+    const collapseStages = collapseSeries === 'true' ? [
+      { $sort: { startsAt: 1 } },
+      {
+        $group: {
+          _id: { $ifNull: ['$series', '$_id'] },
+          event: { $first: '$$ROOT' },
+          seriesOccurrences: { $sum: 1 }
+        }
+      },
+      { $replaceRoot: { newRoot: { $mergeObjects: ['$event', { seriesOccurrences: '$seriesOccurrences' }] } } }
+    ] : [];
+
+    const [result] = await Event.aggregate([
+      { $match: match },
+      { $addFields: { registrationCount: { $size: '$registrations' } } },
+      ...collapseStages,
+      {
+        $facet: {
+          events: [
+            { $match: typeMatch },
+            { $sort: SORT_OPTIONS[sort] },
+            { $skip: (pageNumber - 1) * pageSize },
+            { $limit: pageSize }
+          ],
+          total: [
+            { $match: typeMatch },
+            { $count: 'count' }
+          ],
+          types: [
+            { $group: { _id: '$type', count: { $sum: 1 } } }
+          ]
+        }
+      }
+    ]);
 
-    // Apply pagination
-    const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + parseInt(limit);
-    const paginatedEvents = upcomingEvents.slice(startIndex, endIndex);
-
-    console.log(`[EVENTS API] Found ${paginatedEvents.length} events after filtering and pagination`);
-    paginatedEvents.forEach(event => {
-      const [hours, minutes] = event.time.split(':').map(Number);
-      const eventDateTime = new Date(event.date);
-      eventDateTime.setUTCHours(hours, minutes, 0, 0);
-      console.log(`Returning event: ${event.title}, DateTime: ${eventDateTime.toISOString()}`);
+    // Hydrate so the response keeps the model's virtuals
+    const paginatedEvents = await Event.populate(
+      result.events.map(doc => Event.hydrate(doc)),
+      { path: 'creator', select: 'name' }
+    );
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+
+    // Every type gets a count, even when zero, so filter chips stay stable
+    const typeCounts = Object.fromEntries(Event.schema.path('type').enumValues.map(type => [type, 0]));
+    result.types.forEach(({ _id, count }) => {
+      typeCounts[_id] = count;
     });
 
+    logger.debug('Found upcoming events', { count: paginatedEvents.length, total });
+
     res.json({
       events: paginatedEvents,
       pagination: {
-        total: upcomingEvents.length,
-        page: parseInt(page),
-        pages: Math.ceil(upcomingEvents.length / limit),
+        total,
+        page: pageNumber,
+        pages: Math.ceil(total / pageSize),
+      },
+      facets: {
+        types: typeCounts,
       },
     });
   } catch (error) {
-    console.error('[EVENTS API] Error fetching events:', error);
+    logger.error('Error fetching events', { err: error });
     res.status(500).json({ message: 'Error fetching events' });
   }
 });
 
+// Get upcoming events recommended for the current user, best match first, with the
+// reasons behind each score. Events the user is registered for are left out.
+router.get('/recommended', [
+  auth,
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const recommendations = await getRecommendations(req.user, {
+      now: clock.now(),
+      limit: parseInt(req.query.limit || 10)
+    });
+
+    res.json(recommendations.map(({ event, score, reasons }) => ({
+      ...event.toJSON(),
+      matchesPreferences: req.user.preferences.includes(event.type),
+      recommendation: { score, reasons }
+    })));
+  } catch (error) {
+    logger.error('Error fetching recommended events', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get user's registered events with filtering
 router.get('/registered', auth, async (req, res) => {
-  console.log(`[EVENTS API] Fetching registered events for user ${req.user.id}`);
+  logger.debug('Fetching registered events');
   try {
     const user = await User.findById(req.user.id);
     if (!user) {
@@ -118,174 +229,286 @@ router.get('/registered', auth, async (req, res) => {
 
     // Get events and sort by date
     const events = await Event.find(query)
-      .sort({ date: 1, time: 1 })
+      .sort({ startsAt: 1 })
       .populate('creator', 'name')
       .lean();
 
+    // IDs of the other listed events each event overlaps with
+    const overlaps = new Map(events.map(event => [event._id.toString(), []]));
+    conflictingPairs(events.filter(event => event.status === 'published' && event.endsAt))
+      .forEach(({ first, second }) => {
+        overlaps.get(first._id.toString()).push(second._id);
+        overlaps.get(second._id.toString()).push(first._id);
+      });
+
     // Add registration status to each event
     const eventsWithStatus = events.map(event => ({
       ...event,
       isRegistered: true, // All events here are registered
       registrationDate: event.registrations.find(
         r => r.user.toString() === req.user.id
-      )?.registeredAt
+      )?.registeredAt,
+      conflictsWith: overlaps.get(event._id.toString())
     }));
 
     res.json(eventsWithStatus);
   } catch (error) {
-    console.error('Error fetching registered events:', error);
+    logger.error('Error fetching registered events', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get pairs of the current user's upcoming registrations that overlap in time
+router.get('/registered/conflicts', auth, async (req, res) => {
+  try {
+    const conflicts = await findRegistrationConflicts(req.user._id, clock.now());
+    res.json({ total: conflicts.length, conflicts });
+  } catch (error) {
+    logger.error('Error fetching registration conflicts', { err: error });
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Get events the current user is waitlisted for, with queue positions
+router.get('/waitlisted', auth, async (req, res) => {
+  logger.debug('Fetching waitlisted events');
+  try {
+    const events = await Event.find({ 'waitlist.user': req.user.id })
+      .sort({ startsAt: 1 })
+      .populate('creator', 'name');
+
+    const eventsWithPosition = events.map(event => ({
+      ...event.toJSON(),
+      waitlistPosition: event.waitlistPosition(req.user.id)
+    }));
+
+    res.json(eventsWithPosition);
+  } catch (error) {
+    logger.error('Error fetching waitlisted events', { err: error });
+    res.status(500).json({ message: 'Error fetching waitlisted events' });
+  }
+});
+
 // Get past events for current user
 router.get('/past', auth, async (req, res) => {
-  console.log(`[EVENTS API] Fetching past events for user ${req.user.id}`);
+  logger.debug('Fetching past events');
   try {
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = now.getMonth();
-    const day = now.getDate();
-    const hours = now.getHours();
-    const minutes = now.getMinutes();
-    
-    // Create a date string in ISO format for today at current time
-    const nowString = `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}T${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:00.000Z`;
-    
-    console.log('[EVENTS API] Current time:', nowString);
-    
-    const events = await Event.find({
-      'registrations.user': req.user.id,
-      $expr: {
-        $or: [
-          // If date is in the past
-          { $lt: ['$date', now] },
-          // If date is today, check the time
-          {
-            $and: [
-              { $eq: [{ $dateToString: { format: '%Y-%m-%d', date: '$date' } }, { $dateToString: { format: '%Y-%m-%d', date: now } }] },
-              { $lt: ['$time', { $dateToString: { format: '%H:%M', date: now } }] }
-            ]
-          }
-        ]
-      }
-    })
+    const events = await Event.find({ 'registrations.user': req.user.id })
+    .past(clock.now())
     .populate('creator', 'name')
-    .sort({ date: -1, time: -1 });
+    .sort({ startsAt: -1 });
 
-    console.log(`[EVENTS API] Found ${events.length} past events`);
+    logger.debug('Found past events', { count: events.length });
     res.json(events);
   } catch (error) {
-    console.error('[EVENTS API] Error fetching past events:', error);
+    logger.error('Error fetching past events', { err: error });
     res.status(500).json({ message: 'Error fetching past events' });
   }
 });
 
-// Get all events (admin only)
-router.get('/admin', [auth, adminCheck], async (req, res) => {
+// Get all manageable events (admins see every event, organizers their own)
+router.get('/admin', [auth, requirePermission(PERMISSIONS.EVENTS_MANAGE_ANY, PERMISSIONS.EVENTS_MANAGE_OWN)], async (req, res) => {
   try {
+    // status is upcoming (default), past or all, or a lifecycle status such as draft
     const { status = 'upcoming' } = req.query;
-    let dateQuery = {};
-
-    if (status === 'upcoming') {
-      const now = new Date();
-      const year = now.getFullYear();
-      const month = now.getMonth();
-      const day = now.getDate();
-      const hours = now.getHours();
-      const minutes = now.getMinutes();
-      
-      // Create a date string in ISO format for today at current time
-      const nowString = `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}T${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:00.000Z`;
-      
-      console.log('[EVENTS API] Current time:', nowString);
-      
-      dateQuery.$expr = {
-        $or: [
-          // If date is in the future
-          { $gt: ['$date', now] },
-          // If date is today, check the time
-          {
-            $and: [
-              { $eq: [{ $dateToString: { format: '%Y-%m-%d', date: '$date' } }, { $dateToString: { format: '%Y-%m-%d', date: now } }] },
-              { $gt: ['$time', { $dateToString: { format: '%H:%M', date: now } }] }
-            ]
-          }
-        ]
-      };
+    const now = clock.now();
+    let eventsQuery = Event.find(manageableEventsFilter(req.user));
+
+    if (EVENT_STATUSES.includes(status)) {
+      eventsQuery = eventsQuery.where({ status });
+    } else if (status === 'upcoming') {
+      eventsQuery = eventsQuery.upcoming(now);
     } else if (status === 'past') {
-      const now = new Date();
-      const year = now.getFullYear();
-      const month = now.getMonth();
-      const day = now.getDate();
-      const hours = now.getHours();
-      const minutes = now.getMinutes();
-      
-      // Create a date string in ISO format for today at current time
-      const nowString = `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}T${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:00.000Z`;
-      
-      console.log('[EVENTS API] Current time:', nowString);
-      
-      dateQuery.$expr = {
-        $or: [
-          // If date is in the past
-          { $lt: ['$date', now] },
-          // If date is today, check the time
-          {
-            $and: [
-              { $eq: [{ $dateToString: { format: '%Y-%m-%d', date: '$date' } }, { $dateToString: { format: '%Y-%m-%d', date: now } }] },
-              { $lt: ['$time', { $dateToString: { format: '%H:%M', date: now } }] }
-            ]
-          }
-        ]
-      };
-    }
-
-    const events = await Event.find(dateQuery)
+      eventsQuery = eventsQuery.past(now);
+    }
+
+    const events = await eventsQuery
       .populate('creator', 'name')
       .populate('registrations.user', 'name email')
-      .sort({ date: status === 'past' ? -1 : 1, time: status === 'past' ? -1 : 1 });
+      .sort({ startsAt: status === 'past' ? -1 : 1 });
 
     res.json(events);
   } catch (error) {
-    console.error('Get admin events error:', error);
+    logger.error('Get admin events error', { err: error });
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Create event (admin only)
-router.post('/admin', [auth, adminCheck, validateEvent], async (req, res) => {
+// Create event (admins and organizers)
+router.post('/admin', [auth, requirePermission(PERMISSIONS.EVENTS_CREATE), validateEvent, validateLifecycle], createEvent);
+
+// Accept a single CSV/JSON upload in the "file" field, kept in memory
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 1024 * 1024 } });
+const uploadImportFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ message: error.message });
+    }
+    next();
+  });
+};
+
+// Bulk import events from a CSV or JSON file (admins and organizers)
+// Every row is checked against validateEvent, the Event schema and venue bookings. Nothing is written
+// unless dryRun=false, in which case all valid rows are inserted together.
+// Imported events are drafts unless status=published is given.
+router.post('/admin/import', [auth, requirePermission(PERMISSIONS.EVENTS_CREATE), uploadImportFile], async (req, res) => {
+  try {
+    let rows;
+    try {
+      rows = req.file ? parseImportFile(req.file) : req.body.events;
+    } catch (error) {
+      return res.status(400).json({ message: `Could not read import file: ${error.message}` });
+    }
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({ message: 'Upload a CSV or JSON file with at least one event' });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ message: `Imports are limited to ${MAX_IMPORT_ROWS} events` });
+    }
+
+    const dryRun = String(req.query.dryRun ?? req.body.dryRun ?? 'true') !== 'false';
+    logger.info('Importing events', { rows: rows.length, dryRun });
+
+    const results = await validateImportRows(rows, {
+      validators: validateEvent,
+      creatorId: req.user.id,
+      now: clock.now()
+    });
+    const validResults = results.filter(result => result.errors.length === 0);
+
+    const status = req.query.status ?? req.body.status;
+    if (status !== undefined && !['draft', 'published'].includes(status)) {
+      return res.status(400).json({ message: 'Imported events must be draft or published' });
+    }
+
+    if (!dryRun && validResults.length > 0) {
+      const lifecycle = initialLifecycle({ status }, clock.now());
+      validResults.forEach(({ event }) => event.set(lifecycle));
+      await insertImportedEvents(validResults.map(result => result.event));
+      await Promise.all(validResults.map(async ({ event }) => {
+        await broadcastEvent('created', event);
+        await emitEventWebhook('created', event);
+      }));
+      await Promise.all(validResults.map(({ event }) => recordAudit(req, {
+        action: 'event.create',
+        targetType: 'Event',
+        targetId: event._id,
+        after: eventSnapshot(event),
+        metadata: { source: 'import' }
+      })));
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      dryRun,
+      summary: {
+        total: results.length,
+        valid: validResults.length,
+        invalid: results.length - validResults.length,
+        withWarnings: results.filter(result => result.warnings.length > 0).length,
+        inserted: dryRun ? 0 : validResults.length,
+      },
+      rows: results.map(({ event, ...result }) => ({
+        ...result,
+        status: result.errors.length === 0 ? 'valid' : 'invalid',
+        eventId: !dryRun && event ? event._id : undefined,
+      })),
+    });
+  } catch (error) {
+    logger.error('Import events error', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a recurring event series (admins and organizers)
+// Takes the usual event fields (date is the first occurrence) plus either an `rrule`
+// string such as "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10" or a `recurrence` object,
+// and optional `exceptions` (dates to skip).
+router.post('/admin/series', [auth, requirePermission(PERMISSIONS.EVENTS_CREATE), validateEvent, validateLifecycle], async (req, res) => {
   try {
-    // Check for validation errors
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { title, description, date, time, location, capacity, type } = req.body;
+    const {
+      title, description, date, time, timezone, capacity, type, venue, endTime, durationMinutes, rrule, exceptions = []
+    } = req.body;
+
+    let { location } = req.body;
+    if (venue) {
+      location = await resolveVenueLocation(venue, location);
+      if (!location) {
+        return res.status(400).json({ message: 'Venue not found' });
+      }
+    }
+
+    let recurrence;
+    try {
+      recurrence = rrule ? parseRRule(rrule) : { ...req.body.recurrence };
+    } catch (error) {
+      return res.status(400).json({ message: 'Invalid recurrence rule', details: [error.message] });
+    }
+    if (!Array.isArray(exceptions)) {
+      return res.status(400).json({ message: 'Exceptions must be an array of dates' });
+    }
+    recurrence.exceptions = exceptions;
+
+    const recurrenceErrors = validateRecurrence(recurrence);
+    if (recurrenceErrors.length > 0) {
+      return res.status(400).json({ message: 'Invalid recurrence rule', details: recurrenceErrors });
+    }
+
+    if (generateOccurrenceDates(recurrence, date).length === 0) {
+      return res.status(400).json({ message: 'Recurrence rule does not produce any occurrences' });
+    }
+
+    const { series, occurrences, venueIssues } = await createSeries(
+      { title, description, date, time, timezone, location, venue, capacity, type, endTime, durationMinutes },
+      recurrence,
+      req.user.id,
+      initialLifecycle(req.body, clock.now())
+    );
+
+    if (!series) {
+      return res.status(409).json({ message: 'Venue booking conflict', issues: venueIssues });
+    }
 
-    // Create event with validated data
-    const event = new Event({
-      title,
-      description,
-      date,
-      time,
-      location,
-      capacity,
-      type,
-      creator: req.user.id,
+    await recordAudit(req, {
+      action: 'series.create',
+      targetType: 'EventSeries',
+      targetId: series._id,
+      after: series.toObject(),
+      metadata: { occurrences: occurrences.map(occurrence => occurrence._id) }
     });
+    await Promise.all(occurrences.map(async (occurrence) => {
+      await broadcastEvent('created', occurrence);
+      await emitEventWebhook('created', occurrence);
+    }));
 
-    await event.save();
-    res.status(201).json(event);
+    res.status(201).json({
+      series,
+      occurrences,
+      ...(venueIssues.length > 0 ? { venueWarnings: venueIssues } : {})
+    });
   } catch (error) {
-    console.error('Create event error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation Error',
+        details: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    logger.error('Create series error', { err: error });
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Update event (admin only)
-router.put('/admin/:id', [auth, adminCheck, validateEvent], async (req, res) => {
+// Update event (admins and the event's organizers)
+// For series occurrences, ?scope=this (default), following or all picks which occurrences change.
+// Series-wide scopes apply title, description, time, timezone, location, venue, type and capacity,
+// keeping each occurrence's duration; the date and end can only be changed on a single occurrence.
+router.put('/admin/:id', [auth, requireEventAccess('id'), validateEvent], async (req, res) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -298,91 +521,480 @@ router.put('/admin/:id', [auth, adminCheck, validateEvent], async (req, res) =>
       return res.status(404).json({ message: 'Event not found' });
     }
 
-    // Check if reducing capacity below current registrations
-    if (req.body.capacity < event.registrations.length) {
-      return res.status(400).json({
+    if (!['draft', 'published'].includes(event.status)) {
+      return res.status(400).json({ message: `Cannot edit a ${event.status} event` });
+    }
+
+    // A new venue must be bookable; without a location the event takes the venue's label
+    if (req.body.venue && String(req.body.venue) !== String(event.venue)) {
+      req.body.location = await resolveVenueLocation(req.body.venue, req.body.location);
+      if (!req.body.location) {
+        return res.status(400).json({ message: 'Venue not found' });
+      }
+    } else if (req.body.venue && !req.body.location) {
+      req.body.location = event.location;
+    }
+
+    const { scope = 'this' } = req.query;
+    if (!['this', 'following', 'all'].includes(scope)) {
+      return res.status(400).json({ message: 'Scope must be this, following or all' });
+    }
+    if (scope !== 'this' && !event.series) {
+      return res.status(400).json({ message: 'Only occurrences of a series can be edited with this scope' });
+    }
+
+    if (scope !== 'this') {
+      const result = await updateSeriesOccurrences(
+        event,
+        getSeriesChanges(event, req.body),
+        scope,
+        clock.now()
+      );
+
+      if (result.conflicts) {
+        return res.status(400).json({
+          message: 'Cannot reduce capacity below current number of registrations',
+          occurrences: result.conflicts,
+        });
+      }
+      if (rejectsBooking(result.venueIssues)) {
+        return res.status(409).json({ message: 'Venue booking conflict', issues: result.venueIssues });
+      }
+
+      await recordAudit(req, {
+        action: 'series.update',
+        targetType: 'EventSeries',
+        targetId: event.series,
+        metadata: {
+          scope,
+          editedEvent: event._id,
+          changes: getSeriesChanges(event, req.body),
+          updatedEvents: result.updated.map(updated => updated._id)
+        }
+      });
+
+      await Promise.all(result.updated.map(async (updated) => {
+        await broadcastEvent('updated', updated);
+        await emitEventWebhook('updated', updated);
+      }));
+
+      return res.json({
+        updated: result.updated.length,
+        events: result.updated,
+        ...(result.venueIssues.length > 0 ? { venueWarnings: result.venueIssues } : {})
+      });
+    }
+
+    const previous = { date: event.date, time: event.time, location: event.location };
+    const before = eventSnapshot(event);
+
+    // Remember what this occurrence changed so later series-wide edits keep it
+    if (event.series) {
+      const changed = Object.keys(getSeriesChanges(event, req.body));
+      if (new Date(req.body.date).getTime() !== event.date.getTime()) {
+        changed.push('date');
+      }
+      event.overriddenFields = [...new Set([...event.overriddenFields, ...changed])];
+    }
+
+    // Ownership only changes through the co-organizers endpoint,
+    // and status only through the lifecycle endpoints
+    const { creator, coOrganizers, ...updates } = withoutLifecycleFields(req.body);
+
+    Object.assign(event, updates);
+    if (req.body.endTime || req.body.durationMinutes) {
+      event.setEnd(req.body);
+    }
+
+    const venueIssues = await checkVenueBookings([event]);
+    if (rejectsBooking(venueIssues)) {
+      return res.status(409).json({ message: 'Venue booking conflict', issues: venueIssues });
+    }
+
+    // A lower capacity is checked against the registrations at the time of the write
+    if (event.capacity < before.capacity && !(await setCapacity(event._id, event.capacity))) {
+      return res.status(409).json({
         message: 'Cannot reduce capacity below current number of registrations',
       });
     }
 
-    Object.assign(event, req.body);
     await event.save();
 
-    res.json(event);
+    await recordAudit(req, {
+      action: 'event.update',
+      targetType: 'Event',
+      targetId: event._id,
+      before,
+      after: eventSnapshot(event)
+    });
+
+    if (isRescheduled(previous, event)) {
+      await notifyUsers(event.registrations.map(reg => reg.user), 'reschedule', event, { previous });
+    }
+
+    await broadcastEvent('updated', event);
+    await emitEventWebhook('updated', event);
+
+    // A capacity increase may free seats for waitlisted users
+    await promoteFromWaitlist(event);
+
+    res.json(withVenueWarnings(event, venueIssues));
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation Error',
+        details: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    logger.error('Update event error', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Replace an event's co-organizers (admins and the event's creator)
+router.put('/admin/:id/co-organizers', [auth, requireEventAccess('id', { ownerOnly: true })], async (req, res) => {
+  try {
+    const { coOrganizers } = req.body;
+    if (!Array.isArray(coOrganizers)) {
+      return res.status(400).json({ message: 'Co-organizers must be an array of user IDs' });
+    }
+
+    const ids = [...new Set(coOrganizers.map(String))];
+    const users = await User.find({ _id: { $in: ids } }).select('name email role');
+    const eligible = users.filter(user => hasPermission(user, PERMISSIONS.EVENTS_MANAGE_OWN));
+
+    if (eligible.length !== ids.length) {
+      return res.status(400).json({ message: 'Co-organizers must be existing users with the organizer role' });
+    }
+
+    const previous = await Event.findById(req.params.id).select('coOrganizers');
+    const event = await Event.findByIdAndUpdate(
+      req.params.id,
+      { coOrganizers: ids },
+      { new: true }
+    ).populate('coOrganizers', 'name email');
+
+    await recordAudit(req, {
+      action: 'event.update',
+      targetType: 'Event',
+      targetId: event._id,
+      before: { coOrganizers: previous.coOrganizers.map(String) },
+      after: { coOrganizers: ids }
+    });
+
+    res.json(event.coOrganizers);
   } catch (error) {
-    console.error('Update event error:', error);
+    logger.error('Update co-organizers error', { err: error });
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Delete event (admin only)
-router.delete('/admin/:id', [auth, adminCheck], async (req, res) => {
+// Delete event (admins and the event's organizers)
+// Only drafts and events nobody registered for can be deleted; others must be cancelled
+// so their registration history is kept.
+router.delete('/admin/:id', [auth, requireEventAccess('id')], async (req, res) => {
   try {
     const event = await Event.findById(req.params.id);
     if (!event) {
       return res.status(404).json({ message: 'Event not found' });
     }
 
+    if (event.status !== 'draft' && (event.registrations.length > 0 || event.waitlist.length > 0)) {
+      return res.status(409).json({
+        message: 'Events with registrations cannot be deleted, cancel the event instead',
+      });
+    }
+
     // Check if event has already started
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = now.getMonth();
-    const day = now.getDate();
-    const hours = now.getHours();
-    const minutes = now.getMinutes();
-    
-    // Create a date string in ISO format for today at current time
-    const nowString = `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}T${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:00.000Z`;
-    
-    console.log('[EVENTS API] Current time:', nowString);
-    
-    if (event.date < now || (event.date.toISOString().split('T')[0] === now.toISOString().split('T')[0] && event.time < { $dateToString: { format: '%H:%M', date: now } })) {
+    if (event.hasStarted(clock.now())) {
       return res.status(400).json({
         message: 'Cannot delete an event that has already started',
       });
     }
 
-    // Notify registered users (implement notification system)
-    // TODO: Implement notification system
+    const affectedUsers = [
+      ...event.registrations.map(reg => reg.user),
+      ...event.waitlist.map(entry => entry.user)
+    ];
+
+    await event.deleteOne();
+    await broadcastEventDeleted(event);
+    await emitEventWebhook('deleted', event);
+    await User.updateMany(
+      { _id: { $in: event.registrations.map(reg => reg.user) } },
+      { $pull: { registeredEvents: event._id } }
+    );
+
+    await recordAudit(req, {
+      action: 'event.delete',
+      targetType: 'Event',
+      targetId: event._id,
+      before: eventSnapshot(event),
+      metadata: { registrations: event.registrations.length, waitlist: event.waitlist.length }
+    });
+
+    // Notify registered and waitlisted users
+    await notifyUsers(affectedUsers, 'deletion', event);
+    await recordCalendarCancellation(event.registrations.map(reg => reg.user), event);
 
-    await event.remove();
     res.json({ message: 'Event removed successfully' });
   } catch (error) {
-    console.error('Delete event error:', error);
+    logger.error('Delete event error', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Publish a draft now, or schedule it with { publishAt }.
+// For series occurrences, ?scope=all publishes every draft occurrence of the series.
+router.post('/admin/:id/publish', [auth, requireEventAccess('id')], async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const { scope = 'this' } = req.query;
+    if (!['this', 'all'].includes(scope)) {
+      return res.status(400).json({ message: 'Scope must be this or all' });
+    }
+    if (scope === 'all' && !event.series) {
+      return res.status(400).json({ message: 'Only occurrences of a series can be published with this scope' });
+    }
+    if (scope === 'this' && !canTransition(event.status, 'published')) {
+      return res.status(400).json({ message: `Cannot publish a ${event.status} event` });
+    }
+
+    const { publishAt } = req.body;
+    if (publishAt && isNaN(new Date(publishAt))) {
+      return res.status(400).json({ message: 'publishAt must be a valid date' });
+    }
+
+    const filter = scope === 'all' ? { series: event.series } : { _id: event._id };
+    await publishEvents(filter, publishAt ? new Date(publishAt) : null, clock.now());
+
+    const events = await Event.find(filter).sort({ startsAt: 1 });
+    await Promise.all(events.map(updated => recordAudit(req, {
+      action: 'event.publish',
+      targetType: 'Event',
+      targetId: updated._id,
+      metadata: { publishAt: updated.publishAt, scope }
+    })));
+
+    res.json(scope === 'all' ? { events } : events[0]);
+  } catch (error) {
+    logger.error('Publish event error', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel a published event with a { reason }. Registrations are kept.
+router.post('/admin/:id/cancel', [auth, requireEventAccess('id')], async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      return res.status(400).json({ message: 'A cancellation reason is required' });
+    }
+
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    if (!canTransition(event.status, 'cancelled')) {
+      return res.status(400).json({ message: `Cannot cancel a ${event.status} event` });
+    }
+
+    const cancelled = await cancelEvent(event, { reason, cancelledBy: req.user._id }, clock.now());
+    if (!cancelled) {
+      return res.status(409).json({ message: 'Event status changed, please reload' });
+    }
+
+    await recordAudit(req, {
+      action: 'event.cancel',
+      targetType: 'Event',
+      targetId: event._id,
+      before: { status: event.status },
+      after: { status: cancelled.status },
+      metadata: { reason }
+    });
+
+    res.json(cancelled);
+  } catch (error) {
+    logger.error('Cancel event error', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mark a published event as completed once it has started
+// (events are also completed automatically when they end)
+router.post('/admin/:id/complete', [auth, requireEventAccess('id')], async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    if (!canTransition(event.status, 'completed')) {
+      return res.status(400).json({ message: `Cannot complete a ${event.status} event` });
+    }
+    if (!event.hasStarted(clock.now())) {
+      return res.status(400).json({ message: 'Cannot complete an event that has not started' });
+    }
+
+    const completed = await completeEvent(event, clock.now());
+    if (!completed) {
+      return res.status(409).json({ message: 'Event status changed, please reload' });
+    }
+
+    await recordAudit(req, {
+      action: 'event.complete',
+      targetType: 'Event',
+      targetId: event._id,
+      before: { status: event.status },
+      after: { status: completed.status }
+    });
+
+    res.json(completed);
+  } catch (error) {
+    logger.error('Complete event error', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get rating stats over all events created by a user
+router.get('/creators/:id/ratings', param('id').isMongoId().withMessage('Invalid creator ID'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const creator = await User.findById(req.params.id).select('name');
+    if (!creator) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      creator: { _id: creator._id, name: creator.name },
+      ratings: await creatorRatingStats(creator._id)
+    });
+  } catch (error) {
+    logger.error('Error fetching creator ratings', { err: error });
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Get a recurring series with its occurrences
+router.get('/series/:id', optionalAuth, async (req, res) => {
+  try {
+    const series = await EventSeries.findById(req.params.id)
+      .populate('creator', 'name');
+
+    if (!series) {
+      return res.status(404).json({ message: 'Series not found' });
+    }
+
+    const occurrences = (await Event.find({ series: series._id })
+      .sort({ startsAt: 1 }))
+      .filter(occurrence => canViewEvent(req.user, occurrence));
+
+    if (occurrences.length === 0) {
+      return res.status(404).json({ message: 'Series not found' });
+    }
+
+    res.json({ series, occurrences });
+  } catch (error) {
+    logger.error('Error fetching series', { err: error });
+    res.status(500).json({ message: 'Error fetching series' });
+  }
+});
+
 // Get single event
-router.get('/:id', async (req, res) => {
-  console.log(`[EVENTS API] Fetching event ${req.params.id}`);
+router.get('/:id', optionalAuth, async (req, res) => {
+  logger.debug('Fetching event', { eventId: req.params.id });
   try {
     const event = await Event.findById(req.params.id)
       .populate('creator', 'name')
+      .populate('venue', 'name building capacity accessibility equipment')
       .populate('registrations.user', 'name email');
 
-    if (!event) {
-      console.log('[EVENTS API] Event not found');
+    if (!event || !canViewEvent(req.user, event)) {
+      logger.debug('Event not found');
       return res.status(404).json({ message: 'Event not found' });
     }
 
-    console.log('[EVENTS API] Event found successfully');
+    logger.debug('Event found successfully');
     res.json(event);
   } catch (error) {
-    console.error('[EVENTS API] Error fetching event:', error);
+    logger.error('Error fetching event', { err: error });
     res.status(500).json({ message: 'Error fetching event' });
   }
 });
 
-// Register for an event
-router.post('/:id/register', auth, async (req, res) => {
-  console.log(`[EVENTS API] Registering user ${req.user.id} for event ${req.params.id}`);
+// Export a single event as an iCalendar file
+router.get('/:id/ics', optionalAuth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id)
+      .populate('creator', 'name email');
+
+    if (!event || !canViewEvent(req.user, event)) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const calendar = buildCalendar([
+      buildVEvent(event, { cancelled: event.status === 'cancelled', now: clock.now() })
+    ]);
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="event-${event._id}.ics"`);
+    res.send(calendar);
+  } catch (error) {
+    logger.error('Error exporting event calendar', { err: error });
+    res.status(500).json({ message: 'Error exporting event' });
+  }
+});
+
+// Get the current user's check-in token for an event, to be shown as a QR code
+router.get('/:id/check-in-token', auth, async (req, res) => {
   try {
     const event = await Event.findById(req.params.id);
     if (!event) {
       return res.status(404).json({ message: 'Event not found' });
     }
 
+    const registration = event.registrations.find(
+      reg => reg.user.toString() === req.user.id
+    );
+    if (!registration) {
+      return res.status(404).json({ message: 'Not registered for this event' });
+    }
+    if (event.status === 'cancelled') {
+      return res.status(400).json({ message: 'This event has been cancelled' });
+    }
+
+    const token = createCheckInToken(event._id, registration._id);
+    const { opensAt, closesAt } = getCheckInWindow(event);
+
+    res.json({
+      token,
+      qrPayload: `${QR_PREFIX}${token}`,
+      checkedInAt: registration.checkedInAt,
+      opensAt,
+      closesAt
+    });
+  } catch (error) {
+    logger.error('Error creating check-in token', { err: error });
+    res.status(500).json({ message: 'Error creating check-in token' });
+  }
+});
+
+// Register for an event
+router.post('/:id/register', [auth, verified], async (req, res) => {
+  logger.info('Registering for event', { eventId: req.params.id });
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event || !canViewEvent(req.user, event)) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
     // Check if event type is in user's preferences
     const user = await User.findById(req.user.id);
     if (!user.preferences.includes(event.type)) {
@@ -391,93 +1003,288 @@ router.post('/:id/register', auth, async (req, res) => {
       });
     }
 
-    // Check if already registered
-    const isRegistered = event.registrations.some(
-      reg => reg.user.toString() === req.user.id
-    );
-    if (isRegistered) {
-      return res.status(400).json({ message: 'Already registered for this event' });
+    // Overlapping registrations need an explicit allowConflict unless conflicts only warn
+    const conflicts = await findScheduleConflicts(req.user._id, event);
+    if (conflicts.length > 0 && REGISTRATION_CONFLICT_MODE === 'require_flag' && req.body.allowConflict !== true) {
+      return res.status(409).json({
+        message: 'Event overlaps with events you are registered for; set allowConflict to register anyway',
+        conflicts
+      });
     }
 
-    // Check capacity
-    if (event.registrations.length >= event.capacity) {
-      return res.status(400).json({ message: 'Event is full' });
+    // Capacity and duplicate checks happen in the same update as the registration
+    const { error } = await registerUser(event._id, req.user._id);
+    if (error === 'not_found') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    if (error === 'not_open') {
+      return res.status(400).json({ message: 'Event is not open for registration' });
+    }
+    if (error === 'already_registered') {
+      return res.status(400).json({ message: 'Already registered for this event' });
+    }
+    if (error === 'full') {
+      return res.status(400).json({ message: 'Event is full', waitlistAvailable: true });
     }
 
-    // Add registration
-    event.registrations.push({
-      user: req.user.id,
-      registeredAt: new Date()
+    await recordAudit(req, {
+      action: 'registration.create',
+      targetType: 'Event',
+      targetId: event._id,
+      subjectUser: req.user._id
     });
-    await event.save();
 
-    // Add event to user's registered events
-    user.registeredEvents.push(event._id);
-    await user.save();
+    await notifyUser(req.user.id, 'registration', event);
 
-    res.json({ message: 'Successfully registered for event' });
+    res.json({
+      message: 'Successfully registered for event',
+      ...(conflicts.length > 0 ? { conflicts } : {})
+    });
   } catch (error) {
-    console.error('Error registering for event:', error);
+    logger.error('Error registering for event', { err: error });
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Join the waitlist for a full event
+router.post('/:id/waitlist', [auth, verified], async (req, res) => {
+  logger.info('Joining waitlist', { eventId: req.params.id });
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event || !canViewEvent(req.user, event)) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    // Check if event type is in user's preferences
+    const user = await User.findById(req.user.id);
+    if (!user.preferences.includes(event.type)) {
+      return res.status(400).json({ 
+        message: 'Cannot join waitlist for event type not in preferences' 
+      });
+    }
+
+    // Duplicate and seat checks happen in the same update as the join
+    const { event: updated, error } = await joinWaitlist(event._id, req.user._id);
+    if (error === 'not_found') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    if (error === 'not_open') {
+      return res.status(400).json({ message: 'Event is not open for registration' });
+    }
+    if (error === 'already_registered') {
+      return res.status(400).json({ message: 'Already registered for this event' });
+    }
+    if (error === 'already_waiting') {
+      return res.status(400).json({ message: 'Already on the waitlist for this event' });
+    }
+    if (error === 'seats_available') {
+      return res.status(400).json({ message: 'Event still has available spots, register instead' });
+    }
+    await broadcastEvent('waitlist', updated);
+
+    res.status(201).json({
+      message: 'Successfully joined the waitlist',
+      position: updated.waitlistPosition(req.user.id),
+      waitlistCount: updated.waitlist.length
+    });
+  } catch (error) {
+    logger.error('Error joining waitlist', { err: error });
+    res.status(500).json({ message: 'Error joining waitlist' });
+  }
+});
+
+// Get current user's waitlist position for an event
+router.get('/:id/waitlist', auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).select('waitlist');
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const position = event.waitlistPosition(req.user.id);
+    if (!position) {
+      return res.status(404).json({ message: 'Not on the waitlist for this event' });
+    }
+
+    res.json({
+      position,
+      waitlistCount: event.waitlist.length
+    });
+  } catch (error) {
+    logger.error('Error fetching waitlist position', { err: error });
+    res.status(500).json({ message: 'Error fetching waitlist position' });
+  }
+});
+
+// Leave the waitlist
+router.delete('/:id/waitlist', auth, async (req, res) => {
+  logger.info('Leaving waitlist', { eventId: req.params.id });
+  try {
+    const event = await Event.findById(req.params.id).select('_id');
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const updated = await leaveWaitlist(event._id, req.user._id);
+    if (!updated) {
+      return res.status(404).json({ message: 'Not on the waitlist for this event' });
+    }
+    await broadcastEvent('waitlist', updated);
+
+    res.json({ message: 'Successfully left the waitlist' });
+  } catch (error) {
+    logger.error('Error leaving waitlist', { err: error });
+    res.status(500).json({ message: 'Error leaving waitlist' });
+  }
+});
+
 // Cancel registration
 router.delete('/:id/register', auth, async (req, res) => {
-  console.log(`[EVENTS API] Cancelling registration for user ${req.user.id} event ${req.params.id}`);
+  logger.info('Cancelling registration', { eventId: req.params.id });
   try {
     const event = await Event.findById(req.params.id);
     if (!event) {
-      console.log('[EVENTS API] Event not found');
+      logger.debug('Event not found');
       return res.status(404).json({ message: 'Event not found' });
     }
 
     // Check if event has already started
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = now.getMonth();
-    const day = now.getDate();
-    const hours = now.getHours();
-    const minutes = now.getMinutes();
-    
-    // Create a date string in ISO format for today at current time
-    const nowString = `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}T${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:00.000Z`;
-    
-    console.log('[EVENTS API] Current time:', nowString);
-    
-    if (event.date < now || (event.date.toISOString().split('T')[0] === now.toISOString().split('T')[0] && event.time < { $dateToString: { format: '%H:%M', date: now } })) {
+    if (event.hasStarted(clock.now())) {
       return res.status(400).json({ message: 'Cannot cancel registration for past events' });
     }
 
-    // Find registration index
-    const registrationIndex = event.registrations.findIndex(
-      reg => reg.user.toString() === req.user.id
-    );
-
-    if (registrationIndex === -1) {
-      console.log('[EVENTS API] Registration not found');
+    // Remove the registration from the event and the user together
+    const updated = await cancelRegistration(event._id, req.user._id);
+    if (!updated) {
+      logger.debug('Registration not found');
       return res.status(404).json({ message: 'Not registered for this event' });
     }
 
-    // Remove registration
-    event.registrations.splice(registrationIndex, 1);
-    await event.save();
+    await notifyUser(req.user.id, 'cancellation', event);
+    await recordCalendarCancellation([req.user.id], event);
 
-    // Update user's registered events
-    await User.findByIdAndUpdate(req.user.id, {
-      $pull: { registeredEvents: event._id }
+    await recordAudit(req, {
+      action: 'registration.cancel',
+      targetType: 'Event',
+      targetId: event._id,
+      subjectUser: req.user._id
     });
 
-    console.log('[EVENTS API] Registration cancelled successfully');
+    // Hand the freed seat to the next user on the waitlist
+    await promoteFromWaitlist(updated);
+
+    logger.info('Registration cancelled successfully');
     res.json({ message: 'Successfully cancelled registration' });
   } catch (error) {
-    console.error('[EVENTS API] Error cancelling registration:', error);
+    logger.error('Error cancelling registration', { err: error });
     res.status(500).json({ message: 'Error cancelling registration' });
   }
 });
 
-// Cancel registration (admin only)
-router.delete('/:eventId/registrations/:userId', [auth, adminCheck], async (req, res) => {
+// Rate an event after it ended (attendees only, once per event)
+router.post('/:id/feedback', [auth, ...validateFeedback], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const event = await Event.findById(req.params.id);
+    if (!event || !canViewEvent(req.user, event)) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const reason = feedbackIneligibility(event, req.user._id, clock.now());
+    if (reason === 'not_ended') {
+      return res.status(400).json({ message: 'Feedback opens once the event has ended' });
+    }
+    if (reason === 'not_attendee') {
+      return res.status(403).json({ message: 'Only attendees can leave feedback' });
+    }
+
+    if (await Feedback.exists({ event: event._id, user: req.user._id })) {
+      return res.status(409).json({ message: 'You have already left feedback for this event' });
+    }
+
+    const registration = event.registrations.find(reg => reg.user.toString() === req.user.id);
+    const feedback = await Feedback.create({
+      event: event._id,
+      user: req.user._id,
+      rating: req.body.rating,
+      comment: req.body.comment || undefined,
+      attended: Boolean(registration.checkedInAt)
+    });
+
+    await recordAudit(req, {
+      action: 'feedback.create',
+      targetType: 'Event',
+      targetId: event._id,
+      subjectUser: req.user._id,
+      metadata: { feedback: feedback._id, rating: feedback.rating }
+    });
+
+    res.status(201).json(feedback);
+  } catch (error) {
+    // Two submissions at once: the unique index lets only one through
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'You have already left feedback for this event' });
+    }
+    logger.error('Error submitting feedback', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get an event's rating stats and visible comments, newest first, plus the current user's own feedback
+router.get('/:id/feedback', [
+  optionalAuth,
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const event = await Event.findById(req.params.id).select('status creator coOrganizers');
+    if (!event || !canViewEvent(req.user, event)) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const pageNumber = parseInt(req.query.page || 1);
+    const pageSize = parseInt(req.query.limit || 20);
+    const filter = { event: event._id, hidden: false, comment: { $nin: [null, ''] } };
+
+    const [ratings, comments, total, mine] = await Promise.all([
+      eventRatingStats(event._id),
+      Feedback.find(filter)
+        .select('rating comment createdAt user')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .populate('user', 'name'),
+      Feedback.countDocuments(filter),
+      req.user ? Feedback.findOne({ event: event._id, user: req.user._id }) : null
+    ]);
+
+    res.json({
+      ratings,
+      comments,
+      pagination: {
+        total,
+        page: pageNumber,
+        pages: Math.ceil(total / pageSize),
+      },
+      myFeedback: mine
+    });
+  } catch (error) {
+    logger.error('Error fetching feedback', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel registration (admins and the event's organizers)
+router.delete('/:eventId/registrations/:userId', [auth, requireEventAccess('eventId')], async (req, res) => {
   try {
     const { eventId, userId } = req.params;
 
@@ -487,42 +1294,32 @@ router.delete('/:eventId/registrations/:userId', [auth, adminCheck], async (req,
     }
 
     // Check if event has already started
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = now.getMonth();
-    const day = now.getDate();
-    const hours = now.getHours();
-    const minutes = now.getMinutes();
-    
-    // Create a date string in ISO format for today at current time
-    const nowString = `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}T${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:00.000Z`;
-    
-    console.log('[EVENTS API] Current time:', nowString);
-    
-    if (event.date < now || (event.date.toISOString().split('T')[0] === now.toISOString().split('T')[0] && event.time < { $dateToString: { format: '%H:%M', date: now } })) {
+    if (event.hasStarted(clock.now())) {
       return res.status(400).json({ message: 'Cannot cancel registration for past events' });
     }
 
-    // Remove user from event registrations
-    const registrationIndex = event.registrations.findIndex(
-      reg => reg.user.toString() === userId
-    );
-
-    if (registrationIndex === -1) {
+    // Remove the registration from the event and the user together
+    const updated = await cancelRegistration(event._id, userId);
+    if (!updated) {
       return res.status(404).json({ message: 'Registration not found' });
     }
 
-    event.registrations.splice(registrationIndex, 1);
-    await event.save();
+    await notifyUser(userId, 'cancellation', event, { byAdmin: true });
+    await recordCalendarCancellation([userId], event);
 
-    // Remove event from user's registered events
-    await User.findByIdAndUpdate(userId, {
-      $pull: { registeredEvents: eventId }
+    await recordAudit(req, {
+      action: 'registration.cancel',
+      targetType: 'Event',
+      targetId: event._id,
+      subjectUser: userId
     });
 
+    // Hand the freed seat to the next user on the waitlist
+    await promoteFromWaitlist(updated);
+
     res.json({ message: 'Registration cancelled successfully' });
   } catch (error) {
-    console.error('Admin cancel registration error:', error);
+    logger.error('Admin cancel registration error', { err: error });
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -0,0 +1,87 @@
+const express = require('express');
+const router = express.Router();
+const Notification = require('../models/Notification');
+const auth = require('../middleware/auth');
+const clock = require('../utils/clock');
+const logger = require('../utils/logger').child({ component: 'notifications' });
+
+// Get current user's notifications
+router.get('/', auth, async (req, res) => {
+  try {
+    const { unread, page = 1, limit = 20 } = req.query;
+    const query = { user: req.user.id };
+
+    if (unread === 'true') {
+      query.read = false;
+    }
+
+    const [notifications, total] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit))
+        .populate('event', 'title date time location'),
+      Notification.countDocuments(query)
+    ]);
+
+    res.json({
+      notifications,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching notifications', { err: error });
+    res.status(500).json({ message: 'Error fetching notifications' });
+  }
+});
+
+// Get number of unread notifications
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({ user: req.user.id, read: false });
+    res.json({ count });
+  } catch (error) {
+    logger.error('Error counting notifications', { err: error });
+    res.status(500).json({ message: 'Error counting notifications' });
+  }
+});
+
+// Mark all notifications as read
+router.put('/read-all', auth, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user.id, read: false },
+      { read: true, readAt: clock.now() }
+    );
+    res.json({ updated: result.modifiedCount });
+  } catch (error) {
+    logger.error('Error marking notifications read', { err: error });
+    res.status(500).json({ message: 'Error updating notifications' });
+  }
+});
+
+// Mark a notification as read
+router.put('/:id/read', auth, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user.id });
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    if (!notification.read) {
+      notification.read = true;
+      notification.readAt = clock.now();
+      await notification.save();
+    }
+
+    res.json(notification);
+  } catch (error) {
+    logger.error('Error marking notification read', { err: error });
+    res.status(500).json({ message: 'Error updating notification' });
+  }
+});
+
+module.exports = router;
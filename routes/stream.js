@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Notification = require('../models/Notification');
+const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const { canViewEvent } = require('../utils/permissions');
+const { LISTING_TOPIC, eventTopic, userTopic, openStream, eventPayload } = require('../utils/realtime');
+const logger = require('../utils/logger').child({ component: 'stream' });
+
+// Server-Sent Events streams of live updates (see utils/realtime).
+// EventSource cannot send headers, so the JWT may also be passed as ?token=.
+const tokenFromQuery = (req, res, next) => {
+  if (!req.header('Authorization') && typeof req.query.token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+// Live changes to the public event listing
+router.get('/events', (req, res) => {
+  openStream(req, res, [LISTING_TOPIC]);
+});
+
+// Live seat counts, waitlist changes, edits and cancellations of one event,
+// starting with its current state
+router.get('/events/:id', [tokenFromQuery, optionalAuth], async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const event = await Event.findById(req.params.id)
+      .select('title status startsAt endsAt location capacity registrations.user waitlist.user creator coOrganizers');
+    if (!event || !canViewEvent(req.user, event)) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    openStream(req, res, [eventTopic(event._id)], [{ type: 'snapshot', data: eventPayload(event) }]);
+  } catch (error) {
+    logger.error('Error opening event stream', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// The current user's notifications as they arrive, starting with the unread count
+router.get('/me', [tokenFromQuery, auth], async (req, res) => {
+  try {
+    const unread = await Notification.countDocuments({ user: req.user._id, read: false });
+    openStream(req, res, [userTopic(req.user._id)], [{ type: 'unread', data: { count: unread } }]);
+  } catch (error) {
+    logger.error('Error opening user stream', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const logger = require('../utils/logger').child({ component: 'users' });
 
 // Update user preferences
 router.put('/preferences', auth, async (req, res) => {
@@ -22,7 +23,51 @@ router.put('/preferences', auth, async (req, res) => {
 
         res.json({ preferences: user.preferences });
     } catch (error) {
-        console.error('Error updating preferences:', error);
+        logger.error('Error updating preferences', { err: error });
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Public URL of a user's calendar feed
+const calendarFeedUrl = (req, token) => {
+    const base = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`;
+    return `${base}/api/calendar/${token}.ics`;
+};
+
+// Get (and create on first use) the personal calendar feed URL
+router.get('/calendar-feed', auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('+calendarToken');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        if (!user.calendarToken) {
+            user.rotateCalendarToken();
+            await user.save();
+        }
+
+        res.json({ url: calendarFeedUrl(req, user.calendarToken) });
+    } catch (error) {
+        logger.error('Error fetching calendar feed', { err: error });
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Rotate the calendar feed token, revoking the old URL
+router.post('/calendar-feed/rotate', auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('+calendarToken');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        user.rotateCalendarToken();
+        await user.save();
+
+        res.json({ url: calendarFeedUrl(req, user.calendarToken) });
+    } catch (error) {
+        logger.error('Error rotating calendar feed token', { err: error });
         res.status(500).json({ message: 'Server error' });
     }
 });
@@ -36,7 +81,7 @@ router.get('/profile', auth, async (req, res) => {
         }
         res.json(user);
     } catch (error) {
-        console.error('Error fetching profile:', error);
+        logger.error('Error fetching profile', { err: error });
         res.status(500).json({ message: 'Server error' });
     }
 });
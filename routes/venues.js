@@ -0,0 +1,226 @@
+const express = require('express');
+const router = express.Router();
+const Venue = require('../models/Venue');
+const Event = require('../models/Event');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { PERMISSIONS } = require('../utils/permissions');
+const { isValidTimeZone } = require('../utils/time');
+const { venueAvailability } = require('../utils/venues');
+const { recordAudit } = require('../utils/audit');
+const { body, param, query, validationResult } = require('express-validator');
+const logger = require('../utils/logger').child({ component: 'venues' });
+
+const VENUE_FIELDS = ['name', 'building', 'capacity', 'accessibility', 'equipment', 'timezone', 'opensAt', 'closesAt', 'active'];
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Validation for creating (all required fields) or updating (any subset) a venue
+const validateVenue = (partial) => {
+  const field = name => (partial ? body(name).optional() : body(name));
+  return [
+    field('name').trim().notEmpty().withMessage('Name is required'),
+    field('capacity').isInt({ min: 1 }).withMessage('Capacity must be at least 1'),
+    body('building').optional().isString().trim(),
+    body('accessibility').optional().isArray().withMessage('accessibility must be a list'),
+    body('equipment').optional().isArray().withMessage('equipment must be a list'),
+    body('timezone').optional().custom(isValidTimeZone).withMessage('Invalid timezone'),
+    body('opensAt').optional().matches(TIME_PATTERN).withMessage('opensAt must be in HH:MM format'),
+    body('closesAt').optional().matches(TIME_PATTERN).withMessage('closesAt must be in HH:MM format'),
+    body('active').optional().isBoolean({ strict: true }).withMessage('active must be true or false'),
+  ];
+};
+
+const validateVenueId = param('id').isMongoId().withMessage('Invalid venue ID');
+
+const pickVenueFields = (body) => Object.fromEntries(
+  VENUE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Plain copy of a venue for the audit log
+const venueSnapshot = (venue) => JSON.parse(JSON.stringify(venue.toObject({ virtuals: false })));
+
+const listParam = value => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+// List venues, filterable by minCapacity, accessibility and equipment (comma-separated, all required).
+// Inactive venues are only listed with includeInactive=true.
+router.get('/', async (req, res) => {
+  try {
+    const { minCapacity, accessibility, equipment, includeInactive } = req.query;
+    const filter = includeInactive === 'true' ? {} : { active: true };
+
+    if (minCapacity) {
+      filter.capacity = { $gte: parseInt(minCapacity) || 1 };
+    }
+    if (listParam(accessibility).length > 0) {
+      filter.accessibility = { $all: listParam(accessibility) };
+    }
+    if (listParam(equipment).length > 0) {
+      filter.equipment = { $all: listParam(equipment) };
+    }
+
+    const venues = await Venue.find(filter).sort({ building: 1, name: 1 });
+    res.json(venues);
+  } catch (error) {
+    logger.error('Error fetching venues', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a venue
+router.get('/:id', validateVenueId, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const venue = await Venue.findById(req.params.id);
+    if (!venue) {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+
+    res.json(venue);
+  } catch (error) {
+    logger.error('Error fetching venue', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get bookings and free slots of a venue for a day (?date=YYYY-MM-DD, in the venue's timezone).
+// minMinutes leaves out shorter free slots.
+router.get('/:id/availability', [
+  validateVenueId,
+  query('date').matches(/^\d{4}-\d{2}-\d{2}$/).isISO8601().withMessage('date must be in YYYY-MM-DD format'),
+  query('minMinutes').optional().isInt({ min: 1, max: 1440 }).withMessage('minMinutes must be between 1 and 1440')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const venue = await Venue.findById(req.params.id);
+    if (!venue) {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+
+    const availability = await venueAvailability(venue, req.query.date, {
+      minMinutes: parseInt(req.query.minMinutes || 1)
+    });
+
+    res.json({ venue: { _id: venue._id, label: venue.label, capacity: venue.capacity }, ...availability });
+  } catch (error) {
+    logger.error('Error fetching venue availability', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a venue (admin only)
+router.post('/', [auth, requirePermission(PERMISSIONS.VENUES_MANAGE), ...validateVenue(false)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const venue = await Venue.create(pickVenueFields(req.body));
+
+    await recordAudit(req, {
+      action: 'venue.create',
+      targetType: 'Venue',
+      targetId: venue._id,
+      after: venueSnapshot(venue)
+    });
+
+    res.status(201).json(venue);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A venue with this name already exists in the building' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation Error',
+        details: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    logger.error('Error creating venue', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a venue (admin only). Existing bookings are not re-checked against a lower capacity.
+router.put('/:id', [auth, requirePermission(PERMISSIONS.VENUES_MANAGE), validateVenueId, ...validateVenue(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const venue = await Venue.findById(req.params.id);
+    if (!venue) {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+
+    const before = venueSnapshot(venue);
+    Object.assign(venue, pickVenueFields(req.body));
+    await venue.save();
+
+    await recordAudit(req, {
+      action: 'venue.update',
+      targetType: 'Venue',
+      targetId: venue._id,
+      before,
+      after: venueSnapshot(venue)
+    });
+
+    res.json(venue);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A venue with this name already exists in the building' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation Error',
+        details: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    logger.error('Error updating venue', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a venue no event refers to (admin only); venues in use are deactivated instead
+router.delete('/:id', [auth, requirePermission(PERMISSIONS.VENUES_MANAGE), validateVenueId], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const venue = await Venue.findById(req.params.id);
+    if (!venue) {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+
+    if (await Event.exists({ venue: venue._id })) {
+      return res.status(409).json({ message: 'Venue is used by events, deactivate it instead' });
+    }
+
+    await venue.deleteOne();
+
+    await recordAudit(req, {
+      action: 'venue.delete',
+      targetType: 'Venue',
+      targetId: venue._id,
+      before: venueSnapshot(venue)
+    });
+
+    res.json({ message: 'Venue deleted successfully' });
+  } catch (error) {
+    logger.error('Error deleting venue', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
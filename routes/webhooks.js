@@ -0,0 +1,373 @@
+const express = require('express');
+const router = express.Router();
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { PERMISSIONS } = require('../utils/permissions');
+const { generateSecret, redeliver, sendPing } = require('../utils/webhooks');
+const { recordAudit } = require('../utils/audit');
+const clock = require('../utils/clock');
+const { body, param, query, validationResult } = require('express-validator');
+const logger = require('../utils/logger').child({ component: 'webhooks' });
+
+// Admin management of outgoing webhooks (see utils/webhooks)
+
+const EVENT_TYPES = Webhook.schema.path('events').caster.enumValues;
+
+// Validation for creating (url and events required) or updating (any subset) a webhook
+const validateWebhook = (partial) => {
+  const field = name => (partial ? body(name).optional() : body(name));
+  return [
+    field('url').isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+      .withMessage('url must be an http or https URL'),
+    field('events').isArray({ min: 1 }).withMessage('events must be a non-empty list'),
+    body('events.*').isIn(EVENT_TYPES).withMessage(`events must be a list of ${EVENT_TYPES.join(', ')}`),
+    body('description').optional().isString().trim().isLength({ max: 200 })
+      .withMessage('Description cannot be more than 200 characters'),
+    body('active').optional().isBoolean({ strict: true }).withMessage('active must be true or false'),
+  ];
+};
+
+const validateWebhookId = param('id').isMongoId().withMessage('Invalid webhook ID');
+
+// Settings recorded in the audit log; never the secret
+const webhookSnapshot = (webhook) => ({
+  url: webhook.url,
+  description: webhook.description,
+  events: [...webhook.events],
+  active: webhook.active
+});
+
+router.use(auth, requirePermission(PERMISSIONS.WEBHOOKS_MANAGE));
+
+// List webhooks
+router.get('/', async (req, res) => {
+  try {
+    const webhooks = await Webhook.find().sort({ createdAt: -1 }).populate('creator', 'name email');
+    res.json(webhooks);
+  } catch (error) {
+    logger.error('Error fetching webhooks', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a webhook. The response is the only time the signing secret is shown.
+router.post('/', validateWebhook(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { url, description, events, active } = req.body;
+    const secret = generateSecret();
+    const webhook = await Webhook.create({
+      url,
+      description,
+      events: [...new Set(events)],
+      active,
+      secret,
+      creator: req.user._id
+    });
+
+    await recordAudit(req, {
+      action: 'webhook.create',
+      targetType: 'Webhook',
+      targetId: webhook._id,
+      after: webhookSnapshot(webhook)
+    });
+
+    res.status(201).json({ ...webhook.toJSON(), secret });
+  } catch (error) {
+    logger.error('Error creating webhook', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a webhook with its delivery counts by status
+router.get('/:id', validateWebhookId, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    const counts = await WebhookDelivery.aggregate([
+      { $match: { webhook: webhook._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      ...webhook.toJSON(),
+      deliveries: Object.fromEntries(
+        ['pending', 'succeeded', 'failed'].map(status => [
+          status,
+          (counts.find(row => row._id === status) || { count: 0 }).count
+        ])
+      )
+    });
+  } catch (error) {
+    logger.error('Error fetching webhook', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a webhook. Setting active to true re-enables a disabled webhook and clears its failure count.
+router.put('/:id', [validateWebhookId, ...validateWebhook(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    const before = webhookSnapshot(webhook);
+    const { url, description, events, active } = req.body;
+
+    if (url !== undefined) {
+      webhook.url = url;
+    }
+    if (description !== undefined) {
+      webhook.description = description;
+    }
+    if (events !== undefined) {
+      webhook.events = [...new Set(events)];
+    }
+    if (active === true && !webhook.active) {
+      webhook.active = true;
+      webhook.consecutiveFailures = 0;
+      webhook.disabledAt = undefined;
+      webhook.disabledReason = undefined;
+    } else if (active === false && webhook.active) {
+      webhook.active = false;
+      webhook.disabledAt = clock.now();
+      webhook.disabledReason = `Disabled by ${req.user.name}`;
+    }
+    await webhook.save();
+
+    await recordAudit(req, {
+      action: 'webhook.update',
+      targetType: 'Webhook',
+      targetId: webhook._id,
+      before,
+      after: webhookSnapshot(webhook)
+    });
+
+    res.json(webhook);
+  } catch (error) {
+    logger.error('Error updating webhook', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a webhook and its delivery history
+router.delete('/:id', validateWebhookId, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    await webhook.deleteOne();
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+    await recordAudit(req, {
+      action: 'webhook.delete',
+      targetType: 'Webhook',
+      targetId: webhook._id,
+      before: webhookSnapshot(webhook)
+    });
+
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    logger.error('Error deleting webhook', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Replace the signing secret; the new one is returned once
+router.post('/:id/rotate-secret', validateWebhookId, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    const secret = generateSecret();
+    webhook.secret = secret;
+    await webhook.save();
+
+    await recordAudit(req, {
+      action: 'webhook.rotate_secret',
+      targetType: 'Webhook',
+      targetId: webhook._id
+    });
+
+    res.json({ ...webhook.toJSON(), secret });
+  } catch (error) {
+    logger.error('Error rotating webhook secret', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Send a ping delivery and return it with the result of the first attempt
+router.post('/:id/ping', validateWebhookId, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+    if (!webhook.active) {
+      return res.status(409).json({ message: 'Webhook is disabled' });
+    }
+
+    res.status(201).json(await sendPing(webhook));
+  } catch (error) {
+    logger.error('Error pinging webhook', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List a webhook's deliveries with their attempts, newest first (filter: status, type)
+router.get('/:id/deliveries', [
+  validateWebhookId,
+  query('status').optional().isIn(['pending', 'succeeded', 'failed']).withMessage('status must be pending, succeeded or failed'),
+  query('type').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    const { status, type, page = 1, limit = 50 } = req.query;
+    const filter = { webhook: webhook._id };
+    if (status) {
+      filter.status = status;
+    }
+    if (type) {
+      filter.type = type;
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+    const [entries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .select('-payload')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    res.json({
+      entries,
+      pagination: {
+        total,
+        page: pageNumber,
+        pages: Math.ceil(total / pageSize),
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching webhook deliveries', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const validateDeliveryId = param('deliveryId').isMongoId().withMessage('Invalid delivery ID');
+
+// Get a delivery including the body that was sent
+router.get('/:id/deliveries/:deliveryId', [validateWebhookId, validateDeliveryId], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: webhook._id });
+    if (!delivery) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+
+    res.json(delivery);
+  } catch (error) {
+    logger.error('Error fetching webhook delivery', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Send a delivery again with the same body. The copy is a new delivery with its own retries;
+// it is returned with the result of its first attempt.
+router.post('/:id/deliveries/:deliveryId/redeliver', [validateWebhookId, validateDeliveryId], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+    if (!webhook.active) {
+      return res.status(409).json({ message: 'Webhook is disabled, enable it before redelivering' });
+    }
+
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: webhook._id });
+    if (!delivery) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+
+    const copy = await redeliver(delivery);
+
+    await recordAudit(req, {
+      action: 'webhook.redeliver',
+      targetType: 'Webhook',
+      targetId: webhook._id,
+      metadata: { delivery: delivery._id, redelivery: copy._id, type: delivery.type }
+    });
+
+    res.status(201).json(copy);
+  } catch (error) {
+    logger.error('Error redelivering webhook', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
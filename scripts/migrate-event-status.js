@@ -0,0 +1,35 @@
+// One-off migration: give events created before lifecycle statuses existed a status.
+// They were live when created, so they become published, or completed once they have ended.
+//
+// Usage: node scripts/migrate-event-status.js
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Event = require('../models/Event');
+const clock = require('../utils/clock');
+
+const migrate = async () => {
+  await connectDB();
+  const now = clock.now();
+  console.log('[MIGRATION] Backfilling event statuses');
+
+  const completed = await Event.updateMany(
+    { status: { $exists: false }, endsAt: { $lte: now } },
+    { $set: { status: 'completed', completedAt: now } }
+  );
+  const published = await Event.updateMany(
+    { status: { $exists: false } },
+    { $set: { status: 'published', publishedAt: now } }
+  );
+
+  await Event.syncIndexes();
+
+  console.log(`[MIGRATION] Published ${published.modifiedCount} event(s), completed ${completed.modifiedCount} event(s)`);
+  await mongoose.disconnect();
+};
+
+migrate().catch(error => {
+  console.error('[MIGRATION] Error:', error);
+  process.exit(1);
+});
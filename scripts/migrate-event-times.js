@@ -0,0 +1,54 @@
+// One-off migration: fill startsAt/endsAt/timezone on events created before they existed.
+//
+// Usage: node scripts/migrate-event-times.js [timezone]
+// The timezone defaults to EVENT_TIMEZONE (or UTC) and is used to interpret the stored date/time.
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Event = require('../models/Event');
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('../utils/time');
+
+const migrate = async () => {
+  const timezone = process.argv[2] || DEFAULT_TIMEZONE;
+  if (!isValidTimeZone(timezone)) {
+    console.error(`[MIGRATION] Invalid timezone: ${timezone}`);
+    process.exit(1);
+  }
+
+  await connectDB();
+  console.log(`[MIGRATION] Backfilling event start/end times using timezone ${timezone}`);
+
+  let migrated = 0;
+  let failed = 0;
+
+  const cursor = Event.find({ startsAt: { $exists: false } }).cursor();
+  for await (const event of cursor) {
+    try {
+      if (!event.timezone) {
+        event.timezone = timezone;
+      }
+      event.syncSchedule();
+
+      // Write only the new fields so legacy documents don't have to pass full validation
+      await Event.updateOne(
+        { _id: event._id },
+        { $set: { timezone: event.timezone, startsAt: event.startsAt, endsAt: event.endsAt } }
+      );
+      migrated++;
+    } catch (error) {
+      failed++;
+      console.error(`[MIGRATION] Failed to migrate event ${event._id}:`, error.message);
+    }
+  }
+
+  await Event.syncIndexes();
+
+  console.log(`[MIGRATION] Migrated ${migrated} event(s), ${failed} failure(s)`);
+  await mongoose.disconnect();
+};
+
+migrate().catch(error => {
+  console.error('[MIGRATION] Error:', error);
+  process.exit(1);
+});
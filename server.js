@@ -1,16 +1,32 @@
+require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const connectDB = require('./config/db');
-require('dotenv').config();
+const logger = require('./utils/logger');
+const requestLogger = require('./middleware/requestLogger');
+const { validateOpenApi, handleValidationError } = require('./middleware/openapi');
+const apiSpec = require('./openapi');
+const { startLifecycleScheduler } = require('./utils/eventLifecycle');
+const { startWebhookScheduler } = require('./utils/webhooks');
 
 const app = express();
 
-// Enable CORS first, before any other middleware
+// Request IDs and structured request logging
+app.use(requestLogger);
+
+// Behind a reverse proxy (e.g. Render), trust it for the client IP used in rate limiting
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
+// Enable CORS right after request logging, before any other middleware
 app.use(cors({
   origin: true, // Allow all origins temporarily for testing
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  // Let browser clients read rate limit responses
+  exposedHeaders: ['Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-Request-Id']
 }));
 
 // Connect to MongoDB
@@ -28,52 +44,43 @@ app.use(cors({
 }));
 app.use(express.json());
 
-
-// Request logging middleware
-app.use((req, res, next) => {
-  const start = Date.now();
-  console.log('\n=== New Request ===');
-  console.log(`${new Date().toISOString()}`);
-  console.log(` ${req.method} ${req.url}`);
-  console.log('Headers:', JSON.stringify(req.headers, null, 2));
-  console.log('Body:', JSON.stringify(req.body, null, 2));
-
-  // Log response
-  const oldSend = res.send;
-  res.send = function(data) {
-    console.log('\n=== Response ===');
-    console.log(` Response Time: ${Date.now() - start}ms`);
-    console.log(` Status: ${res.statusCode}`);
-    console.log('Response Body:', typeof data === 'string' ? data : JSON.stringify(data, null, 2));
-    console.log('=== End ===\n');
-    oldSend.apply(res, arguments);
-  };
-  next();
+// OpenAPI document of the API, e.g. for generating typed clients
+app.get('/api/docs', (req, res) => {
+  res.json(apiSpec);
 });
 
+// Validate requests (and in development responses) against the document
+app.use(validateOpenApi);
 
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/events', require('./routes/events'));
+app.use('/api/admin/analytics', require('./routes/analytics'));
+app.use('/api/admin/webhooks', require('./routes/webhooks'));
 app.use('/api/admin', require('./routes/admin'));
+app.use('/api/dashboard', require('./routes/dashboard'));
 app.use('/api/users', require('./routes/users'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/calendar', require('./routes/calendar'));
+app.use('/api/venues', require('./routes/venues'));
+app.use('/api/stream', require('./routes/stream'));
 
 // Test route
 app.get('/api/test', (req, res) => {
   res.json({ message: 'API is working!' });
 });
 
+// Requests that do not match the OpenAPI document
+app.use(handleValidationError);
+
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('\n=== Error ===');
-  console.error(' Error Details:');
-  console.error('Message:', err.message);
-  console.error('Stack:', err.stack);
-  console.error('Path:', req.path);
-  console.error('Method:', req.method);
-  console.error('Body:', req.body);
-  console.error('=== End Error ===\n');
-  
+  logger.error('Unhandled error', {
+    err,
+    method: req.method,
+    path: req.route ? req.baseUrl + req.route.path : req.path
+  });
+
   if (err.name === 'ValidationError') {
     return res.status(400).json({ 
       message: 'Validation Error', 
@@ -90,7 +97,8 @@ app.use((err, req, res, next) => {
 
   res.status(500).json({ 
     message: 'Something went wrong!',
-    error: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
+    error: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error',
+    requestId: req.id
   });
 });
 
@@ -98,10 +106,11 @@ const PORT = process.env.PORT || 5000;
 
 // Start server
 app.listen(PORT, () => {
-  console.log(`\n Server running on port ${PORT}`);
-  console.log(' Logging enabled for:');
-  console.log('   - All incoming requests');
-  console.log('   - Response status and timing');
-  console.log('   - Errors and stack traces');
-  console.log('   - Database operations\n');
+  logger.info('Server running', { port: Number(PORT) });
+
+  // Publish scheduled drafts and complete ended events
+  startLifecycleScheduler(parseInt(process.env.EVENT_LIFECYCLE_INTERVAL_SECONDS || '60') * 1000);
+
+  // Retry failed webhook deliveries
+  startWebhookScheduler(parseInt(process.env.WEBHOOK_RETRY_INTERVAL_SECONDS || '15') * 1000);
 });
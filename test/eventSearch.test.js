@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseWeekday, buildListingFilters } = require('../utils/eventSearch');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+const hour = { $hour: { date: '$startsAt', timezone: '$timezone' } };
+
+describe('parseWeekday', () => {
+  it('accepts names, abbreviations and numbers with 0 = Sunday', () => {
+    assert.deepEqual(['sun', 'Monday', 'TUE', '3', '6'].map(parseWeekday), [0, 1, 2, 3, 6]);
+  });
+
+  it('returns -1 for anything else', () => {
+    assert.equal(parseWeekday('someday'), -1);
+  });
+});
+
+describe('buildListingFilters', () => {
+  it('lists published events that have not started without other parameters', () => {
+    assert.deepEqual(buildListingFilters({}, NOW), {
+      match: { status: 'published', startsAt: { $gt: NOW } },
+      typeMatch: {}
+    });
+  });
+
+  it('starts at "from" only when it is in the future', () => {
+    const later = buildListingFilters({ from: '2026-04-01' }, NOW).match;
+    const earlier = buildListingFilters({ from: '2026-01-01' }, NOW).match;
+
+    assert.deepEqual(later.startsAt, { $gte: new Date('2026-04-01') });
+    assert.deepEqual(earlier.startsAt, { $gt: NOW });
+  });
+
+  it('includes the whole day of a date-only "to", and a date-time "to" itself', () => {
+    assert.deepEqual(buildListingFilters({ to: '2026-04-01' }, NOW).match.startsAt, {
+      $gt: NOW,
+      $lt: new Date('2026-04-02T00:00:00Z')
+    });
+    assert.deepEqual(buildListingFilters({ to: '2026-04-01T18:00:00Z' }, NOW).match.startsAt, {
+      $gt: NOW,
+      $lte: new Date('2026-04-01T18:00:00Z')
+    });
+  });
+
+  it('matches locations case-insensitively as literal text', () => {
+    assert.deepEqual(buildListingFilters({ location: 'Room 1.2 (east)' }, NOW).match.location, {
+      $regex: 'Room 1\\.2 \\(east\\)',
+      $options: 'i'
+    });
+  });
+
+  it('searches text and keeps the type filter apart for the facets', () => {
+    const { match, typeMatch } = buildListingFilters({ q: 'chess', type: 'Social, Sports' }, NOW);
+
+    assert.deepEqual(match.$text, { $search: 'chess' });
+    assert.equal(match.type, undefined);
+    assert.deepEqual(typeMatch, { type: { $in: ['Social', 'Sports'] } });
+  });
+
+  it('filters weekdays in the event timezone', () => {
+    assert.deepEqual(buildListingFilters({ weekday: 'sat,0' }, NOW).match.$expr, {
+      $in: [{ $dayOfWeek: { date: '$startsAt', timezone: '$timezone' } }, [7, 1]]
+    });
+  });
+
+  it('combines time of day slots, free seats and weekdays', () => {
+    const { $expr } = buildListingFilters({ weekday: 'mon', timeOfDay: 'morning,night', hasSeats: 'true' }, NOW).match;
+
+    assert.equal($expr.$and.length, 3);
+    assert.deepEqual($expr.$and[1], {
+      $or: [
+        { $and: [{ $gte: [hour, 5] }, { $lt: [hour, 12] }] },
+        { $and: [{ $gte: [hour, 0] }, { $lt: [hour, 5] }] }
+      ]
+    });
+    assert.deepEqual($expr.$and[2], { $lt: [{ $size: '$registrations' }, '$capacity'] });
+  });
+});
@@ -0,0 +1,106 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeText, formatDateTime, foldLine, buildVEvent, buildCalendar } = require('../utils/ical');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+const event = {
+  _id: '65f1c2a9e4b0a1b2c3d4e5f6',
+  title: 'Chess, checkers; and more',
+  description: 'Bring a board\nor two',
+  location: 'Main Hall',
+  type: 'Social',
+  startsAt: new Date('2026-04-01T18:00:00Z'),
+  endsAt: new Date('2026-04-01T19:30:00Z'),
+  updatedAt: new Date('2026-02-20T08:00:00Z'),
+  creator: { name: 'Ada "The Host" Lovelace', email: 'ada@example.com' }
+};
+
+// Undo folding: a CRLF followed by a space continues the previous line
+const unfold = (text) => text.replace(/\r\n /g, '');
+
+describe('escapeText', () => {
+  it('escapes backslashes, semicolons, commas and newlines', () => {
+    assert.equal(escapeText('a\\b;c,d\ne\r\nf'), 'a\\\\b\\;c\\,d\\ne\\nf');
+  });
+
+  it('turns missing values into an empty string', () => {
+    assert.equal(escapeText(), '');
+  });
+});
+
+describe('formatDateTime', () => {
+  it('writes UTC date-times without separators or milliseconds', () => {
+    assert.equal(formatDateTime(new Date('2025-01-10T15:30:00.123Z')), '20250110T153000Z');
+  });
+});
+
+describe('foldLine', () => {
+  it('leaves lines of up to 75 octets alone', () => {
+    const line = `SUMMARY:${'x'.repeat(67)}`;
+    assert.equal(foldLine(line), line);
+  });
+
+  it('folds longer lines into 75 octet lines, counting the leading space', () => {
+    const line = `DESCRIPTION:${'x'.repeat(200)}`;
+    const lines = foldLine(line).split('\r\n');
+
+    assert.deepEqual(lines.map(part => Buffer.byteLength(part)), [75, 75, 64]);
+    assert.ok(lines.slice(1).every(part => part.startsWith(' ')));
+    assert.equal(unfold(foldLine(line)), line);
+  });
+
+  it('never splits a multi-byte character', () => {
+    const line = `SUMMARY:${'é'.repeat(40)}${'😀'.repeat(20)}`;
+    const lines = foldLine(line).split('\r\n');
+
+    assert.ok(lines.every(part => Buffer.byteLength(part) <= 75));
+    assert.ok(lines.every(part => !part.includes('�')));
+    assert.equal(unfold(foldLine(line)), line);
+  });
+});
+
+describe('buildVEvent', () => {
+  it('describes the event with escaped text and a sequence from its last change', () => {
+    assert.deepEqual(buildVEvent(event, { now: NOW }), [
+      'BEGIN:VEVENT',
+      'UID:65f1c2a9e4b0a1b2c3d4e5f6@mosaic.events',
+      'DTSTAMP:20260301T120000Z',
+      'DTSTART:20260401T180000Z',
+      'DTEND:20260401T193000Z',
+      'LAST-MODIFIED:20260220T080000Z',
+      `SEQUENCE:${event.updatedAt.getTime() / 1000}`,
+      'SUMMARY:Chess\\, checkers\\; and more',
+      'DESCRIPTION:Bring a board\\nor two',
+      'LOCATION:Main Hall',
+      'CATEGORIES:Social',
+      'ORGANIZER;CN="Ada The Host Lovelace":mailto:ada@example.com',
+      'STATUS:CONFIRMED',
+      'END:VEVENT'
+    ]);
+  });
+
+  it('marks cancelled events and works from a snapshot of a deleted event', () => {
+    const snapshot = { event: event._id, title: 'Gone', startsAt: event.startsAt, cancelledAt: NOW };
+    const lines = buildVEvent(snapshot, { cancelled: true, now: NOW });
+
+    assert.ok(lines.includes(`UID:${event._id}@mosaic.events`));
+    assert.ok(lines.includes('DTEND:20260401T180000Z'));
+    assert.ok(lines.includes('LAST-MODIFIED:20260301T120000Z'));
+    assert.ok(lines.includes('STATUS:CANCELLED'));
+    assert.ok(!lines.some(line => line.startsWith('ORGANIZER')));
+  });
+});
+
+describe('buildCalendar', () => {
+  it('wraps events in a calendar with CRLF line endings and folded lines', () => {
+    const long = { ...event, description: 'x'.repeat(100) };
+    const calendar = buildCalendar([buildVEvent(long, { now: NOW })], { name: 'My events, all' });
+
+    assert.ok(calendar.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+    assert.ok(calendar.endsWith('END:VEVENT\r\nEND:VCALENDAR\r\n'));
+    assert.ok(calendar.includes('\r\nX-WR-CALNAME:My events\\, all\r\n'));
+    assert.ok(calendar.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+    assert.ok(unfold(calendar).includes(`\r\nDESCRIPTION:${'x'.repeat(100)}\r\n`));
+  });
+});
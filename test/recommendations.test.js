@@ -0,0 +1,113 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { RECOMMENDATION_WEIGHTS, buildProfile, scoreEvent, rankEvents } = require('../utils/recommendations');
+
+// Plain stand-ins for Event documents with the fields scoring reads
+const makeEvent = (id, fields = {}) => ({
+  _id: id,
+  type: 'Social',
+  location: 'Main Hall',
+  capacity: 10,
+  availableSpots: 10,
+  registrations: [],
+  startsAt: new Date('2026-05-01T18:00:00Z'),
+  ...fields
+});
+
+const history = [
+  { type: 'Social', location: 'Main Hall' },
+  { type: 'Social', location: 'Library' },
+  { type: 'Sports', location: ' main hall ' }
+];
+
+const codes = (result) => result.reasons.map(reason => reason.code);
+
+describe('buildProfile', () => {
+  it('counts past event types and locations, ignoring case and spacing of locations', () => {
+    const profile = buildProfile(['Academic'], history);
+
+    assert.deepEqual([...profile.preferences], ['Academic']);
+    assert.deepEqual(Object.fromEntries(profile.types), { Social: 2, Sports: 1 });
+    assert.deepEqual(Object.fromEntries(profile.locations), { 'main hall': 2, library: 1 });
+  });
+
+  it('is empty without preferences or history', () => {
+    const profile = buildProfile();
+
+    assert.equal(profile.preferences.size, 0);
+    assert.equal(profile.types.size, 0);
+    assert.equal(profile.locations.size, 0);
+  });
+});
+
+describe('scoreEvent', () => {
+  it('adds up the points of every signal and explains each one', () => {
+    const profile = buildProfile(['Social'], history);
+    const result = scoreEvent(makeEvent('a', { availableSpots: 5 }), profile, 2);
+
+    assert.deepEqual(codes(result), ['preferred_type', 'history_type', 'history_location', 'similar_users', 'availability']);
+    assert.deepEqual(result.reasons.map(reason => reason.points), [3, 1.33, 1, 1, 0.5]);
+    assert.equal(result.score, 6.83);
+    assert.equal(result.reasons[4].message, 'Only 5 seats left');
+  });
+
+  it('caps history and similar user points', () => {
+    const manySocial = Array.from({ length: 10 }, () => ({ type: 'Social', location: 'Main Hall' }));
+    const result = scoreEvent(makeEvent('a', { availableSpots: 0 }), buildProfile([], manySocial), 40);
+
+    const points = Object.fromEntries(result.reasons.map(reason => [reason.code, reason.points]));
+    assert.deepEqual(points, {
+      history_type: RECOMMENDATION_WEIGHTS.historyType,
+      history_location: RECOMMENDATION_WEIGHTS.historyLocation,
+      similar_users: RECOMMENDATION_WEIGHTS.similarUser * 6
+    });
+  });
+
+  it('gives no points and no reasons when nothing matches', () => {
+    const result = scoreEvent(makeEvent('a', { type: 'Cultural', location: 'Gym', availableSpots: 0 }), buildProfile(['Social']));
+
+    assert.deepEqual(result, { score: 0, reasons: [] });
+  });
+
+  it('returns the same result for the same input', () => {
+    const profile = buildProfile(['Social'], history);
+    const event = makeEvent('a', { availableSpots: 3 });
+
+    assert.deepEqual(scoreEvent(event, profile, 1), scoreEvent(event, profile, 1));
+  });
+});
+
+describe('rankEvents', () => {
+  const profile = buildProfile(['Social'], history);
+
+  it('orders by score and leaves out events without points', () => {
+    const events = [
+      makeEvent('low', { type: 'Workshop', location: 'Lab', availableSpots: 2 }),
+      makeEvent('none', { type: 'Cultural', location: 'Gym', availableSpots: 0 }),
+      makeEvent('high')
+    ];
+
+    assert.deepEqual(rankEvents(events, profile).map(result => result.event._id), ['high', 'low']);
+  });
+
+  it('counts registrations of similar users', () => {
+    const events = [
+      makeEvent('plain'),
+      makeEvent('popular', { registrations: [{ user: 'u1' }, { user: 'u2' }, { user: 'u3' }] })
+    ];
+    const [first] = rankEvents(events, profile, new Set(['u1', 'u3']));
+
+    assert.equal(first.event._id, 'popular');
+    assert.equal(first.reasons.find(reason => reason.code === 'similar_users').points, 1);
+  });
+
+  it('breaks ties by start time, then by ID', () => {
+    const events = [
+      makeEvent('b', { startsAt: new Date('2026-05-02T18:00:00Z') }),
+      makeEvent('d'),
+      makeEvent('c')
+    ];
+
+    assert.deepEqual(rankEvents(events, profile).map(result => result.event._id), ['c', 'd', 'b']);
+  });
+});
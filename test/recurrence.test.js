@@ -0,0 +1,110 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MAX_OCCURRENCES,
+  parseRRule,
+  formatRRule,
+  validateRecurrence,
+  generateOccurrenceDates
+} = require('../utils/recurrence');
+
+describe('parseRRule', () => {
+  it('reads every supported part, with or without the RRULE: prefix', () => {
+    const expected = {
+      freq: 'weekly',
+      interval: 2,
+      byWeekday: [1, 3],
+      count: 10,
+      until: new Date('2026-06-30T00:00:00Z')
+    };
+
+    assert.deepEqual(parseRRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=10;UNTIL=20260630'), expected);
+    assert.deepEqual(parseRRule('RRULE:freq=weekly;interval=2;byday=mo,we;count=10;until=20260630T235959Z'), expected);
+  });
+
+  it('rejects parts without a value', () => {
+    assert.throws(() => parseRRule('FREQ'), { message: 'RRULE part must look like KEY=VALUE: FREQ' });
+    assert.throws(() => parseRRule('FREQ=DAILY;BYDAY='), { message: 'RRULE part must look like KEY=VALUE: BYDAY=' });
+    assert.throws(() => parseRRule('FREQ=DAILY=WEEKLY'), { message: 'RRULE part must look like KEY=VALUE: FREQ=DAILY=WEEKLY' });
+  });
+
+  it('rejects unknown parts', () => {
+    assert.throws(() => parseRRule('FREQ=DAILY;BYHOUR=9'), { message: 'Unsupported RRULE part: BYHOUR' });
+  });
+});
+
+describe('formatRRule', () => {
+  it('writes the parts parseRRule reads back', () => {
+    const rrule = 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=10;UNTIL=20260630';
+
+    assert.equal(formatRRule(parseRRule(rrule)), rrule);
+  });
+
+  it('leaves out the default interval and empty weekdays', () => {
+    assert.equal(formatRRule({ freq: 'daily', interval: 1, byWeekday: [], count: 3 }), 'FREQ=DAILY;COUNT=3');
+  });
+});
+
+describe('validateRecurrence', () => {
+  it('accepts a complete rule', () => {
+    assert.deepEqual(validateRecurrence({ freq: 'weekly', byWeekday: [1], count: 4 }), []);
+  });
+
+  it('lists every problem', () => {
+    assert.deepEqual(validateRecurrence({ freq: 'hourly', interval: 0, byWeekday: [7] }), [
+      'freq must be one of daily, weekly, monthly',
+      'interval must be a positive integer',
+      'Either count or until is required',
+      'byWeekday is only valid for weekly rules and must contain days 0-6'
+    ]);
+  });
+
+  it('rejects unknown BYDAY codes', () => {
+    assert.equal(validateRecurrence(parseRRule('FREQ=WEEKLY;BYDAY=XX;COUNT=2')).length, 1);
+  });
+});
+
+describe('generateOccurrenceDates', () => {
+  it('steps daily rules by the interval', () => {
+    assert.deepEqual(
+      generateOccurrenceDates({ freq: 'daily', interval: 3, count: 3 }, '2026-03-30'),
+      ['2026-03-30', '2026-04-02', '2026-04-05']
+    );
+  });
+
+  it('takes the given weekdays of every interval-th week, starting on the start date', () => {
+    // 2026-03-04 is a Wednesday, so that week's Monday is skipped
+    assert.deepEqual(
+      generateOccurrenceDates({ freq: 'weekly', interval: 2, byWeekday: [5, 1], count: 4 }, '2026-03-04'),
+      ['2026-03-06', '2026-03-16', '2026-03-20', '2026-03-30']
+    );
+  });
+
+  it('repeats weekly rules on the start weekday without BYDAY', () => {
+    assert.deepEqual(
+      generateOccurrenceDates({ freq: 'weekly', until: '2026-03-18' }, '2026-03-04'),
+      ['2026-03-04', '2026-03-11', '2026-03-18']
+    );
+  });
+
+  it('skips months without the start day', () => {
+    assert.deepEqual(
+      generateOccurrenceDates({ freq: 'monthly', count: 3 }, '2026-01-31'),
+      ['2026-01-31', '2026-03-31', '2026-05-31']
+    );
+  });
+
+  it('stops at until and counts excluded dates towards count', () => {
+    const recurrence = { freq: 'daily', count: 4, exceptions: ['2026-03-02'] };
+
+    assert.deepEqual(generateOccurrenceDates(recurrence, '2026-03-01'), ['2026-03-01', '2026-03-03', '2026-03-04']);
+    assert.deepEqual(
+      generateOccurrenceDates({ freq: 'daily', count: 10, until: '2026-03-02' }, '2026-03-01'),
+      ['2026-03-01', '2026-03-02']
+    );
+  });
+
+  it('never produces more than MAX_OCCURRENCES dates', () => {
+    assert.equal(generateOccurrenceDates({ freq: 'daily', count: 1000 }, '2026-01-01').length, MAX_OCCURRENCES);
+  });
+});
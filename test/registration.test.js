@@ -0,0 +1,289 @@
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const Webhook = require('../models/Webhook');
+const clock = require('../utils/clock');
+const {
+  registerUser,
+  cancelRegistration,
+  promoteNextWaitlisted,
+  joinWaitlist,
+  leaveWaitlist,
+  setCapacity
+} = require('../utils/registration');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+// In-memory stand-in for the events collection, understanding the query and update
+// operators the registration helpers use. Each update runs to completion before the
+// next one starts, as single-document updates do in MongoDB.
+const valuesAt = (doc, path) => path.split('.').reduce((values, key) => values.flatMap((value) => {
+  if (Array.isArray(value) && !/^\d+$/.test(key)) {
+    return value.map(item => item[key]);
+  }
+  return value === undefined || value === null ? [undefined] : [value[key]];
+}), [doc]);
+
+const same = (a, b) => a !== undefined && String(a) === String(b);
+
+const operand = (doc, value) => {
+  if (typeof value === 'string' && value.startsWith('$')) {
+    return doc[value.slice(1)];
+  }
+  if (value && value.$size) {
+    return operand(doc, value.$size).length;
+  }
+  return value;
+};
+
+const expression = (doc, expr) => {
+  const [op, [left, right]] = Object.entries(expr)[0];
+  const [a, b] = [operand(doc, left), operand(doc, right)];
+  return { $lt: a < b, $gte: a >= b }[op];
+};
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') {
+    return condition.some(branch => matches(doc, branch));
+  }
+  if (key === '$expr') {
+    return expression(doc, condition);
+  }
+
+  const values = valuesAt(doc, key);
+  if (condition && condition.$ne !== undefined) {
+    return !values.some(value => same(value, condition.$ne));
+  }
+  if (condition && condition.$gt !== undefined) {
+    return values.some(value => value > condition.$gt);
+  }
+  if (condition && condition.$size !== undefined) {
+    return values.some(value => Array.isArray(value) && value.length === condition.$size);
+  }
+  if (condition && condition.$exists !== undefined) {
+    return values.some(value => value !== undefined) === condition.$exists;
+  }
+  return values.some(value => same(value, condition));
+});
+
+const applyUpdate = (doc, update) => {
+  Object.entries(update.$set || {}).forEach(([field, value]) => { doc[field] = value; });
+  Object.entries(update.$pull || {}).forEach(([field, { user }]) => {
+    doc[field] = doc[field].filter(entry => !same(entry.user, user));
+  });
+  Object.entries(update.$pop || {}).forEach(([field]) => { doc[field] = doc[field].slice(1); });
+  Object.entries(update.$push || {}).forEach(([field, value]) => { doc[field] = [...doc[field], value]; });
+};
+
+let stored;
+
+const installEventStore = (fields) => {
+  stored = {
+    _id: new mongoose.Types.ObjectId(),
+    title: 'Board games',
+    status: 'published',
+    startsAt: new Date('2026-04-01T18:00:00Z'),
+    capacity: 2,
+    registrations: [],
+    waitlist: [],
+    ...fields
+  };
+  const load = () => Event.hydrate({
+    ...stored,
+    registrations: stored.registrations.map(reg => ({ ...reg })),
+    waitlist: stored.waitlist.map(entry => ({ ...entry }))
+  });
+
+  // Let other updates run in between, like requests arriving concurrently
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+
+  mock.method(Event, 'findById', () => {
+    const query = Promise.resolve().then(tick).then(load);
+    query.select = () => query;
+    query.session = () => query;
+    return query;
+  });
+  mock.method(Event, 'findOneAndUpdate', async (filter, update) => {
+    await tick();
+    if (!matches(stored, filter)) {
+      return null;
+    }
+    applyUpdate(stored, update);
+    return load();
+  });
+};
+
+const userIds = () => Array.from({ length: 8 }, () => new mongoose.Types.ObjectId());
+const registered = () => stored.registrations.map(reg => String(reg.user));
+const waiting = () => stored.waitlist.map(entry => String(entry.user));
+
+describe('registration', () => {
+  let users;
+
+  beforeEach(() => {
+    clock.setClock(() => NOW);
+    users = userIds();
+    mock.method(User, 'updateOne', async () => ({}));
+    mock.method(Webhook, 'find', () => ({ select: async () => [] }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    clock.setClock();
+  });
+
+  describe('registerUser', () => {
+    it('never registers more users than the capacity, however many register at once', async () => {
+      installEventStore({ capacity: 3 });
+
+      const results = await Promise.all(users.map(user => registerUser(stored._id, user)));
+
+      assert.equal(stored.registrations.length, 3);
+      assert.equal(results.filter(result => result.event).length, 3);
+      assert.deepEqual(results.filter(result => result.error).map(result => result.error), Array(5).fill('full'));
+    });
+
+    it('registers a user only once', async () => {
+      installEventStore();
+
+      const results = await Promise.all([registerUser(stored._id, users[0]), registerUser(stored._id, users[0])]);
+
+      assert.deepEqual(registered(), [String(users[0])]);
+      assert.deepEqual(results.map(result => result.error), [undefined, 'already_registered']);
+    });
+
+    it('refuses events that are not published or have started', async () => {
+      installEventStore({ status: 'draft' });
+      assert.equal((await registerUser(stored._id, users[0])).error, 'not_open');
+
+      installEventStore({ startsAt: NOW });
+      assert.equal((await registerUser(stored._id, users[0])).error, 'not_open');
+    });
+  });
+
+  describe('freed seats', () => {
+    it('go to the head of the waitlist and not to a direct registration', async () => {
+      const [first, second, head, next, outsider] = users;
+      installEventStore({
+        registrations: [{ user: first }, { user: second }],
+        waitlist: [{ user: head }, { user: next }]
+      });
+
+      await cancelRegistration(stored._id, first);
+
+      assert.equal((await registerUser(stored._id, outsider)).error, 'full');
+      assert.equal(String(await promoteNextWaitlisted(stored._id)), String(head));
+      assert.deepEqual(registered(), [String(second), String(head)]);
+      assert.deepEqual(waiting(), [String(next)]);
+    });
+
+    it('can be taken directly by the head of the waitlist', async () => {
+      const [first, head, next] = users;
+      installEventStore({ capacity: 1, registrations: [{ user: first }], waitlist: [{ user: head }, { user: next }] });
+
+      await cancelRegistration(stored._id, first);
+      const { event } = await registerUser(stored._id, head);
+
+      assert.ok(event);
+      assert.deepEqual(registered(), [String(head)]);
+      assert.deepEqual(waiting(), [String(next)]);
+    });
+
+    it('are handed out one per promotion when promotions run at once', async () => {
+      const [first, second, ...waitlisted] = users;
+      installEventStore({
+        registrations: [{ user: first }, { user: second }],
+        waitlist: waitlisted.map(user => ({ user }))
+      });
+
+      await Promise.all([cancelRegistration(stored._id, first), cancelRegistration(stored._id, second)]);
+      await Promise.all(waitlisted.map(() => promoteNextWaitlisted(stored._id)));
+      while (await promoteNextWaitlisted(stored._id));
+
+      assert.deepEqual(registered(), waitlisted.slice(0, 2).map(String));
+      assert.deepEqual(waiting(), waitlisted.slice(2).map(String));
+    });
+
+    it('are not promoted into while the event is full', async () => {
+      installEventStore({ registrations: [{ user: users[0] }, { user: users[1] }], waitlist: [{ user: users[2] }] });
+
+      assert.equal(await promoteNextWaitlisted(stored._id), null);
+      assert.deepEqual(waiting(), [String(users[2])]);
+    });
+  });
+
+  describe('joinWaitlist', () => {
+    it('queues a user once when the same user joins twice at once', async () => {
+      installEventStore({ capacity: 1, registrations: [{ user: users[0] }] });
+
+      const results = await Promise.all([joinWaitlist(stored._id, users[1]), joinWaitlist(stored._id, users[1])]);
+
+      assert.deepEqual(waiting(), [String(users[1])]);
+      assert.deepEqual(results.map(result => result.error), [undefined, 'already_waiting']);
+      assert.equal(stored.waitlist[0].joinedAt.getTime(), NOW.getTime());
+    });
+
+    it('refuses registered users and events with free seats nobody is waiting for', async () => {
+      installEventStore({ registrations: [{ user: users[0] }] });
+
+      assert.equal((await joinWaitlist(stored._id, users[0])).error, 'already_registered');
+      assert.equal((await joinWaitlist(stored._id, users[1])).error, 'seats_available');
+    });
+
+    it('accepts joins while free seats are held for those already waiting', async () => {
+      installEventStore({ registrations: [{ user: users[0] }], waitlist: [{ user: users[1] }] });
+
+      const { event } = await joinWaitlist(stored._id, users[2]);
+
+      assert.equal(event.waitlistPosition(users[2]), 2);
+    });
+  });
+
+  describe('leaveWaitlist', () => {
+    it('keeps a promotion that runs at the same time', async () => {
+      const [first, head, leaving] = users;
+      installEventStore({ capacity: 1, waitlist: [{ user: head }, { user: leaving }] });
+
+      const [left] = await Promise.all([leaveWaitlist(stored._id, leaving), promoteNextWaitlisted(stored._id)]);
+
+      assert.ok(left);
+      assert.deepEqual(registered(), [String(head)]);
+      assert.deepEqual(waiting(), []);
+      assert.equal(await leaveWaitlist(stored._id, first), null);
+    });
+  });
+
+  describe('setCapacity', () => {
+    it('refuses a capacity below the number of registrations', async () => {
+      installEventStore({ capacity: 3, registrations: users.slice(0, 3).map(user => ({ user })) });
+
+      assert.equal(await setCapacity(stored._id, 2), null);
+      assert.equal(stored.capacity, 3);
+    });
+
+    it('keeps registrations within the capacity when both change at once', async () => {
+      installEventStore({ capacity: 4, registrations: [{ user: users[0] }] });
+
+      await Promise.all([
+        ...users.slice(1).map(user => registerUser(stored._id, user)),
+        setCapacity(stored._id, 2)
+      ]);
+
+      assert.ok(stored.registrations.length <= stored.capacity);
+      assert.equal(stored.registrations.length, stored.capacity === 2 ? 2 : 4);
+    });
+
+    it('lowers the capacity to the number of registrations', async () => {
+      installEventStore({ capacity: 5, registrations: [{ user: users[0] }, { user: users[1] }] });
+
+      const event = await setCapacity(stored._id, 2);
+
+      assert.equal(event.capacity, 2);
+      assert.equal((await registerUser(stored._id, users[2])).error, 'full');
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const ExcelJS = require('exceljs');
+const Event = require('../models/Event');
+const {
+  REGISTRATION_EXPORT_COLUMNS,
+  selectColumns,
+  registrationCursor,
+  formatCsvValue,
+  streamRegistrationExport
+} = require('../utils/registrationExport');
+
+const rows = [
+  {
+    eventTitle: 'Chess, "open" night',
+    eventType: 'Social',
+    eventStartsAt: new Date('2026-04-01T18:00:00Z'),
+    eventLocation: 'Main Hall',
+    name: 'Ada',
+    email: 'ada@example.com',
+    registeredAt: new Date('2026-03-01T12:00:00Z'),
+    checkedInAt: new Date('2026-04-01T17:55:00Z')
+  },
+  { eventTitle: 'Chess, "open" night', name: '=HYPERLINK("x")', email: 'eve@example.com' }
+];
+
+// Stand-in for an Express response that collects what is written
+const fakeResponse = () => {
+  const res = new PassThrough();
+  res.headers = {};
+  res.set = (name, value) => { res.headers[name] = value; };
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.body = () => Buffer.concat(chunks);
+  return res;
+};
+
+const cursorOf = async function* (items) {
+  yield* items;
+};
+
+describe('formatCsvValue', () => {
+  it('writes dates as ISO strings and missing values as empty cells', () => {
+    assert.equal(formatCsvValue(new Date('2026-04-01T18:00:00Z')), '2026-04-01T18:00:00.000Z');
+    assert.equal(formatCsvValue(null), '');
+    assert.equal(formatCsvValue(undefined), '');
+    assert.equal(formatCsvValue(0), '0');
+  });
+
+  it('quotes values with commas, quotes or line breaks', () => {
+    assert.equal(formatCsvValue('a,b'), '"a,b"');
+    assert.equal(formatCsvValue('say "hi"'), '"say ""hi"""');
+    assert.equal(formatCsvValue('two\nlines'), '"two\nlines"');
+  });
+
+  it('keeps spreadsheet apps from reading cells as formulas', () => {
+    assert.deepEqual(['=1+1', '+1', '-1', '@SUM(A1)', '\tx'].map(formatCsvValue), ["'=1+1", "'+1", "'-1", "'@SUM(A1)", "'\tx"]);
+  });
+});
+
+describe('selectColumns', () => {
+  it('returns every column without a list', () => {
+    assert.equal(selectColumns(), REGISTRATION_EXPORT_COLUMNS);
+  });
+
+  it('keeps the export column order and ignores spacing', () => {
+    assert.deepEqual(selectColumns(' email ,eventTitle').map(column => column.key), ['eventTitle', 'email']);
+  });
+});
+
+describe('registrationCursor', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('matches events by ID, types and start range before unwinding registrations', () => {
+    const aggregate = mock.method(Event, 'aggregate', () => ({ cursor: () => 'cursor' }));
+
+    const cursor = registrationCursor({
+      eventId: '65f1c2a9e4b0a1b2c3d4e5f6',
+      type: 'Social,Sports',
+      from: '2026-04-01',
+      to: '2026-04-30',
+      eventFilter: { creator: 'organizer' }
+    });
+
+    const [pipeline] = aggregate.mock.calls[0].arguments;
+    const { _id, ...match } = pipeline[0].$match;
+    assert.equal(cursor, 'cursor');
+    assert.equal(String(_id), '65f1c2a9e4b0a1b2c3d4e5f6');
+    assert.deepEqual(match, {
+      creator: 'organizer',
+      type: { $in: ['Social', 'Sports'] },
+      startsAt: { $gte: new Date('2026-04-01'), $lte: new Date('2026-04-30') }
+    });
+    assert.deepEqual(pipeline[2], { $unwind: '$registrations' });
+  });
+});
+
+describe('streamRegistrationExport', () => {
+  it('streams CSV with a header row and one line per registration', async () => {
+    const res = fakeResponse();
+    const count = await streamRegistrationExport('csv', cursorOf(rows), res, selectColumns('eventTitle,name,checkedIn'), 'registrations');
+
+    assert.equal(count, 2);
+    assert.equal(res.headers['Content-Disposition'], 'attachment; filename="registrations.csv"');
+    assert.equal(res.body().toString(), [
+      'Event,Name,Checked In',
+      '"Chess, ""open"" night",Ada,yes',
+      `"Chess, ""open"" night","'=HYPERLINK(""x"")",no`,
+      ''
+    ].join('\r\n'));
+  });
+
+  it('streams an XLSX workbook with the same rows', async () => {
+    const res = fakeResponse();
+    const count = await streamRegistrationExport('xlsx', cursorOf(rows), res, selectColumns('name,email'), 'registrations');
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(res.body());
+    const sheet = workbook.getWorksheet('Registrations');
+
+    assert.equal(count, 2);
+    assert.deepEqual(sheet.getSheetValues().slice(1).map(values => values.slice(1)), [
+      ['Name', 'Email'],
+      ['Ada', 'ada@example.com'],
+      ['=HYPERLINK("x")', 'eve@example.com']
+    ]);
+  });
+});
@@ -0,0 +1,84 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Event = require('../models/Event');
+const { conflictingPairs, findScheduleConflicts, findRegistrationConflicts } = require('../utils/scheduleConflicts');
+
+const at = (time) => new Date(`2026-04-01T${time}:00Z`);
+
+const makeEvent = (id, start, end) => ({
+  _id: id,
+  title: `Event ${id}`,
+  location: 'Main Hall',
+  startsAt: at(start),
+  endsAt: at(end)
+});
+
+const ids = (pairs) => pairs.map(({ first, second }) => [first._id, second._id]);
+
+describe('conflictingPairs', () => {
+  it('pairs overlapping events in start order, whatever order they come in', () => {
+    const events = [makeEvent('c', '11:00', '12:00'), makeEvent('a', '09:00', '11:30'), makeEvent('b', '10:00', '10:30')];
+    const pairs = conflictingPairs(events);
+
+    assert.deepEqual(ids(pairs), [['a', 'b'], ['a', 'c']]);
+    assert.deepEqual(pairs.map(pair => pair.overlapMinutes), [30, 30]);
+  });
+
+  it('does not count an event starting when another ends', () => {
+    assert.deepEqual(conflictingPairs([makeEvent('a', '09:00', '10:00'), makeEvent('b', '10:00', '11:00')]), []);
+  });
+
+  it('finds events nested inside a long one after shorter ones have ended', () => {
+    const events = [makeEvent('long', '08:00', '18:00'), makeEvent('early', '09:00', '10:00'), makeEvent('late', '16:00', '17:00')];
+
+    assert.deepEqual(ids(conflictingPairs(events)), [['long', 'early'], ['long', 'late']]);
+  });
+});
+
+describe('schedule conflict queries', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  // Event.find(...).select(...).sort(...) resolving to the given events
+  const mockFind = (events) => mock.method(Event, 'find', () => {
+    const query = Promise.resolve(events);
+    query.select = () => query;
+    query.sort = () => query;
+    return query;
+  });
+
+  it('looks up published registrations overlapping the event and reports the overlap', async () => {
+    const find = mockFind([makeEvent('other', '09:30', '10:15')]);
+    const event = makeEvent('new', '10:00', '11:00');
+
+    const conflicts = await findScheduleConflicts('user-1', event);
+
+    assert.deepEqual(find.mock.calls[0].arguments[0], {
+      _id: { $ne: 'new' },
+      'registrations.user': 'user-1',
+      status: 'published',
+      startsAt: { $lt: event.endsAt },
+      endsAt: { $gt: event.startsAt }
+    });
+    assert.deepEqual(conflicts, [{
+      _id: 'other',
+      title: 'Event other',
+      startsAt: at('09:30'),
+      endsAt: at('10:15'),
+      location: 'Main Hall',
+      overlapMinutes: 15
+    }]);
+  });
+
+  it('lists overlapping pairs among registrations that have not ended', async () => {
+    const now = at('08:00');
+    const find = mockFind([makeEvent('a', '09:00', '10:00'), makeEvent('b', '09:45', '11:00'), makeEvent('c', '12:00', '13:00')]);
+
+    const conflicts = await findRegistrationConflicts('user-1', now);
+
+    assert.deepEqual(find.mock.calls[0].arguments[0], { 'registrations.user': 'user-1', status: 'published', endsAt: { $gt: now } });
+    assert.deepEqual(conflicts.map(conflict => conflict.events.map(event => event._id)), [['a', 'b']]);
+    assert.equal(conflicts[0].overlapMinutes, 15);
+  });
+});
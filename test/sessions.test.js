@@ -0,0 +1,87 @@
+process.env.JWT_SECRET = 'test-secret';
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const clock = require('../utils/clock');
+const { rotateSession } = require('../utils/sessions');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+describe('rotateSession', () => {
+  let stored;
+  let user;
+
+  // Each request loads its own copy of the session, as the refresh route does
+  const loadSession = () => Session.hydrate({ ...stored });
+
+  beforeEach(() => {
+    clock.setClock(() => NOW);
+    user = new User({ name: 'Ada', email: 'ada@example.com', role: 'student' });
+    stored = {
+      _id: new mongoose.Types.ObjectId(),
+      user: user._id,
+      refreshTokenHash: hashToken('first'),
+      expiresAt: new Date('2026-04-01T00:00:00Z')
+    };
+
+    // Compare-and-swap against the stored session, one update at a time
+    mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+      await new Promise(resolve => setImmediate(resolve));
+      if (filter.refreshTokenHash !== stored.refreshTokenHash || stored.revokedAt) {
+        return null;
+      }
+      Object.assign(stored, update.$set);
+      return loadSession();
+    });
+    mock.method(Session, 'updateOne', async (filter, update) => {
+      if (!stored.revokedAt) {
+        Object.assign(stored, update);
+      }
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    clock.setClock();
+  });
+
+  it('rotates the refresh token and keeps the old hash for reuse detection', async () => {
+    const tokens = await rotateSession(`${stored._id}.first`, user, loadSession());
+
+    const [sessionId, secret] = tokens.refreshToken.split('.');
+    assert.equal(sessionId, String(stored._id));
+    assert.equal(stored.refreshTokenHash, hashToken(secret));
+    assert.equal(stored.previousTokenHash, hashToken('first'));
+    assert.equal(stored.lastUsedAt.getTime(), NOW.getTime());
+    assert.ok(tokens.token);
+  });
+
+  it('lets only one of two concurrent refreshes with the same token through and revokes the session', async () => {
+    const results = await Promise.all([
+      rotateSession(`${stored._id}.first`, user, loadSession()),
+      rotateSession(`${stored._id}.first`, user, loadSession())
+    ]);
+
+    assert.equal(results.filter(Boolean).length, 1);
+    assert.equal(stored.revokedReason, 'refresh_token_reuse');
+  });
+
+  it('revokes the session when a rotated token is presented again', async () => {
+    await rotateSession(`${stored._id}.first`, user, loadSession());
+
+    assert.equal(await rotateSession(`${stored._id}.first`, user, loadSession()), null);
+    assert.equal(stored.revokedReason, 'refresh_token_reuse');
+  });
+
+  it('refuses unknown tokens without revoking the session', async () => {
+    assert.equal(await rotateSession(`${stored._id}.guess`, user, loadSession()), null);
+    assert.equal(stored.revokedAt, undefined);
+  });
+});
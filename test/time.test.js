@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { isValidTimeZone, zonedTimeToUtc, formatZonedTime } = require('../utils/time');
+
+describe('isValidTimeZone', () => {
+  it('accepts IANA timezone names and rejects anything else', () => {
+    assert.equal(isValidTimeZone('Europe/Berlin'), true);
+    assert.equal(isValidTimeZone('UTC'), true);
+    assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+  });
+});
+
+describe('zonedTimeToUtc', () => {
+  it('converts wall-clock times on either side of a DST change', () => {
+    // Berlin moves from UTC+1 to UTC+2 on 2026-03-29 and back on 2026-10-25
+    assert.equal(zonedTimeToUtc('2026-03-28', '10:00', 'Europe/Berlin').toISOString(), '2026-03-28T09:00:00.000Z');
+    assert.equal(zonedTimeToUtc('2026-03-29', '10:00', 'Europe/Berlin').toISOString(), '2026-03-29T08:00:00.000Z');
+    assert.equal(zonedTimeToUtc('2026-10-25', '10:00', 'Europe/Berlin').toISOString(), '2026-10-25T09:00:00.000Z');
+  });
+
+  it('moves times skipped by the spring change forward, as clocks do', () => {
+    // 02:30 does not exist in Berlin on 2026-03-29
+    assert.equal(zonedTimeToUtc('2026-03-29', '02:30', 'Europe/Berlin').toISOString(), '2026-03-29T01:30:00.000Z');
+  });
+
+  it('picks one of the two instants of a time repeated in autumn', () => {
+    const instant = zonedTimeToUtc('2026-10-25', '02:30', 'Europe/Berlin');
+
+    assert.ok(['2026-10-25T00:30:00.000Z', '2026-10-25T01:30:00.000Z'].includes(instant.toISOString()));
+    assert.equal(formatZonedTime(instant, 'Europe/Berlin'), '02:30');
+  });
+
+  it('handles timezones west of UTC, across midnight', () => {
+    assert.equal(zonedTimeToUtc('2026-03-08', '23:30', 'America/New_York').toISOString(), '2026-03-09T03:30:00.000Z');
+    assert.equal(zonedTimeToUtc('2026-03-07', '23:30', 'America/New_York').toISOString(), '2026-03-08T04:30:00.000Z');
+  });
+
+  it('accepts Date days and date-times, using only their UTC day', () => {
+    assert.equal(zonedTimeToUtc(new Date('2026-05-01T00:00:00Z'), '09:15', 'UTC').toISOString(), '2026-05-01T09:15:00.000Z');
+    assert.equal(zonedTimeToUtc('2026-05-01T22:00:00Z', '09:15', 'Asia/Tokyo').toISOString(), '2026-05-01T00:15:00.000Z');
+  });
+});
+
+describe('formatZonedTime', () => {
+  it('writes the wall-clock time of an instant in a timezone', () => {
+    const instant = new Date('2026-07-01T16:05:00Z');
+
+    assert.equal(formatZonedTime(instant, 'UTC'), '16:05');
+    assert.equal(formatZonedTime(instant, 'Europe/Berlin'), '18:05');
+    assert.equal(formatZonedTime(instant, 'Asia/Kolkata'), '21:35');
+  });
+
+  it('round-trips with zonedTimeToUtc', () => {
+    const instant = zonedTimeToUtc('2026-11-02', '07:45', 'America/Los_Angeles');
+
+    assert.equal(formatZonedTime(instant, 'America/Los_Angeles'), '07:45');
+  });
+});
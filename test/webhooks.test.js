@@ -0,0 +1,204 @@
+// Pin the settings before utils/webhooks reads them
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_RETRY_BASE_SECONDS = '30';
+process.env.WEBHOOK_TIMEOUT_MS = '300';
+process.env.WEBHOOK_DISABLE_AFTER_FAILURES = '2';
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const clock = require('../utils/clock');
+const { signPayload, retryDelayMs, attemptDelivery, redeliver } = require('../utils/webhooks');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+// Local receiver answering with the next queued status code (or never, for 'hang')
+const startReceiver = async () => {
+  const receiver = { requests: [], replies: [] };
+  receiver.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      receiver.requests.push({ headers: req.headers, body });
+      const status = receiver.replies.shift() || 200;
+      if (status !== 'hang') {
+        res.writeHead(status).end(status === 200 ? 'ok' : 'nope');
+      }
+    });
+  });
+  await new Promise(resolve => receiver.server.listen(0, '127.0.0.1', resolve));
+  receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hook`;
+  return receiver;
+};
+
+describe('signPayload', () => {
+  it('signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+    const expected = crypto.createHmac('sha256', 'whsec_test').update('1700000000.{"a":1}').digest('hex');
+    assert.equal(signPayload('whsec_test', 1700000000, '{"a":1}'), expected);
+  });
+
+  it('depends on the secret, the timestamp and the body', () => {
+    const signature = signPayload('whsec_test', 1700000000, '{}');
+    assert.notEqual(signPayload('whsec_other', 1700000000, '{}'), signature);
+    assert.notEqual(signPayload('whsec_test', 1700000001, '{}'), signature);
+    assert.notEqual(signPayload('whsec_test', 1700000000, '{ }'), signature);
+  });
+});
+
+describe('retryDelayMs', () => {
+  it('doubles the base delay after every failed attempt', () => {
+    assert.deepEqual([1, 2, 3, 4].map(retryDelayMs), [30000, 60000, 120000, 240000]);
+  });
+});
+
+describe('attemptDelivery', () => {
+  let receiver;
+  let webhook;
+  let delivery;
+  let webhookUpdates;
+
+  before(async () => {
+    receiver = await startReceiver();
+  });
+
+  after(() => {
+    receiver.server.closeAllConnections();
+    receiver.server.close();
+  });
+
+  beforeEach(() => {
+    clock.setClock(() => NOW);
+    receiver.requests = [];
+    receiver.replies = [];
+    webhookUpdates = [];
+
+    webhook = new Webhook({ url: receiver.url, events: ['*'], secret: 'whsec_test' });
+    delivery = new WebhookDelivery({
+      webhook: webhook._id,
+      type: 'event.updated',
+      payload: JSON.stringify({ type: 'event.updated', data: { id: 1 } }),
+      nextAttemptAt: NOW
+    });
+
+    mock.method(WebhookDelivery, 'findOneAndUpdate', async () => (delivery.status === 'pending' ? delivery : null));
+    mock.method(delivery, 'save', async () => delivery);
+    mock.method(Webhook, 'findById', () => ({ select: async () => webhook }));
+    mock.method(Webhook, 'updateOne', async (filter, update) => {
+      webhookUpdates.push(update.$set);
+    });
+    mock.method(Webhook, 'findOneAndUpdate', async (filter, update) => {
+      webhook.consecutiveFailures += update.$inc.consecutiveFailures;
+      return webhook;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    clock.setClock();
+  });
+
+  it('posts the signed payload and marks the delivery succeeded', async () => {
+    const result = await attemptDelivery(delivery._id, NOW);
+
+    assert.equal(result.status, 'succeeded');
+    assert.equal(result.attempts.length, 1);
+    assert.equal(result.attempts[0].statusCode, 200);
+    assert.equal(result.attempts[0].responseBody, 'ok');
+
+    const [request] = receiver.requests;
+    assert.equal(request.body, delivery.payload);
+    assert.equal(request.headers['x-webhook-event'], 'event.updated');
+    assert.equal(request.headers['x-webhook-delivery'], delivery.id);
+
+    const [, timestamp, signature] = request.headers['x-webhook-signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+    assert.equal(signature, signPayload('whsec_test', timestamp, request.body));
+
+    assert.deepEqual(webhookUpdates, [{ consecutiveFailures: 0, lastDeliveryAt: NOW }]);
+  });
+
+  it('schedules a retry with backoff after a failed attempt', async () => {
+    receiver.replies.push(500);
+    const result = await attemptDelivery(delivery._id, NOW);
+
+    assert.equal(result.status, 'pending');
+    assert.equal(result.attempts[0].statusCode, 500);
+    assert.equal(result.nextAttemptAt.getTime(), NOW.getTime() + retryDelayMs(1));
+
+    receiver.replies.push(503);
+    await attemptDelivery(delivery._id, NOW);
+    assert.equal(delivery.nextAttemptAt.getTime(), NOW.getTime() + retryDelayMs(2));
+  });
+
+  it('records a timeout as a failed attempt', async () => {
+    receiver.replies.push('hang');
+    const result = await attemptDelivery(delivery._id, NOW);
+
+    assert.equal(result.status, 'pending');
+    assert.equal(result.attempts[0].statusCode, undefined);
+    assert.equal(result.attempts[0].error, 'Timed out after 300 ms');
+  });
+
+  it('fails the delivery after the last attempt and disables the webhook after repeated failures', async () => {
+    receiver.replies.push(500, 500, 500);
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      await attemptDelivery(delivery._id, NOW);
+    }
+
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts.length, 3);
+    assert.equal(delivery.nextAttemptAt, undefined);
+    assert.equal(webhook.consecutiveFailures, 1);
+    assert.deepEqual(webhookUpdates, []);
+
+    // A second delivery failing for good reaches WEBHOOK_DISABLE_AFTER_FAILURES
+    delivery.status = 'pending';
+    delivery.attempts = [];
+    receiver.replies.push(500, 500, 500);
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      await attemptDelivery(delivery._id, NOW);
+    }
+
+    assert.equal(webhook.consecutiveFailures, 2);
+    assert.equal(webhookUpdates.length, 1);
+    assert.equal(webhookUpdates[0].active, false);
+    assert.equal(webhookUpdates[0].disabledReason, '2 deliveries failed in a row');
+  });
+
+  it('sends nothing to a disabled webhook', async () => {
+    webhook.active = false;
+    const result = await attemptDelivery(delivery._id, NOW);
+
+    assert.equal(result.status, 'failed');
+    assert.equal(receiver.requests.length, 0);
+  });
+
+  it('returns null when the delivery is not due or already claimed', async () => {
+    delivery.status = 'succeeded';
+    assert.equal(await attemptDelivery(delivery._id, NOW), null);
+    assert.equal(receiver.requests.length, 0);
+  });
+
+  it('redelivers the same body as a new delivery', async () => {
+    delivery.status = 'failed';
+    let copy;
+    mock.method(WebhookDelivery, 'create', async (fields) => {
+      copy = new WebhookDelivery(fields);
+      mock.method(copy, 'save', async () => copy);
+      return copy;
+    });
+    WebhookDelivery.findOneAndUpdate.mock.mockImplementation(async () => copy);
+
+    const result = await redeliver(delivery);
+
+    assert.equal(result, copy);
+    assert.equal(result.status, 'succeeded');
+    assert.equal(result.redeliveryOf, delivery._id);
+    assert.notEqual(result.id, delivery.id);
+    assert.equal(receiver.requests[0].body, delivery.payload);
+    assert.equal(receiver.requests[0].headers['x-webhook-delivery'], copy.id);
+  });
+});
@@ -0,0 +1,27 @@
+const { sendMail } = require('./mailer');
+const { TOKEN_TTL_MINUTES } = require('./oneTimeTokens');
+
+const frontendUrl = (path, token) => {
+  const base = process.env.FRONTEND_URL || 'http://localhost:3000';
+  return `${base}${path}?token=${encodeURIComponent(token)}`;
+};
+
+const sendVerificationEmail = (user, token) => sendMail({
+  to: user.email,
+  subject: 'Verify your email address',
+  text: `Hi ${user.name},\n\n` +
+    `Please confirm your email address by opening this link:\n${frontendUrl('/verify-email', token)}\n\n` +
+    `The link expires in ${TOKEN_TTL_MINUTES.email_verification / 60} hours.\n\n- Mosaic Events`
+});
+
+const sendPasswordResetEmail = (user, token) => sendMail({
+  to: user.email,
+  subject: 'Reset your password',
+  text: `Hi ${user.name},\n\n` +
+    `Someone asked to reset the password for your account. If that was you, open this link:\n` +
+    `${frontendUrl('/reset-password', token)}\n\n` +
+    `The link expires in ${TOKEN_TTL_MINUTES.password_reset} minutes. ` +
+    `If you did not ask for this, you can ignore this email.\n\n- Mosaic Events`
+});
+
+module.exports = { sendVerificationEmail, sendPasswordResetEmail };
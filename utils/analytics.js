@@ -0,0 +1,330 @@
+const Event = require('../models/Event');
+const AuditLog = require('../models/AuditLog');
+const { DEFAULT_TIMEZONE } = require('./time');
+
+// Aggregations behind the admin analytics API (routes/analytics.js).
+//
+// Every function takes { from, to, type }: from/to bound the event start time for
+// event-based stats (fill rates, top events, repeat attendees) and the activity time
+// for activity-based stats (registration trends, cancellations, active users);
+// type is a comma-separated list of event types.
+//
+// Registrations are removed from events when cancelled, so cancellation counts
+// come from the audit log and are limited by its retention.
+
+const INTERVAL_FORMATS = {
+  day: '%Y-%m-%d',
+  // ISO week, e.g. 2025-W03
+  week: '%G-W%V'
+};
+
+// Events that were ever open for registration
+const LIVE_STATUSES = ['published', 'cancelled', 'completed'];
+
+const parseTypes = (type) => (type ? String(type).split(',').map(item => item.trim()).filter(Boolean) : null);
+
+const dateRange = ({ from, to }) => {
+  if (!from && !to) {
+    return null;
+  }
+  const range = {};
+  if (from) {
+    range.$gte = new Date(from);
+  }
+  if (to) {
+    range.$lte = new Date(to);
+  }
+  return range;
+};
+
+// Filter on events by type and, with byStart, by start time
+const eventMatch = (filters, { byStart = true, statuses = LIVE_STATUSES } = {}) => {
+  const match = { status: { $in: statuses } };
+  const types = parseTypes(filters.type);
+  if (types) {
+    match.type = { $in: types };
+  }
+  const range = dateRange(filters);
+  if (byStart && range) {
+    match.startsAt = range;
+  }
+  return match;
+};
+
+const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 1000 : 0);
+
+// Registrations (still active) per day or week, by registration time
+const registrationTrends = async (filters, { interval = 'day', timezone = DEFAULT_TIMEZONE } = {}) => {
+  const range = dateRange(filters);
+
+  const periods = await Event.aggregate([
+    { $match: eventMatch(filters, { byStart: false }) },
+    { $unwind: '$registrations' },
+    ...(range ? [{ $match: { 'registrations.registeredAt': range } }] : []),
+    {
+      $group: {
+        _id: {
+          $dateToString: {
+            format: INTERVAL_FORMATS[interval],
+            date: '$registrations.registeredAt',
+            timezone
+          }
+        },
+        registrations: { $sum: 1 },
+        users: { $addToSet: '$registrations.user' },
+        checkedIn: { $sum: { $cond: [{ $ifNull: ['$registrations.checkedInAt', false] }, 1, 0] } }
+      }
+    },
+    { $sort: { _id: 1 } },
+    {
+      $project: {
+        _id: 0,
+        period: '$_id',
+        registrations: 1,
+        uniqueUsers: { $size: '$users' },
+        checkedIn: 1
+      }
+    }
+  ]);
+
+  return {
+    interval,
+    timezone,
+    total: periods.reduce((sum, period) => sum + period.registrations, 0),
+    periods
+  };
+};
+
+// Fill rate (registrations / capacity) per event, per type and overall
+const fillRates = async (filters) => {
+  const [result] = await Event.aggregate([
+    { $match: eventMatch(filters, { statuses: ['published', 'completed'] }) },
+    {
+      $project: {
+        title: 1,
+        type: 1,
+        status: 1,
+        startsAt: 1,
+        capacity: 1,
+        registrations: { $size: '$registrations' },
+        waitlist: { $size: '$waitlist' }
+      }
+    },
+    { $addFields: { fillRate: { $round: [{ $divide: ['$registrations', '$capacity'] }, 3] } } },
+    {
+      $facet: {
+        events: [{ $sort: { startsAt: 1 } }],
+        types: [
+          {
+            $group: {
+              _id: '$type',
+              events: { $sum: 1 },
+              capacity: { $sum: '$capacity' },
+              registrations: { $sum: '$registrations' },
+              averageFillRate: { $avg: '$fillRate' },
+              fullEvents: { $sum: { $cond: [{ $gte: ['$registrations', '$capacity'] }, 1, 0] } }
+            }
+          },
+          { $sort: { _id: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const types = result.types.map(({ _id, averageFillRate, ...type }) => ({
+    type: _id,
+    ...type,
+    fillRate: ratio(type.registrations, type.capacity),
+    averageFillRate: Math.round(averageFillRate * 1000) / 1000
+  }));
+  const capacity = types.reduce((sum, type) => sum + type.capacity, 0);
+  const registrations = types.reduce((sum, type) => sum + type.registrations, 0);
+
+  return {
+    overall: {
+      events: result.events.length,
+      capacity,
+      registrations,
+      fillRate: ratio(registrations, capacity)
+    },
+    types,
+    events: result.events
+  };
+};
+
+const TOP_EVENT_SORTS = {
+  registrations: { registrations: -1, fillRate: -1 },
+  fillRate: { fillRate: -1, registrations: -1 },
+  attendance: { checkedIn: -1, registrations: -1 }
+};
+
+// Most popular events by registrations, fill rate or check-ins
+const topEvents = (filters, { by = 'registrations', limit = 10 } = {}) => Event.aggregate([
+  { $match: eventMatch(filters, { statuses: ['published', 'completed'] }) },
+  {
+    $project: {
+      title: 1,
+      type: 1,
+      startsAt: 1,
+      location: 1,
+      capacity: 1,
+      registrations: { $size: '$registrations' },
+      waitlist: { $size: '$waitlist' },
+      checkedIn: {
+        $size: {
+          $filter: { input: '$registrations', cond: { $ifNull: ['$$this.checkedInAt', false] } }
+        }
+      }
+    }
+  },
+  { $addFields: { fillRate: { $round: [{ $divide: ['$registrations', '$capacity'] }, 3] } } },
+  { $sort: { ...TOP_EVENT_SORTS[by], _id: 1 } },
+  { $limit: limit }
+]);
+
+// Registration cancellations (from the audit log) and cancelled events
+const cancellationStats = async (filters) => {
+  const range = dateRange(filters);
+  const types = parseTypes(filters.type);
+
+  const byType = await AuditLog.aggregate([
+    {
+      $match: {
+        action: { $in: ['registration.create', 'registration.cancel'] },
+        ...(range ? { createdAt: range } : {})
+      }
+    },
+    {
+      $lookup: {
+        from: 'events',
+        localField: 'targetId',
+        foreignField: '_id',
+        pipeline: [{ $project: { type: 1 } }],
+        as: 'event'
+      }
+    },
+    { $addFields: { type: { $ifNull: [{ $arrayElemAt: ['$event.type', 0] }, null] } } },
+    ...(types ? [{ $match: { type: { $in: types } } }] : []),
+    {
+      $group: {
+        _id: '$type',
+        registrations: { $sum: { $cond: [{ $eq: ['$action', 'registration.create'] }, 1, 0] } },
+        cancellations: { $sum: { $cond: [{ $eq: ['$action', 'registration.cancel'] }, 1, 0] } }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  const [events] = await Event.aggregate([
+    { $match: eventMatch(filters) },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: 1 },
+        cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const registrations = byType.reduce((sum, row) => sum + row.registrations, 0);
+  const cancellations = byType.reduce((sum, row) => sum + row.cancellations, 0);
+
+  return {
+    registrations: {
+      created: registrations,
+      cancelled: cancellations,
+      cancellationRate: ratio(cancellations, registrations),
+      // Events deleted since are listed with type null
+      types: byType.map(({ _id, ...row }) => ({
+        type: _id,
+        ...row,
+        cancellationRate: ratio(row.cancellations, row.registrations)
+      }))
+    },
+    events: {
+      total: events ? events.total : 0,
+      cancelled: events ? events.cancelled : 0,
+      cancellationRate: events ? ratio(events.cancelled, events.total) : 0
+    }
+  };
+};
+
+// Active users in the period and how many attendees come back to several events
+const userActivity = async (filters) => {
+  const range = dateRange(filters);
+
+  const [registering] = await Event.aggregate([
+    { $match: eventMatch(filters, { byStart: false }) },
+    { $unwind: '$registrations' },
+    ...(range ? [{ $match: { 'registrations.registeredAt': range } }] : []),
+    { $group: { _id: '$registrations.user' } },
+    { $count: 'count' }
+  ]);
+
+  const [loggedIn] = await AuditLog.aggregate([
+    { $match: { action: 'auth.login', ...(range ? { createdAt: range } : {}) } },
+    { $group: { _id: '$actor' } },
+    { $count: 'count' }
+  ]);
+
+  // Per attendee: events registered for and events checked in to, by event start time
+  const [attendees] = await Event.aggregate([
+    { $match: eventMatch(filters, { statuses: ['published', 'completed'] }) },
+    { $unwind: '$registrations' },
+    {
+      $group: {
+        _id: '$registrations.user',
+        events: { $sum: 1 },
+        attended: { $sum: { $cond: [{ $ifNull: ['$registrations.checkedInAt', false] }, 1, 0] } }
+      }
+    },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              attendees: { $sum: 1 },
+              repeatAttendees: { $sum: { $cond: [{ $gte: ['$events', 2] }, 1, 0] } },
+              repeatCheckIns: { $sum: { $cond: [{ $gte: ['$attended', 2] }, 1, 0] } },
+              averageEvents: { $avg: '$events' }
+            }
+          }
+        ],
+        // Attendees by number of events, with 5 or more grouped together
+        distribution: [
+          { $group: { _id: { $min: ['$events', 5] }, users: { $sum: 1 } } },
+          { $sort: { _id: 1 } },
+          { $project: { _id: 0, events: '$_id', users: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const totals = attendees.totals[0] || { attendees: 0, repeatAttendees: 0, repeatCheckIns: 0, averageEvents: 0 };
+
+  return {
+    activeUsers: {
+      registered: registering ? registering.count : 0,
+      loggedIn: loggedIn ? loggedIn.count : 0
+    },
+    attendees: {
+      total: totals.attendees,
+      repeat: totals.repeatAttendees,
+      repeatRate: ratio(totals.repeatAttendees, totals.attendees),
+      repeatCheckedIn: totals.repeatCheckIns,
+      averageEventsPerAttendee: Math.round(totals.averageEvents * 100) / 100,
+      distribution: attendees.distribution
+    }
+  };
+};
+
+module.exports = {
+  INTERVAL_FORMATS,
+  TOP_EVENT_SORTS,
+  registrationTrends,
+  fillRates,
+  topEvents,
+  cancellationStats,
+  userActivity
+};
@@ -0,0 +1,69 @@
+const AuditLog = require('../models/AuditLog');
+const clock = require('./clock');
+const logger = require('./logger').child({ component: 'audit' });
+
+// Days to keep audit entries; 0 keeps them forever
+const AUDIT_LOG_RETENTION_DAYS = parseInt(process.env.AUDIT_LOG_RETENTION_DAYS || '365');
+
+const EVENT_AUDIT_FIELDS = [
+  'title', 'description', 'date', 'time', 'timezone', 'location', 'venue', 'type',
+  'capacity', 'startsAt', 'endsAt', 'creator', 'coOrganizers', 'status', 'publishAt'
+];
+
+// Plain copy of the audited fields of an event
+const eventSnapshot = (event) => {
+  const snapshot = {};
+  EVENT_AUDIT_FIELDS.forEach(field => {
+    if (event[field] !== undefined) {
+      snapshot[field] = event[field];
+    }
+  });
+  return JSON.parse(JSON.stringify(snapshot));
+};
+
+// Fields whose values differ between two snapshots
+const diffSnapshots = (before = {}, after = {}) => {
+  const diff = {};
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(field => {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      diff[field] = { from: before[field], to: after[field] };
+    }
+  });
+  return diff;
+};
+
+// Append an audit entry. req supplies actor, IP and user agent (null for system actions).
+// Failures are logged and never break the audited request.
+const recordAudit = async (req, { action, targetType, targetId, subjectUser, before, after, metadata, actor }) => {
+  try {
+    const now = clock.now();
+    const user = actor || (req && req.user);
+
+    await AuditLog.create({
+      actor: user ? user._id : undefined,
+      actorRole: user ? user.role : 'system',
+      action,
+      targetType,
+      targetId,
+      subjectUser,
+      before,
+      after,
+      diff: before && after ? diffSnapshots(before, after) : undefined,
+      metadata,
+      ip: req ? req.ip : undefined,
+      userAgent: req ? req.get('User-Agent') : undefined,
+      expiresAt: AUDIT_LOG_RETENTION_DAYS > 0
+        ? new Date(now.getTime() + AUDIT_LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+        : undefined
+    });
+  } catch (error) {
+    logger.error('Error recording audit entry', { err: error });
+  }
+};
+
+module.exports = {
+  AUDIT_LOG_RETENTION_DAYS,
+  eventSnapshot,
+  diffSnapshots,
+  recordAudit
+};
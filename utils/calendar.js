@@ -0,0 +1,63 @@
+const User = require('../models/User');
+const Event = require('../models/Event');
+const clock = require('./clock');
+const { buildVEvent, buildCalendar } = require('./ical');
+
+// How long cancelled events keep appearing (as STATUS:CANCELLED) in feeds
+const CANCELLATION_RETENTION_DAYS = 90;
+
+// Most cancellations kept per user; older ones are dropped as new ones are recorded
+const MAX_CALENDAR_CANCELLATIONS = 200;
+
+// Remember that these users lost the event, so their feeds can tell subscribers to remove it
+const recordCalendarCancellation = async (userIds, event) => {
+  if (!userIds || userIds.length === 0) {
+    return;
+  }
+
+  await User.updateMany(
+    { _id: { $in: userIds } },
+    {
+      $push: {
+        calendarCancellations: {
+          $each: [{
+            event: event._id,
+            title: event.title,
+            location: event.location,
+            startsAt: event.startsAt,
+            endsAt: event.endsAt,
+            cancelledAt: clock.now()
+          }],
+          $slice: -MAX_CALENDAR_CANCELLATIONS
+        }
+      }
+    }
+  );
+};
+
+// Build the iCalendar feed for a user: registered events plus recent cancellations
+const buildUserFeed = async (user) => {
+  const now = clock.now();
+  const cutoff = new Date(now.getTime() - CANCELLATION_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+  const events = await Event.find({ _id: { $in: user.registeredEvents } })
+    .populate('creator', 'name email');
+
+  const registeredIds = new Set(events.map(event => event._id.toString()));
+  const cancellations = user.calendarCancellations.filter(entry => (
+    entry.cancelledAt >= cutoff && !registeredIds.has(entry.event.toString())
+  ));
+
+  const vevents = [
+    ...events.map(event => buildVEvent(event, { cancelled: event.status === 'cancelled', now })),
+    ...cancellations.map(entry => buildVEvent(entry, { cancelled: true, now }))
+  ];
+
+  return buildCalendar(vevents, { name: `${user.name} - Mosaic Events` });
+};
+
+module.exports = {
+  CANCELLATION_RETENTION_DAYS,
+  recordCalendarCancellation,
+  buildUserFeed
+};
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const Event = require('../models/Event');
+
+// Check-in opens this long before the event starts and closes this long after it ends
+const CHECK_IN_OPENS_MINUTES = parseInt(process.env.CHECK_IN_OPENS_MINUTES || '60');
+const CHECK_IN_CLOSES_MINUTES = parseInt(process.env.CHECK_IN_CLOSES_MINUTES || '30');
+
+const QR_PREFIX = 'mosaic-checkin:';
+
+const getSecret = () => process.env.CHECK_IN_SECRET || process.env.JWT_SECRET;
+
+const sign = (payload) => crypto
+  .createHmac('sha256', getSecret())
+  .update(payload)
+  .digest('base64url');
+
+// Token binding one registration to one event: "<eventId>.<registrationId>.<signature>".
+// Registration ids change when a user re-registers, so old tokens stop working.
+const createCheckInToken = (eventId, registrationId) => {
+  const payload = `${eventId}.${registrationId}`;
+  return `${payload}.${sign(payload)}`;
+};
+
+// Returns { eventId, registrationId } for a valid token (with or without the QR prefix), else null
+const verifyCheckInToken = (token) => {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const parts = token.replace(QR_PREFIX, '').split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  const [eventId, registrationId, signature] = parts;
+  const expected = Buffer.from(sign(`${eventId}.${registrationId}`));
+  const actual = Buffer.from(signature);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return { eventId, registrationId };
+};
+
+const getCheckInWindow = (event) => ({
+  opensAt: new Date(event.startsAt.getTime() - CHECK_IN_OPENS_MINUTES * 60 * 1000),
+  closesAt: new Date((event.endsAt || event.startsAt).getTime() + CHECK_IN_CLOSES_MINUTES * 60 * 1000)
+});
+
+const isWithinCheckInWindow = (event, now) => {
+  const { opensAt, closesAt } = getCheckInWindow(event);
+  return now >= opensAt && now <= closesAt;
+};
+
+// Atomically mark a registration as checked in. Returns false if it was already checked in.
+const markCheckedIn = async (eventId, registrationId, { by, method, now }) => {
+  const result = await Event.updateOne(
+    {
+      _id: eventId,
+      registrations: { $elemMatch: { _id: registrationId, checkedInAt: null } }
+    },
+    {
+      $set: {
+        'registrations.$.checkedInAt': now,
+        'registrations.$.checkedInBy': by,
+        'registrations.$.checkInMethod': method
+      }
+    }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Clear a check-in. Returns false if the registration was not checked in.
+const undoCheckIn = async (eventId, registrationId) => {
+  const result = await Event.updateOne(
+    {
+      _id: eventId,
+      registrations: { $elemMatch: { _id: registrationId, checkedInAt: { $ne: null } } }
+    },
+    {
+      $unset: {
+        'registrations.$.checkedInAt': '',
+        'registrations.$.checkedInBy': '',
+        'registrations.$.checkInMethod': ''
+      }
+    }
+  );
+  return result.modifiedCount === 1;
+};
+
+module.exports = {
+  QR_PREFIX,
+  createCheckInToken,
+  verifyCheckInToken,
+  getCheckInWindow,
+  isWithinCheckInWindow,
+  markCheckedIn,
+  undoCheckIn
+};
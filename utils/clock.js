@@ -0,0 +1,15 @@
+// Injectable clock so "now" can be pinned in tests and scripts.
+// Every upcoming/past check should go through clock.now() instead of new Date().
+
+const systemClock = () => new Date();
+
+let current = systemClock;
+
+const now = () => current();
+
+// Replace the clock with a function returning a Date (or reset with no argument)
+const setClock = (clockFn) => {
+  current = clockFn || systemClock;
+};
+
+module.exports = { now, setClock };
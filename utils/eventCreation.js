@@ -0,0 +1,77 @@
+const { validationResult } = require('express-validator');
+const Event = require('../models/Event');
+const clock = require('./clock');
+const { eventSnapshot, recordAudit } = require('./audit');
+const { initialLifecycle } = require('./eventStatus');
+const { broadcastEvent } = require('./realtime');
+const { emitEventWebhook } = require('./webhooks');
+const {
+  resolveVenueLocation,
+  checkVenueBookings,
+  rejectsBooking,
+  withVenueWarnings
+} = require('./venues');
+const logger = require('./logger').child({ component: 'events' });
+
+// Handler creating an event from a request checked by validateEvent and validateLifecycle,
+// shared by POST /api/events/admin and POST /api/admin/events
+const createEvent = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { title, description, date, time, timezone, capacity, type, venue } = req.body;
+
+    let { location } = req.body;
+    if (venue) {
+      location = await resolveVenueLocation(venue, location);
+      if (!location) {
+        return res.status(400).json({ message: 'Venue not found' });
+      }
+    }
+
+    // Create event with validated data
+    const event = new Event({
+      title,
+      description,
+      date,
+      time,
+      timezone,
+      location,
+      venue,
+      capacity,
+      type,
+      creator: req.user.id,
+      ...initialLifecycle(req.body, clock.now()),
+    });
+    if (req.body.endTime || req.body.durationMinutes) {
+      event.setEnd(req.body);
+    }
+
+    const venueIssues = await checkVenueBookings([event]);
+    if (rejectsBooking(venueIssues)) {
+      return res.status(409).json({ message: 'Venue booking conflict', issues: venueIssues });
+    }
+
+    await event.save();
+    await recordAudit(req, {
+      action: 'event.create',
+      targetType: 'Event',
+      targetId: event._id,
+      after: eventSnapshot(event)
+    });
+
+    await broadcastEvent('created', event);
+    await emitEventWebhook('created', event);
+
+    res.status(201).json(withVenueWarnings(event, venueIssues));
+  } catch (error) {
+    logger.error('Create event error', { err: error });
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = { createEvent };
@@ -0,0 +1,176 @@
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const { validationResult } = require('express-validator');
+const Event = require('../models/Event');
+const { withTransaction } = require('./transaction');
+const { resolveVenueLocation, checkVenueBookings, rejectsBooking } = require('./venues');
+
+const MAX_IMPORT_ROWS = 1000;
+const IMPORT_FIELDS = [
+  'title', 'description', 'date', 'time', 'timezone', 'endTime', 'durationMinutes', 'location', 'venue', 'capacity', 'type'
+];
+
+// Parse an uploaded CSV or JSON file into an array of plain row objects
+const parseImportFile = (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  const content = file.buffer.toString('utf8');
+
+  if (extension === '.json' || file.mimetype === 'application/json') {
+    const data = JSON.parse(content);
+    const rows = Array.isArray(data) ? data : data.events;
+    if (!Array.isArray(rows)) {
+      throw new Error('JSON import must be an array of events or { "events": [...] }');
+    }
+    return rows;
+  }
+
+  if (extension === '.csv' || file.mimetype === 'text/csv') {
+    return parse(content, {
+      columns: header => header.map(column => column.trim()),
+      bom: true,
+      trim: true,
+      skip_empty_lines: true
+    });
+  }
+
+  throw new Error('Unsupported file type, upload a .csv or .json file');
+};
+
+const duplicateKey = (title, date, location) => [
+  String(title).trim().toLowerCase(),
+  new Date(date).toISOString().split('T')[0],
+  String(location).trim().toLowerCase()
+].join('|');
+
+// Validate every row with the create-event validators and the Event schema.
+// Returns per-row results; rows without errors carry an unsaved Event document.
+const validateImportRows = async (rows, { validators, creatorId, now }) => {
+  const results = [];
+
+  for (const [index, row] of rows.entries()) {
+    const result = { row: index + 1, errors: [], warnings: [] };
+    const input = {};
+    IMPORT_FIELDS.forEach(field => {
+      if (row[field] !== undefined && row[field] !== '') {
+        input[field] = row[field];
+      }
+    });
+
+    // Reuse the request validators by running them against a request-shaped object
+    const fakeReq = { body: input };
+    for (const validator of validators) {
+      await validator.run(fakeReq);
+    }
+    validationResult(fakeReq).array().forEach(error => {
+      result.errors.push({ field: error.path, message: error.msg });
+    });
+
+    // Rows booked into a venue default to the venue's label as their location
+    if (result.errors.length === 0 && fakeReq.body.venue) {
+      fakeReq.body.location = await resolveVenueLocation(fakeReq.body.venue, fakeReq.body.location);
+      if (!fakeReq.body.location) {
+        result.errors.push({ field: 'venue', message: 'Venue not found' });
+      }
+    }
+
+    if (result.errors.length === 0) {
+      const event = new Event({ ...fakeReq.body, creator: creatorId });
+      if (fakeReq.body.endTime || fakeReq.body.durationMinutes) {
+        event.setEnd(fakeReq.body);
+      }
+      try {
+        await event.validate();
+        result.event = event;
+      } catch (error) {
+        if (error.name !== 'ValidationError') {
+          throw error;
+        }
+        Object.values(error.errors).forEach(fieldError => {
+          result.errors.push({ field: fieldError.path, message: fieldError.message });
+        });
+      }
+    }
+
+    if (result.event && result.event.startsAt <= now) {
+      result.warnings.push({ field: 'date', message: 'Event starts in the past' });
+    }
+
+    results.push(result);
+  }
+
+  await addVenueIssues(results);
+  await addDuplicateWarnings(results);
+  return results;
+};
+
+// Check venue bookings of the valid rows against saved events and each other. Booking problems
+// make the row invalid, or are only warnings when VENUE_BOOKING_MODE is warn.
+const addVenueIssues = async (results) => {
+  const candidates = results.filter(result => result.event);
+  const issues = await checkVenueBookings(candidates.map(result => result.event));
+  const rejected = rejectsBooking(issues);
+
+  candidates.forEach(result => {
+    issues.filter(issue => issue.event.equals(result.event._id)).forEach(issue => {
+      (rejected ? result.errors : result.warnings).push({ field: 'venue', message: issue.message });
+    });
+    if (result.errors.length > 0) {
+      delete result.event;
+    }
+  });
+};
+
+// Warn about rows sharing title/date/location with another row or an existing event
+const addDuplicateWarnings = async (results) => {
+  const candidates = results.filter(result => result.event);
+  if (candidates.length === 0) {
+    return;
+  }
+
+  const existing = await Event.find({
+    $or: candidates.map(({ event }) => ({
+      title: event.title,
+      date: event.date,
+      location: event.location
+    }))
+  }).select('title date location');
+
+  const existingKeys = new Set(existing.map(event => duplicateKey(event.title, event.date, event.location)));
+  const seenRows = new Map();
+
+  candidates.forEach(result => {
+    const { title, date, location } = result.event;
+    const key = duplicateKey(title, date, location);
+
+    if (existingKeys.has(key)) {
+      result.warnings.push({ field: 'title', message: 'An event with the same title, date and location already exists' });
+    }
+    if (seenRows.has(key)) {
+      result.warnings.push({ field: 'title', message: `Duplicates row ${seenRows.get(key)} in this import` });
+    } else {
+      seenRows.set(key, result.row);
+    }
+  });
+};
+
+// Insert all valid rows, or none of them
+const insertImportedEvents = async (events) => {
+  return withTransaction(async (session) => {
+    try {
+      return await Event.insertMany(events, { session, ordered: true });
+    } catch (error) {
+      // Without a transaction, undo the rows that made it in before the failure
+      if (!session) {
+        await Event.deleteMany({ _id: { $in: events.map(event => event._id) } });
+      }
+      throw error;
+    }
+  });
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  parseImportFile,
+  validateImportRows,
+  insertImportedEvents
+};
@@ -0,0 +1,105 @@
+const Event = require('../models/Event');
+const clock = require('./clock');
+const { notifyUsers } = require('./notifications');
+const { broadcastEvent } = require('./realtime');
+const { emitEventWebhook } = require('./webhooks');
+const logger = require('./logger').child({ component: 'lifecycle' });
+
+// Lifecycle transitions. Each update is conditioned on the current status,
+// so two concurrent transitions cannot both succeed. They return the updated
+// event, or null if the event was no longer in the expected status.
+
+// Publish the drafts matching the filter and announce them on the live streams
+const publishDrafts = async (filter, now) => {
+  const ids = await Event.distinct('_id', { ...filter, status: 'draft' });
+  if (ids.length === 0) {
+    return 0;
+  }
+
+  const result = await Event.updateMany(
+    { _id: { $in: ids }, status: 'draft' },
+    { $set: { status: 'published', publishedAt: now }, $unset: { publishAt: 1 } }
+  );
+
+  const published = await Event.find({ _id: { $in: ids }, status: 'published' });
+  await Promise.all(published.map(async (event) => {
+    await broadcastEvent('published', event);
+    await emitEventWebhook('published', event);
+  }));
+
+  return result.modifiedCount;
+};
+
+// Publish drafts now (no publishAt) or schedule them for publishAt
+const publishEvents = async (filter, publishAt, now) => {
+  if (publishAt && publishAt > now) {
+    await Event.updateMany({ ...filter, status: 'draft' }, { $set: { publishAt } });
+  } else {
+    await publishDrafts(filter, now);
+  }
+};
+
+// Cancel a published event. Registrations are kept for the record and
+// registered and waitlisted users are told why.
+const cancelEvent = async (event, { reason, cancelledBy }, now = clock.now()) => {
+  const cancelled = await Event.findOneAndUpdate(
+    { _id: event._id, status: 'published' },
+    { $set: { status: 'cancelled', cancelledAt: now, cancelledBy, cancellationReason: reason } },
+    { new: true }
+  );
+
+  if (cancelled) {
+    await broadcastEvent('cancelled', cancelled);
+    await emitEventWebhook('cancelled', cancelled);
+    await notifyUsers([
+      ...cancelled.registrations.map(reg => reg.user),
+      ...cancelled.waitlist.map(entry => entry.user)
+    ], 'event_cancelled', cancelled, { reason });
+  }
+
+  return cancelled;
+};
+
+const completeEvent = async (event, now = clock.now()) => {
+  const completed = await Event.findOneAndUpdate(
+    { _id: event._id, status: 'published' },
+    { $set: { status: 'completed', completedAt: now } },
+    { new: true }
+  );
+
+  if (completed) {
+    await broadcastEvent('completed', completed);
+    await emitEventWebhook('completed', completed);
+  }
+  return completed;
+};
+
+// Publish drafts whose publishAt has passed and complete published events that have ended
+const runLifecycleTasks = async (now = clock.now()) => {
+  const published = await publishDrafts({ publishAt: { $lte: now } }, now);
+
+  const ended = await Event.find({ status: 'published', endsAt: { $lte: now } }).select('_id');
+  const completed = (await Promise.all(ended.map(event => completeEvent(event, now)))).filter(Boolean).length;
+
+  if (published > 0 || completed > 0) {
+    logger.info('Lifecycle tasks ran', { published, completed });
+  }
+  return { published, completed };
+};
+
+// Run the lifecycle tasks every intervalMs. Failures are logged and retried on the next run.
+const startLifecycleScheduler = (intervalMs) => {
+  const timer = setInterval(() => {
+    runLifecycleTasks().catch(error => logger.error('Lifecycle tasks failed', { err: error }));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  publishEvents,
+  cancelEvent,
+  completeEvent,
+  runLifecycleTasks,
+  startLifecycleScheduler
+};
@@ -0,0 +1,105 @@
+// Builds the MongoDB filters and sort for the public event listing (GET /api/events).
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Hour ranges [start, end) in the event's own timezone
+const TIME_OF_DAY = {
+  morning: [5, 12],
+  afternoon: [12, 17],
+  evening: [17, 24],
+  night: [0, 5]
+};
+
+const SORT_OPTIONS = {
+  soonest: { startsAt: 1, _id: 1 },
+  popular: { registrationCount: -1, startsAt: 1, _id: 1 },
+  recent: { createdAt: -1, _id: 1 }
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const splitList = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+// Accepts weekday names (mon, Tuesday) or numbers with 0 = Sunday
+const parseWeekday = (value) => {
+  if (/^[0-6]$/.test(value)) {
+    return Number(value);
+  }
+  return WEEKDAYS.indexOf(value.slice(0, 3).toLowerCase());
+};
+
+// A date-only "to" (YYYY-MM-DD) includes the whole day
+const parseRangeEnd = (value) => {
+  const end = new Date(value);
+  if (!String(value).includes('T')) {
+    end.setUTCDate(end.getUTCDate() + 1);
+    return { $lt: end };
+  }
+  return { $lte: end };
+};
+
+// Returns the filter shared by results and facets, plus the type filter applied to results only
+// so the type facet can still show counts for the other types.
+const buildListingFilters = (params, now) => {
+  const { q, type, from, to, weekday, timeOfDay, location, hasSeats } = params;
+  // Drafts, cancelled and completed events never show up in the public listing
+  const match = { status: 'published' };
+  const expr = [];
+
+  if (q) {
+    match.$text = { $search: q };
+  }
+
+  match.startsAt = { $gt: now };
+  if (from) {
+    const start = new Date(from);
+    if (start > now) {
+      match.startsAt = { $gte: start };
+    }
+  }
+  if (to) {
+    Object.assign(match.startsAt, parseRangeEnd(to));
+  }
+
+  if (location) {
+    match.location = { $regex: escapeRegex(location), $options: 'i' };
+  }
+
+  if (weekday) {
+    // $dayOfWeek is 1 (Sunday) to 7 (Saturday)
+    const days = splitList(weekday).map(parseWeekday).map(day => day + 1);
+    expr.push({ $in: [{ $dayOfWeek: { date: '$startsAt', timezone: '$timezone' } }, days] });
+  }
+
+  if (timeOfDay) {
+    const hour = { $hour: { date: '$startsAt', timezone: '$timezone' } };
+    expr.push({
+      $or: splitList(timeOfDay).map(slot => ({
+        $and: [
+          { $gte: [hour, TIME_OF_DAY[slot][0]] },
+          { $lt: [hour, TIME_OF_DAY[slot][1]] }
+        ]
+      }))
+    });
+  }
+
+  if (hasSeats === 'true') {
+    expr.push({ $lt: [{ $size: '$registrations' }, '$capacity'] });
+  }
+
+  if (expr.length > 0) {
+    match.$expr = expr.length === 1 ? expr[0] : { $and: expr };
+  }
+
+  const typeMatch = type ? { type: { $in: splitList(type) } } : {};
+
+  return { match, typeMatch };
+};
+
+module.exports = {
+  WEEKDAYS,
+  TIME_OF_DAY,
+  SORT_OPTIONS,
+  parseWeekday,
+  buildListingFilters
+};
@@ -0,0 +1,50 @@
+// Event lifecycle: draft -> published -> cancelled | completed.
+// Drafts are only visible to the event's organizers; a draft with publishAt is
+// published automatically at that time (see utils/eventLifecycle).
+
+const EVENT_STATUSES = ['draft', 'published', 'cancelled', 'completed'];
+
+// Statuses each status may move to
+const STATUS_TRANSITIONS = {
+  draft: ['published'],
+  published: ['cancelled', 'completed'],
+  cancelled: [],
+  completed: []
+};
+
+// Fields only changed through lifecycle transitions, never by a plain edit
+const LIFECYCLE_FIELDS = [
+  'status', 'publishAt', 'publishedAt', 'cancelledAt', 'cancelledBy', 'cancellationReason', 'completedAt'
+];
+
+const canTransition = (from, to) => (STATUS_TRANSITIONS[from] || []).includes(to);
+
+// Lifecycle fields for a new event from the request body. Events start as drafts
+// unless created with status "published"; a future publishAt schedules publication.
+const initialLifecycle = ({ status, publishAt } = {}, now) => {
+  if (publishAt && new Date(publishAt) > now) {
+    return { status: 'draft', publishAt: new Date(publishAt) };
+  }
+  if (status === 'published' || publishAt) {
+    return { status: 'published', publishedAt: now };
+  }
+  return { status: 'draft' };
+};
+
+// Copy of an update body without lifecycle fields
+const withoutLifecycleFields = (body) => {
+  const updates = { ...body };
+  LIFECYCLE_FIELDS.forEach(field => {
+    delete updates[field];
+  });
+  return updates;
+};
+
+module.exports = {
+  EVENT_STATUSES,
+  STATUS_TRANSITIONS,
+  LIFECYCLE_FIELDS,
+  canTransition,
+  initialLifecycle,
+  withoutLifecycleFields
+};
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Feedback = require('../models/Feedback');
+
+// Post-event feedback: who may rate an event, rating stats and the feedback export.
+
+const RATINGS = [1, 2, 3, 4, 5];
+
+// Why a user may not leave feedback on an event, or null if they may.
+// Registered users may rate an ended event; once the event has check-ins,
+// only users who checked in count as attendees.
+const feedbackIneligibility = (event, userId, now) => {
+  if (!['published', 'completed'].includes(event.status) || !event.hasEnded(now)) {
+    return 'not_ended';
+  }
+
+  const registration = event.registrations.find(reg => reg.user.toString() === String(userId));
+  if (!registration) {
+    return 'not_attendee';
+  }
+  if (event.checkedInCount > 0 && !registration.checkedInAt) {
+    return 'not_attendee';
+  }
+  return null;
+};
+
+// Rating count, average and per-star distribution of the feedback matching the filter
+const ratingStats = async (match) => {
+  const rows = await Feedback.aggregate([
+    { $match: match },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+
+  const distribution = Object.fromEntries(RATINGS.map(rating => [rating, 0]));
+  rows.forEach(({ _id, count }) => {
+    distribution[_id] = count;
+  });
+
+  const count = rows.reduce((sum, row) => sum + row.count, 0);
+  const total = rows.reduce((sum, row) => sum + row._id * row.count, 0);
+
+  return {
+    count,
+    average: count > 0 ? Math.round((total / count) * 100) / 100 : null,
+    distribution
+  };
+};
+
+const eventRatingStats = (eventId) => ratingStats({ event: new mongoose.Types.ObjectId(eventId) });
+
+// Stats over every event the user created, plus the number of rated events
+const creatorRatingStats = async (creatorId) => {
+  const eventIds = await Event.distinct('_id', { creator: creatorId });
+  const [stats, ratedEvents] = await Promise.all([
+    ratingStats({ event: { $in: eventIds } }),
+    Feedback.distinct('event', { event: { $in: eventIds } })
+  ]);
+
+  return { ...stats, events: eventIds.length, ratedEvents: ratedEvents.length };
+};
+
+// Export columns in output order; hidden comments are included and flagged
+const FEEDBACK_EXPORT_COLUMNS = [
+  { key: 'eventTitle', header: 'Event', value: row => row.eventTitle },
+  { key: 'eventStartsAt', header: 'Event Start', value: row => row.eventStartsAt },
+  { key: 'name', header: 'Name', value: row => row.name },
+  { key: 'email', header: 'Email', value: row => row.email },
+  { key: 'rating', header: 'Rating', value: row => row.rating },
+  { key: 'comment', header: 'Comment', value: row => row.comment },
+  { key: 'attended', header: 'Checked In', value: row => (row.attended ? 'yes' : 'no') },
+  { key: 'hidden', header: 'Hidden', value: row => (row.hidden ? 'yes' : 'no') },
+  { key: 'hiddenReason', header: 'Hidden Reason', value: row => row.hiddenReason },
+  { key: 'createdAt', header: 'Submitted At', value: row => row.createdAt }
+];
+
+// Aggregation cursor yielding one flat row per feedback on the event, oldest first
+const feedbackCursor = (eventId) => Feedback.aggregate([
+  { $match: { event: new mongoose.Types.ObjectId(eventId) } },
+  { $sort: { createdAt: 1, _id: 1 } },
+  {
+    $lookup: {
+      from: 'events',
+      localField: 'event',
+      foreignField: '_id',
+      pipeline: [{ $project: { title: 1, startsAt: 1 } }],
+      as: 'event'
+    }
+  },
+  {
+    $lookup: {
+      from: 'users',
+      localField: 'user',
+      foreignField: '_id',
+      pipeline: [{ $project: { name: 1, email: 1 } }],
+      as: 'user'
+    }
+  },
+  { $unwind: { path: '$event', preserveNullAndEmptyArrays: true } },
+  { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
+  {
+    $project: {
+      _id: 0,
+      eventTitle: '$event.title',
+      eventStartsAt: '$event.startsAt',
+      name: '$user.name',
+      email: '$user.email',
+      rating: 1,
+      comment: 1,
+      attended: 1,
+      hidden: 1,
+      hiddenReason: 1,
+      createdAt: 1
+    }
+  }
+]).cursor({ batchSize: 500 });
+
+module.exports = {
+  RATINGS,
+  FEEDBACK_EXPORT_COLUMNS,
+  feedbackIneligibility,
+  ratingStats,
+  eventRatingStats,
+  creatorRatingStats,
+  feedbackCursor
+};
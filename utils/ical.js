@@ -0,0 +1,107 @@
+// Minimal RFC 5545 (iCalendar) writer for event exports and calendar feeds.
+
+const PRODID = '-//Mosaic//Campus Events//EN';
+const UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || 'mosaic.events';
+
+// Escape TEXT values (backslash, semicolon, comma, newline)
+const escapeText = (value = '') => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// UTC DATE-TIME, e.g. 20250110T153000Z
+const formatDateTime = (date) => new Date(date).toISOString()
+  .replace(/[-:]/g, '')
+  .replace(/\.\d{3}/, '');
+
+// Fold content lines longer than 75 octets without splitting multi-byte characters
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= 75) {
+    return line;
+  }
+
+  const lines = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts toward the limit
+    const limit = lines.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      lines.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  lines.push(current);
+
+  return lines.join('\r\n ');
+};
+
+// Build VEVENT lines for an event (creator should be populated with name and email).
+// A snapshot of a deleted event works too, as long as it has _id/event, title, startsAt and endsAt.
+const buildVEvent = (event, { cancelled = false, now = new Date() } = {}) => {
+  const eventId = event.event || event._id;
+  const lastModified = event.updatedAt || event.cancelledAt || now;
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${eventId}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    `DTSTART:${formatDateTime(event.startsAt)}`,
+    `DTEND:${formatDateTime(event.endsAt || event.startsAt)}`,
+    `LAST-MODIFIED:${formatDateTime(lastModified)}`,
+    // Calendar clients only apply updates with a higher sequence number
+    `SEQUENCE:${Math.floor(new Date(lastModified).getTime() / 1000)}`,
+    `SUMMARY:${escapeText(event.title)}`
+  ];
+
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+  if (event.type) {
+    lines.push(`CATEGORIES:${escapeText(event.type)}`);
+  }
+  if (event.creator && event.creator.email) {
+    const name = String(event.creator.name || '').replace(/"/g, '');
+    lines.push(`ORGANIZER;CN="${name}":mailto:${event.creator.email}`);
+  }
+
+  lines.push(`STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`);
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// Wrap VEVENT line groups into a full VCALENDAR document
+const buildCalendar = (vevents, { name } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  vevents.forEach(vevent => lines.push(...vevent));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  escapeText,
+  formatDateTime,
+  foldLine,
+  buildVEvent,
+  buildCalendar
+};
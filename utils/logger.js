@@ -0,0 +1,130 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured JSON logger. Each line is one JSON object with time, level, msg,
+// the current request's ID (see middleware/requestLogger) and any extra fields.
+//
+// Settings:
+//   LOG_LEVEL              debug | info | warn | error (default info)
+//   LOG_DEBUG_SAMPLE_RATE  share of requests whose debug lines are written, 0-1 (default 1)
+//   LOG_REDACT_KEYS        extra comma-separated field names to redact
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const DEFAULT_REDACT_KEYS = [
+  'password', 'newPassword', 'currentPassword', 'token', 'refreshToken', 'accessToken',
+  'authorization', 'cookie', 'set-cookie', 'secret', 'calendarToken', 'refreshTokenHash',
+  'tokenHash', 'email', 'phone'
+];
+
+const REDACTED = '[REDACTED]';
+
+const minLevel = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+const debugSampleRate = process.env.LOG_DEBUG_SAMPLE_RATE === undefined
+  ? 1
+  : Number(process.env.LOG_DEBUG_SAMPLE_RATE);
+const redactKeys = new Set([
+  ...DEFAULT_REDACT_KEYS,
+  ...(process.env.LOG_REDACT_KEYS || '').split(',').map(key => key.trim()).filter(Boolean)
+].map(key => key.toLowerCase()));
+
+const context = new AsyncLocalStorage();
+
+// Decide once per request whether its debug lines are kept
+const sampleDebug = () => Math.random() < debugSampleRate;
+
+// Run fn with fields (e.g. requestId) attached to every line logged inside it
+const runWithContext = (fields, fn) => context.run({ sampled: sampleDebug(), ...fields }, fn);
+
+// Add fields to the current context, e.g. the user once authentication succeeds
+const setContext = (fields) => {
+  const store = context.getStore();
+  if (store) {
+    Object.assign(store, fields);
+  }
+};
+
+const getContext = () => context.getStore() || {};
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  code: error.code,
+  stack: error.stack
+});
+
+// Copy a value with secret and PII fields replaced
+const redact = (value, depth = 0) => {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (depth > 6) {
+    return '[Truncated]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+  if (typeof value.toJSON === 'function') {
+    return redact(value.toJSON(), depth + 1);
+  }
+
+  const copy = {};
+  Object.entries(value).forEach(([key, item]) => {
+    copy[key] = redactKeys.has(key.toLowerCase()) ? REDACTED : redact(item, depth + 1);
+  });
+  return copy;
+};
+
+const write = (level, bindings, msg, fields = {}) => {
+  if (LEVELS[level] < minLevel) {
+    return;
+  }
+
+  const { sampled, ...contextFields } = getContext();
+  if (level === 'debug' && !(sampled === undefined ? sampleDebug() : sampled)) {
+    return;
+  }
+
+  const { err, ...rest } = fields;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...contextFields,
+    ...bindings,
+    ...redact(rest)
+  };
+  if (err) {
+    entry.err = err instanceof Error ? serializeError(err) : redact(err);
+  }
+
+  const line = JSON.stringify(entry) + '\n';
+  if (LEVELS[level] >= LEVELS.warn) {
+    process.stderr.write(line);
+  } else {
+    process.stdout.write(line);
+  }
+};
+
+const createLogger = (bindings = {}) => ({
+  debug: (msg, fields) => write('debug', bindings, msg, fields),
+  info: (msg, fields) => write('info', bindings, msg, fields),
+  warn: (msg, fields) => write('warn', bindings, msg, fields),
+  error: (msg, fields) => write('error', bindings, msg, fields),
+  // Logger with extra fields on every line, e.g. { component: 'events' }
+  child: (fields) => createLogger({ ...bindings, ...fields })
+});
+
+module.exports = {
+  ...createLogger(),
+  LEVELS,
+  redact,
+  runWithContext,
+  setContext,
+  getContext
+};
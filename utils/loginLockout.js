@@ -0,0 +1,88 @@
+const User = require('../models/User');
+const clock = require('./clock');
+
+// Failed logins allowed within the attempt window before the account is locked
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS || '5');
+const LOGIN_ATTEMPT_WINDOW_MINUTES = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || '15');
+// The first lock lasts LOGIN_LOCK_MINUTES; each further lock doubles it, up to the maximum
+const LOGIN_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES || '15');
+const LOGIN_LOCK_MAX_MINUTES = parseInt(process.env.LOGIN_LOCK_MAX_MINUTES || String(24 * 60));
+
+const MINUTE = 60 * 1000;
+
+// Milliseconds until the account unlocks (0 when not locked)
+const getLockRemaining = (user, now = clock.now()) => (
+  user.lockedUntil && user.lockedUntil > now ? user.lockedUntil - now : 0
+);
+
+const lockDuration = (lockCount) => Math.min(
+  LOGIN_LOCK_MINUTES * 2 ** Math.max(lockCount - 1, 0),
+  LOGIN_LOCK_MAX_MINUTES
+) * MINUTE;
+
+// Count a failed login and lock the account once it reaches LOGIN_MAX_ATTEMPTS.
+// Returns { locked, lockedUntil }.
+const recordFailedLogin = async (user) => {
+  const now = clock.now();
+  const windowStart = new Date(now.getTime() - LOGIN_ATTEMPT_WINDOW_MINUTES * MINUTE);
+
+  // Failures older than the window start a fresh count
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    [
+      {
+        $set: {
+          failedLoginAttempts: {
+            $cond: [
+              { $gt: [{ $ifNull: ['$lastFailedLoginAt', new Date(0)] }, windowStart] },
+              { $add: [{ $ifNull: ['$failedLoginAttempts', 0] }, 1] },
+              1
+            ]
+          },
+          lastFailedLoginAt: now
+        }
+      }
+    ],
+    { new: true }
+  ).select('failedLoginAttempts lockCount lockedUntil');
+
+  if (!updated || updated.failedLoginAttempts < LOGIN_MAX_ATTEMPTS) {
+    return { locked: false };
+  }
+
+  const lockCount = (updated.lockCount || 0) + 1;
+  const lockedUntil = new Date(now.getTime() + lockDuration(lockCount));
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { lockedUntil, lockCount, failedLoginAttempts: 0 } }
+  );
+
+  return { locked: true, lockedUntil };
+};
+
+// Reset failure tracking after a successful login
+const clearFailedLogins = async (user) => {
+  if (!user.failedLoginAttempts && !user.lockCount && !user.lockedUntil) {
+    return;
+  }
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { failedLoginAttempts: 0, lockCount: 0 }, $unset: { lockedUntil: 1, lastFailedLoginAt: 1 } }
+  );
+};
+
+// Lift a lock right away (admin unlock or password reset)
+const unlockUser = (userId) => User.findByIdAndUpdate(
+  userId,
+  { $set: { failedLoginAttempts: 0, lockCount: 0 }, $unset: { lockedUntil: 1, lastFailedLoginAt: 1 } },
+  { new: true }
+).select('-password');
+
+module.exports = {
+  LOGIN_MAX_ATTEMPTS,
+  getLockRemaining,
+  recordFailedLogin,
+  clearFailedLogins,
+  unlockUser
+};
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Email delivery with a swappable transport.
+//
+// EMAIL_TRANSPORT selects the backend:
+//   smtp - deliver through SMTP_HOST/SMTP_PORT (e.g. a local MailHog/MailCatcher)
+//   file - write each message as an .eml file into EMAIL_FILE_DIR
+//   none - drop messages (default)
+// Any object with a nodemailer-style sendMail(message) can be plugged in with setTransport().
+
+let transport = null;
+
+const createFileTransport = (dir) => {
+  const streamer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    sendMail: async (message) => {
+      const info = await streamer.sendMail(message);
+      await fs.promises.mkdir(dir, { recursive: true });
+      const fileName = `${Date.now()}-${info.messageId.replace(/[<>@]/g, '')}.eml`;
+      await fs.promises.writeFile(path.join(dir, fileName), info.message);
+      return info;
+    }
+  };
+};
+
+const createTransportFromEnv = () => {
+  const type = process.env.EMAIL_TRANSPORT || 'none';
+
+  switch (type) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: parseInt(process.env.SMTP_PORT || '1025'),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    case 'file':
+      return createFileTransport(process.env.EMAIL_FILE_DIR || path.join(process.cwd(), 'mail'));
+    case 'none':
+      return { sendMail: async () => ({ skipped: true }) };
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT: ${type}`);
+  }
+};
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransportFromEnv();
+  }
+  return transport;
+};
+
+// Replace the active transport (pass null to go back to the env configuration)
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const sendMail = async ({ to, subject, text }) => {
+  return getTransport().sendMail({
+    from: process.env.EMAIL_FROM || 'Mosaic Events <no-reply@mosaic.local>',
+    to,
+    subject,
+    text
+  });
+};
+
+module.exports = { sendMail, setTransport };
@@ -0,0 +1,90 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { sendMail } = require('./mailer');
+const { pushNotifications } = require('./realtime');
+const logger = require('./logger').child({ component: 'notifications' });
+
+const formatWhen = (event) => {
+  const day = new Date(event.date).toISOString().split('T')[0];
+  return `${day} at ${event.time}`;
+};
+
+// Message templates, keyed by notification type.
+// Each receives the event (and optional extra data) and returns { title, message }.
+const templates = {
+  registration: (event) => ({
+    title: `Registered: ${event.title}`,
+    message: `You are registered for "${event.title}" on ${formatWhen(event)} at ${event.location}.`
+  }),
+  cancellation: (event, { byAdmin } = {}) => ({
+    title: `Registration cancelled: ${event.title}`,
+    message: byAdmin
+      ? `An administrator cancelled your registration for "${event.title}" on ${formatWhen(event)}.`
+      : `Your registration for "${event.title}" on ${formatWhen(event)} has been cancelled.`
+  }),
+  reschedule: (event, { previous } = {}) => ({
+    title: `Event updated: ${event.title}`,
+    message: previous
+      ? `"${event.title}" has moved from ${formatWhen(previous)} at ${previous.location} to ${formatWhen(event)} at ${event.location}.`
+      : `"${event.title}" is now on ${formatWhen(event)} at ${event.location}.`
+  }),
+  deletion: (event) => ({
+    title: `Event cancelled: ${event.title}`,
+    message: `"${event.title}" scheduled for ${formatWhen(event)} has been cancelled.`
+  }),
+  event_cancelled: (event, { reason } = {}) => ({
+    title: `Event cancelled: ${event.title}`,
+    message: `"${event.title}" scheduled for ${formatWhen(event)} has been cancelled.` +
+      (reason ? ` Reason: ${reason}` : '')
+  }),
+  waitlist_promotion: (event) => ({
+    title: `A spot opened up: ${event.title}`,
+    message: `You have been moved off the waitlist and are now registered for "${event.title}" on ${formatWhen(event)} at ${event.location}.`
+  })
+};
+
+// Store an inbox notification for each user, push it to their live stream and email it to them.
+// Delivery problems are logged and never fail the calling request.
+const notifyUsers = async (userIds, type, event, data = {}) => {
+  try {
+    if (!userIds || userIds.length === 0) {
+      return;
+    }
+
+    const { title, message } = templates[type](event, data);
+    const users = await User.find({ _id: { $in: userIds } }).select('name email');
+
+    const notifications = await Notification.insertMany(users.map(user => ({
+      user: user._id,
+      type,
+      title,
+      message,
+      event: event._id
+    })));
+    await pushNotifications(notifications);
+
+    const results = await Promise.allSettled(users.map(user => sendMail({
+      to: user.email,
+      subject: title,
+      text: `Hi ${user.name},\n\n${message}\n\n- Mosaic Events`
+    })));
+
+    const failed = results.filter(result => result.status === 'rejected');
+    failed.forEach(result => logger.error('Email delivery failed', { err: result.reason }));
+
+    logger.info('Sent notifications', { type, sent: users.length - failed.length, total: users.length });
+  } catch (error) {
+    logger.error('Error sending notifications', { err: error });
+  }
+};
+
+// Whether an update moved the event in time or space
+const isRescheduled = (previous, event) => (
+  new Date(previous.date).getTime() !== new Date(event.date).getTime() ||
+  previous.time !== event.time ||
+  previous.location !== event.location
+);
+
+const notifyUser = (userId, type, event, data) => notifyUsers([userId], type, event, data);
+
+module.exports = { notifyUsers, notifyUser, isRescheduled, templates };
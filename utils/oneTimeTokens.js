@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+const Token = require('../models/Token');
+const clock = require('./clock');
+
+// Minutes each token type stays valid
+const TOKEN_TTL_MINUTES = {
+  password_reset: 60,
+  email_verification: 24 * 60
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Issue a new token of this type for the user, invalidating any earlier unused ones
+const createOneTimeToken = async (userId, type) => {
+  const now = clock.now();
+  await Token.updateMany({ user: userId, type, usedAt: null }, { usedAt: now });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await Token.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(now.getTime() + TOKEN_TTL_MINUTES[type] * 60 * 1000)
+  });
+
+  return token;
+};
+
+// Mark a token as used and return it, or null if it is unknown, used or expired
+const consumeOneTimeToken = (token, type) => {
+  const now = clock.now();
+  return Token.findOneAndUpdate(
+    { tokenHash: hashToken(token), type, usedAt: null, expiresAt: { $gt: now } },
+    { usedAt: now },
+    { new: true }
+  );
+};
+
+module.exports = { TOKEN_TTL_MINUTES, createOneTimeToken, consumeOneTimeToken };
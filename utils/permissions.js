@@ -0,0 +1,72 @@
+// Role-based permissions. Routes check permissions, never role names directly.
+
+const PERMISSIONS = {
+  EVENTS_CREATE: 'events:create',
+  // Manage (edit, delete, registrations, check-in) any event
+  EVENTS_MANAGE_ANY: 'events:manage:any',
+  // Manage events the user created or co-organizes
+  EVENTS_MANAGE_OWN: 'events:manage:own',
+  USERS_MANAGE: 'users:manage',
+  REPORTS_VIEW: 'reports:view',
+  AUDIT_VIEW: 'audit:view',
+  // Hide and restore feedback comments
+  FEEDBACK_MODERATE: 'feedback:moderate',
+  // Create, edit and remove venues
+  VENUES_MANAGE: 'venues:manage',
+  // Configure outgoing webhooks and inspect their deliveries
+  WEBHOOKS_MANAGE: 'webhooks:manage'
+};
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  organizer: [
+    PERMISSIONS.EVENTS_CREATE,
+    PERMISSIONS.EVENTS_MANAGE_OWN
+  ],
+  admin: Object.values(PERMISSIONS)
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const hasPermission = (user, permission) => (
+  Boolean(user) && (ROLE_PERMISSIONS[user.role] || []).includes(permission)
+);
+
+const sameId = (a, b) => Boolean(a) && Boolean(b) && (a._id || a).toString() === (b._id || b).toString();
+
+const isEventOwner = (user, event) => sameId(event.creator, user._id);
+
+const isEventOrganizer = (user, event) => (
+  isEventOwner(user, event) ||
+  (event.coOrganizers || []).some(coOrganizer => sameId(coOrganizer, user._id))
+);
+
+const canManageEvent = (user, event) => (
+  hasPermission(user, PERMISSIONS.EVENTS_MANAGE_ANY) ||
+  (hasPermission(user, PERMISSIONS.EVENTS_MANAGE_OWN) && isEventOrganizer(user, event))
+);
+
+// Drafts are only visible to the people who may manage them; user may be undefined
+const canViewEvent = (user, event) => (
+  event.status !== 'draft' || (Boolean(user) && canManageEvent(user, event))
+);
+
+// Query filter restricting events to the ones the user may manage
+const manageableEventsFilter = (user) => {
+  if (hasPermission(user, PERMISSIONS.EVENTS_MANAGE_ANY)) {
+    return {};
+  }
+  return { $or: [{ creator: user._id }, { coOrganizers: user._id }] };
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  hasPermission,
+  isEventOwner,
+  isEventOrganizer,
+  canManageEvent,
+  canViewEvent,
+  manageableEventsFilter
+};
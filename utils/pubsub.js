@@ -0,0 +1,138 @@
+const path = require('path');
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const logger = require('./logger').child({ component: 'pubsub' });
+
+// Publish/subscribe transport behind the live update streams (see utils/realtime).
+// An adapter is { publish(topic, message), subscribe(listener) -> unsubscribe, close() };
+// listener(topic, message) receives every message published by any server instance,
+// including this one. Messages must be JSON-serializable.
+//
+// PUBSUB_ADAPTER picks the adapter:
+//   memory   this process only, for single-instance deployments (default)
+//   mongo    a capped MongoDB collection tailed by every instance
+//   <path>   a module exporting a factory that returns an adapter, e.g. for Redis
+
+const MONGO_COLLECTION = 'pubsub_messages';
+const MONGO_COLLECTION_BYTES = 16 * 1024 * 1024;
+const MONGO_RETRY_MS = 1000;
+
+const createMemoryAdapter = () => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  return {
+    publish: async (topic, message) => {
+      emitter.emit('message', topic, message);
+    },
+    subscribe: (listener) => {
+      emitter.on('message', listener);
+      return () => emitter.off('message', listener);
+    },
+    close: async () => {
+      emitter.removeAllListeners();
+    }
+  };
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms).unref());
+
+// Messages are appended to a capped collection; each instance follows it with a
+// tailable cursor, starting from the time it subscribed.
+const createMongoAdapter = () => {
+  const listeners = new Set();
+  let tailing = false;
+  let closed = false;
+
+  const collection = async () => {
+    const { db } = mongoose.connection;
+    try {
+      await db.createCollection(MONGO_COLLECTION, { capped: true, size: MONGO_COLLECTION_BYTES });
+    } catch (error) {
+      // 48: NamespaceExists
+      if (error.code !== 48) {
+        throw error;
+      }
+    }
+    return db.collection(MONGO_COLLECTION);
+  };
+
+  const tail = async () => {
+    let lastId = mongoose.Types.ObjectId.createFromTime(Math.floor(Date.now() / 1000));
+
+    while (!closed && listeners.size > 0) {
+      try {
+        if (mongoose.connection.readyState === 1) {
+          const cursor = (await collection()).find(
+            { _id: { $gt: lastId } },
+            { tailable: true, awaitData: true }
+          );
+          for await (const doc of cursor) {
+            lastId = doc._id;
+            listeners.forEach(listener => listener(doc.topic, doc.message));
+            if (closed || listeners.size === 0) {
+              await cursor.close();
+              break;
+            }
+          }
+        }
+      } catch (error) {
+        logger.warn('Pub/sub cursor failed, retrying', { err: error });
+      }
+      // A tailable cursor on an empty collection ends at once, so wait before reopening
+      await sleep(MONGO_RETRY_MS);
+    }
+    tailing = false;
+  };
+
+  return {
+    publish: async (topic, message) => {
+      await (await collection()).insertOne({ topic, message, createdAt: new Date() });
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      if (!tailing) {
+        tailing = true;
+        tail();
+      }
+      return () => listeners.delete(listener);
+    },
+    close: async () => {
+      closed = true;
+      listeners.clear();
+    }
+  };
+};
+
+const loadAdapter = () => {
+  const name = process.env.PUBSUB_ADAPTER || 'memory';
+  if (name === 'memory') {
+    return createMemoryAdapter();
+  }
+  if (name === 'mongo') {
+    return createMongoAdapter();
+  }
+  return require(path.resolve(name))();
+};
+
+let adapter = null;
+
+const getAdapter = () => {
+  if (!adapter) {
+    adapter = loadAdapter();
+    logger.info('Pub/sub adapter ready', { adapter: process.env.PUBSUB_ADAPTER || 'memory' });
+  }
+  return adapter;
+};
+
+// Replace the adapter, e.g. with one built in code rather than loaded by path
+const setAdapter = (next) => {
+  adapter = next;
+};
+
+module.exports = {
+  createMemoryAdapter,
+  createMongoAdapter,
+  getAdapter,
+  setAdapter
+};
@@ -0,0 +1,136 @@
+const { getAdapter } = require('./pubsub');
+const logger = require('./logger').child({ component: 'realtime' });
+
+// Live updates over Server-Sent Events. Changes are published through the pub/sub
+// adapter, so every server instance forwards them to the clients connected to it.
+//
+// Topics:
+//   events        the public listing: changes to events that are not drafts
+//   event:<id>    one event, including drafts (subscribers are checked when connecting)
+//   user:<id>     a user's private notifications
+//
+// Stream messages are named after the change, e.g. "seats", "updated", "cancelled",
+// and carry the event's current seat counts (see eventPayload) or the notification.
+
+const LISTING_TOPIC = 'events';
+const eventTopic = (eventId) => `event:${eventId}`;
+const userTopic = (userId) => `user:${userId}`;
+
+// Comment lines keep proxies from closing idle streams
+const HEARTBEAT_MS = 25 * 1000;
+
+// Open response streams by topic
+const clients = new Map();
+let subscribed = false;
+
+const writeMessage = (res, type, data) => {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const deliver = (topic, { type, data }) => {
+  const streams = clients.get(topic);
+  if (!streams) {
+    return;
+  }
+  streams.forEach(res => writeMessage(res, type, data));
+};
+
+// Start a Server-Sent Events stream on res for the topics, after sending any initial
+// messages ([{ type, data }]). The stream ends when the client disconnects.
+const openStream = (req, res, topics, initial = []) => {
+  if (!subscribed) {
+    getAdapter().subscribe(deliver);
+    subscribed = true;
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+  initial.forEach(({ type, data }) => writeMessage(res, type, data));
+
+  topics.forEach(topic => {
+    if (!clients.has(topic)) {
+      clients.set(topic, new Set());
+    }
+    clients.get(topic).add(res);
+  });
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    topics.forEach(topic => {
+      const streams = clients.get(topic);
+      streams.delete(res);
+      if (streams.size === 0) {
+        clients.delete(topic);
+      }
+    });
+    logger.debug('Stream closed', { topics });
+  });
+
+  logger.debug('Stream opened', { topics });
+};
+
+// Publish a message. Failures are logged and never break the calling request.
+const publish = async (topic, type, data) => {
+  try {
+    await getAdapter().publish(topic, { type, data });
+  } catch (error) {
+    logger.error('Error publishing live update', { err: error, topic, type });
+  }
+};
+
+// Public, per-event state pushed to subscribers; never includes who registered
+const eventPayload = (event) => ({
+  eventId: event._id.toString(),
+  title: event.title,
+  status: event.status,
+  startsAt: event.startsAt,
+  endsAt: event.endsAt,
+  location: event.location,
+  capacity: event.capacity,
+  registrations: event.registrations ? event.registrations.length : undefined,
+  availableSpots: event.registrations ? event.availableSpots : undefined,
+  waitlistCount: event.waitlist ? event.waitlist.length : undefined
+});
+
+// Push a change to an event's stream and, unless it is a draft, to the listing.
+// type: created | updated | seats | waitlist | published | cancelled | completed
+const broadcastEvent = async (type, event) => {
+  const data = eventPayload(event);
+  await publish(eventTopic(event._id), type, data);
+  if (event.status !== 'draft') {
+    await publish(LISTING_TOPIC, type, data);
+  }
+};
+
+const broadcastEventDeleted = async (event) => {
+  const data = { eventId: event._id.toString() };
+  await publish(eventTopic(event._id), 'deleted', data);
+  if (event.status !== 'draft') {
+    await publish(LISTING_TOPIC, 'deleted', data);
+  }
+};
+
+// Push new inbox notifications to their users' private streams
+const pushNotifications = (notifications) => Promise.all(notifications.map(notification => (
+  publish(userTopic(notification.user), 'notification', notification.toJSON ? notification.toJSON() : notification)
+)));
+
+module.exports = {
+  LISTING_TOPIC,
+  eventTopic,
+  userTopic,
+  openStream,
+  eventPayload,
+  broadcastEvent,
+  broadcastEventDeleted,
+  pushNotifications
+};
@@ -0,0 +1,155 @@
+const Event = require('../models/Event');
+
+// Personal event recommendations. Scoring is a plain weighted sum so results are
+// deterministic and every point can be explained to the user as a reason.
+//
+//   preferred_type    the event's type is in the user's preferences
+//   history_type      the user registered for events of this type before
+//   history_location  the user registered for events at this location before
+//   similar_users     registered by users who share past events with this user
+//   availability      share of seats still free
+
+const RECOMMENDATION_WEIGHTS = {
+  preferredType: 3,
+  historyType: 2,
+  historyLocation: 1.5,
+  similarUser: 0.5,
+  availability: 1
+};
+
+// Counts above these stop adding points, so one heavy signal can't drown out the rest
+const HISTORY_CAP = 3;
+const SIMILAR_USER_CAP = 6;
+
+// How many co-registrants count as "similar users", and how many upcoming events are scored
+const SIMILAR_USER_LIMIT = 50;
+const CANDIDATE_LIMIT = 500;
+
+const normalizeLocation = (location) => String(location || '').trim().toLowerCase();
+
+const increment = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Taste profile from the user's preferences and the events they registered for
+const buildProfile = (preferences = [], historyEvents = []) => {
+  const types = new Map();
+  const locations = new Map();
+
+  historyEvents.forEach(event => {
+    increment(types, event.type);
+    increment(locations, normalizeLocation(event.location));
+  });
+
+  return { preferences: new Set(preferences), types, locations };
+};
+
+// Score one event. similarUsers is the number of similar users registered for it.
+// Returns { score, reasons } where reasons list the points each signal contributed.
+const scoreEvent = (event, profile, similarUsers = 0) => {
+  const reasons = [];
+  const add = (code, points, message) => {
+    if (points > 0) {
+      reasons.push({ code, points: round(points), message });
+    }
+  };
+
+  if (profile.preferences.has(event.type)) {
+    add('preferred_type', RECOMMENDATION_WEIGHTS.preferredType, `Matches your interest in ${event.type} events`);
+  }
+
+  const typeCount = profile.types.get(event.type) || 0;
+  add(
+    'history_type',
+    RECOMMENDATION_WEIGHTS.historyType * Math.min(typeCount, HISTORY_CAP) / HISTORY_CAP,
+    `You registered for ${typeCount} ${event.type} event${typeCount === 1 ? '' : 's'} before`
+  );
+
+  const locationCount = profile.locations.get(normalizeLocation(event.location)) || 0;
+  add(
+    'history_location',
+    RECOMMENDATION_WEIGHTS.historyLocation * Math.min(locationCount, HISTORY_CAP) / HISTORY_CAP,
+    `You have been to events at ${String(event.location).trim()}`
+  );
+
+  add(
+    'similar_users',
+    RECOMMENDATION_WEIGHTS.similarUser * Math.min(similarUsers, SIMILAR_USER_CAP),
+    `${similarUsers} ${similarUsers === 1 ? 'person' : 'people'} who attended the same events as you registered`
+  );
+
+  const available = event.availableSpots;
+  add(
+    'availability',
+    RECOMMENDATION_WEIGHTS.availability * (event.capacity > 0 ? available / event.capacity : 0),
+    available <= 5 ? `Only ${available} seat${available === 1 ? '' : 's'} left` : `${available} seats available`
+  );
+
+  return {
+    score: round(reasons.reduce((sum, reason) => sum + reason.points, 0)),
+    reasons
+  };
+};
+
+// Rank candidate events by score, then start time, then ID so ties are stable.
+// similarUserIds is a Set of user ID strings.
+const rankEvents = (candidates, profile, similarUserIds = new Set()) => candidates
+  .map(event => {
+    const similarUsers = event.registrations.filter(reg => similarUserIds.has(reg.user.toString())).length;
+    return { event, ...scoreEvent(event, profile, similarUsers) };
+  })
+  .filter(result => result.score > 0)
+  .sort((a, b) => (
+    b.score - a.score ||
+    a.event.startsAt - b.event.startsAt ||
+    a.event._id.toString().localeCompare(b.event._id.toString())
+  ));
+
+// Users who registered for the most of the given events, excluding the user themself
+const findSimilarUsers = async (userId, eventIds) => {
+  if (eventIds.length === 0) {
+    return new Set();
+  }
+
+  const rows = await Event.aggregate([
+    { $match: { _id: { $in: eventIds } } },
+    { $unwind: '$registrations' },
+    { $match: { 'registrations.user': { $ne: userId } } },
+    { $group: { _id: '$registrations.user', overlap: { $sum: 1 } } },
+    { $sort: { overlap: -1, _id: 1 } },
+    { $limit: SIMILAR_USER_LIMIT }
+  ]);
+
+  return new Set(rows.map(row => row._id.toString()));
+};
+
+// Recommended upcoming events for a user (a User document with preferences),
+// excluding events they are registered for. Returns [{ event, score, reasons }].
+const getRecommendations = async (user, { now, limit = 10 }) => {
+  const history = await Event.find({
+    'registrations.user': user._id,
+    status: { $in: ['published', 'completed'] }
+  }).select('type location');
+
+  const profile = buildProfile(user.preferences, history);
+  const similarUserIds = await findSimilarUsers(user._id, history.map(event => event._id));
+
+  const candidates = await Event.find({
+    status: 'published',
+    startsAt: { $gt: now },
+    'registrations.user': { $ne: user._id }
+  })
+    .sort({ startsAt: 1, _id: 1 })
+    .limit(CANDIDATE_LIMIT)
+    .populate('creator', 'name');
+
+  return rankEvents(candidates, profile, similarUserIds).slice(0, limit);
+};
+
+module.exports = {
+  RECOMMENDATION_WEIGHTS,
+  buildProfile,
+  scoreEvent,
+  rankEvents,
+  getRecommendations
+};
@@ -0,0 +1,172 @@
+// Recurrence rules for event series: a subset of RFC 5545 RRULE.
+//
+// Supported: FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, BYDAY (weekly only), COUNT, UNTIL,
+// plus a list of excluded dates (EXDATE). Occurrences are calendar days (YYYY-MM-DD);
+// the series' time and timezone turn each day into an instant.
+
+const MAX_OCCURRENCES = 200;
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const BYDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const toDayString = (date) => new Date(date).toISOString().split('T')[0];
+
+const parseDay = (value) => {
+  const text = String(value);
+  // RRULE dates come as YYYYMMDD or YYYYMMDDTHHMMSSZ
+  const compact = text.match(/^(\d{4})(\d{2})(\d{2})/);
+  if (compact && !text.includes('-')) {
+    return new Date(Date.UTC(Number(compact[1]), Number(compact[2]) - 1, Number(compact[3])));
+  }
+  const date = new Date(text);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+// Parse "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=10" into a recurrence object
+const parseRRule = (rrule) => {
+  const recurrence = {};
+
+  String(rrule).replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+    const [key, value, ...rest] = part.split('=');
+    if (!value || rest.length > 0) {
+      throw new Error(`RRULE part must look like KEY=VALUE: ${part}`);
+    }
+    switch (key.toUpperCase()) {
+      case 'FREQ':
+        recurrence.freq = value.toLowerCase();
+        break;
+      case 'INTERVAL':
+        recurrence.interval = Number(value);
+        break;
+      case 'COUNT':
+        recurrence.count = Number(value);
+        break;
+      case 'UNTIL':
+        recurrence.until = parseDay(value);
+        break;
+      case 'BYDAY':
+        recurrence.byWeekday = value.split(',').map(code => BYDAY_CODES.indexOf(code.toUpperCase()));
+        break;
+      default:
+        throw new Error(`Unsupported RRULE part: ${key}`);
+    }
+  });
+
+  return recurrence;
+};
+
+// Serialize a recurrence object back to an RRULE string
+const formatRRule = (recurrence) => {
+  const parts = [`FREQ=${recurrence.freq.toUpperCase()}`];
+  if (recurrence.interval && recurrence.interval !== 1) {
+    parts.push(`INTERVAL=${recurrence.interval}`);
+  }
+  if (recurrence.byWeekday && recurrence.byWeekday.length > 0) {
+    parts.push(`BYDAY=${recurrence.byWeekday.map(day => BYDAY_CODES[day]).join(',')}`);
+  }
+  if (recurrence.count) {
+    parts.push(`COUNT=${recurrence.count}`);
+  }
+  if (recurrence.until) {
+    parts.push(`UNTIL=${toDayString(recurrence.until).replace(/-/g, '')}`);
+  }
+  return parts.join(';');
+};
+
+// Returns a list of problems with a recurrence object (empty when valid)
+const validateRecurrence = (recurrence) => {
+  const errors = [];
+
+  if (!FREQUENCIES.includes(recurrence.freq)) {
+    errors.push(`freq must be one of ${FREQUENCIES.join(', ')}`);
+  }
+  if (recurrence.interval !== undefined && (!Number.isInteger(recurrence.interval) || recurrence.interval < 1)) {
+    errors.push('interval must be a positive integer');
+  }
+  if (recurrence.count !== undefined && (!Number.isInteger(recurrence.count) || recurrence.count < 1)) {
+    errors.push('count must be a positive integer');
+  }
+  if (recurrence.until !== undefined && isNaN(new Date(recurrence.until))) {
+    errors.push('until must be a valid date');
+  }
+  if (!recurrence.count && !recurrence.until) {
+    errors.push('Either count or until is required');
+  }
+  if (recurrence.byWeekday && (recurrence.freq !== 'weekly' ||
+      !recurrence.byWeekday.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+    errors.push('byWeekday is only valid for weekly rules and must contain days 0-6');
+  }
+
+  return errors;
+};
+
+// Expand a recurrence starting on startDate into occurrence days (YYYY-MM-DD strings).
+// The start date is always the first candidate, as in RRULE's DTSTART.
+const generateOccurrenceDates = (recurrence, startDate) => {
+  const start = parseDay(startDate);
+  const interval = recurrence.interval || 1;
+  const until = recurrence.until ? parseDay(recurrence.until) : null;
+  const limit = Math.min(recurrence.count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const exceptions = new Set((recurrence.exceptions || []).map(toDayString));
+
+  const dates = [];
+  // COUNT includes excluded dates, as in RFC 5545
+  let generated = 0;
+
+  const accept = (day) => {
+    if (until && day > until) {
+      return false;
+    }
+    generated++;
+    if (!exceptions.has(toDayString(day))) {
+      dates.push(toDayString(day));
+    }
+    return generated < limit;
+  };
+
+  if (recurrence.freq === 'daily') {
+    for (let step = 0; ; step++) {
+      const day = new Date(start);
+      day.setUTCDate(start.getUTCDate() + step * interval);
+      if (!accept(day)) break;
+    }
+  } else if (recurrence.freq === 'weekly') {
+    const weekdays = (recurrence.byWeekday && recurrence.byWeekday.length > 0
+      ? [...recurrence.byWeekday]
+      : [start.getUTCDay()]).sort();
+    // Weeks start on Sunday; skip days before the start date in the first week
+    const weekStart = new Date(start);
+    weekStart.setUTCDate(start.getUTCDate() - start.getUTCDay());
+
+    let running = true;
+    for (let week = 0; running; week++) {
+      for (const weekday of weekdays) {
+        const day = new Date(weekStart);
+        day.setUTCDate(weekStart.getUTCDate() + week * interval * 7 + weekday);
+        if (day < start) continue;
+        if (!accept(day)) {
+          running = false;
+          break;
+        }
+      }
+    }
+  } else if (recurrence.freq === 'monthly') {
+    const dayOfMonth = start.getUTCDate();
+    for (let step = 0; step < MAX_OCCURRENCES * 12; step++) {
+      const day = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + step * interval, dayOfMonth));
+      // Months without this day (e.g. the 31st) are skipped, as in RFC 5545
+      if (day.getUTCDate() !== dayOfMonth) continue;
+      if (!accept(day)) break;
+    }
+  }
+
+  return dates;
+};
+
+module.exports = {
+  MAX_OCCURRENCES,
+  FREQUENCIES,
+  parseRRule,
+  formatRRule,
+  validateRecurrence,
+  generateOccurrenceDates
+};
@@ -0,0 +1,329 @@
+const Event = require('../models/Event');
+const User = require('../models/User');
+const clock = require('./clock');
+const { withTransaction } = require('./transaction');
+const { broadcastEvent } = require('./realtime');
+const { emitRegistrationWebhook } = require('./webhooks');
+
+// Registrations live on both Event.registrations and User.registeredEvents.
+// The event side is the source of truth (it holds registeredAt and check-ins);
+// every change goes through these helpers so both sides move together, and the new
+// seat counts are pushed to live streams and webhooks once the change is committed.
+
+// Matches a published, not yet started event with a free seat that the user is not registered for yet.
+// Freed seats belong to the waitlist first: the seat is only open to this user when nobody
+// is waiting or the user is at the head of the waitlist.
+const openSeatFilter = (eventId, userId) => ({
+  _id: eventId,
+  status: 'published',
+  startsAt: { $gt: clock.now() },
+  'registrations.user': { $ne: userId },
+  $or: [{ waitlist: { $size: 0 } }, { 'waitlist.0.user': userId }],
+  $expr: { $lt: [{ $size: '$registrations' }, '$capacity'] }
+});
+
+// Explain why a capacity-guarded update matched nothing
+const registrationFailure = async (eventId, userId, session) => {
+  const event = await Event.findById(eventId).select('status startsAt registrations.user').session(session);
+  if (!event) {
+    return 'not_found';
+  }
+  if (!event.isOpenForRegistration(clock.now())) {
+    return 'not_open';
+  }
+  if (event.registrations.some(reg => reg.user.toString() === String(userId))) {
+    return 'already_registered';
+  }
+  return 'full';
+};
+
+// Register a user if a seat is free and nobody else is waiting for it. The seat check and
+// the write are one update, so concurrent requests cannot overbook. Also removes the user
+// from the waitlist. A seat held for the waitlist counts as 'full'.
+// Returns { event } on success or { error: 'not_found' | 'not_open' | 'already_registered' | 'full' }.
+const registerUser = async (eventId, userId) => {
+  const result = await withTransaction(async (session) => {
+    const event = await Event.findOneAndUpdate(
+      openSeatFilter(eventId, userId),
+      {
+        $push: { registrations: { user: userId, registeredAt: clock.now() } },
+        $pull: { waitlist: { user: userId } }
+      },
+      { new: true, session }
+    );
+
+    if (!event) {
+      return { error: await registrationFailure(eventId, userId, session) };
+    }
+
+    await User.updateOne(
+      { _id: userId },
+      {
+        $addToSet: { registeredEvents: event._id },
+        $pull: { calendarCancellations: { event: event._id } }
+      },
+      { session }
+    );
+
+    return { event };
+  });
+
+  if (result.event) {
+    await broadcastEvent('seats', result.event);
+    await emitRegistrationWebhook('created', result.event, userId, { source: 'registration' });
+  }
+  return result;
+};
+
+// Remove a user's registration from both sides.
+// Returns the updated event, or null if the user was not registered.
+const cancelRegistration = async (eventId, userId) => {
+  const event = await withTransaction(async (session) => {
+    const updated = await Event.findOneAndUpdate(
+      { _id: eventId, 'registrations.user': userId },
+      { $pull: { registrations: { user: userId } } },
+      { new: true, session }
+    );
+
+    if (!updated) {
+      return null;
+    }
+
+    await User.updateOne(
+      { _id: userId },
+      { $pull: { registeredEvents: updated._id } },
+      { session }
+    );
+
+    return updated;
+  });
+
+  if (event) {
+    await broadcastEvent('seats', event);
+    await emitRegistrationWebhook('cancelled', event, userId);
+  }
+  return event;
+};
+
+// Move the user at the head of the waitlist into a free seat.
+// Returns the promoted user id, or null when the waitlist is empty or the event is full.
+const promoteNextWaitlisted = async (eventId) => {
+  const result = await withTransaction(async (session) => {
+    const current = await Event.findById(eventId).select('waitlist').session(session);
+    if (!current || current.waitlist.length === 0) {
+      return null;
+    }
+
+    const userId = current.waitlist[0].user;
+    const event = await Event.findOneAndUpdate(
+      // The head must still be the same user, or another promotion got there first
+      { ...openSeatFilter(eventId, userId), 'waitlist.0.user': userId },
+      {
+        $pop: { waitlist: -1 },
+        $push: { registrations: { user: userId, registeredAt: clock.now() } }
+      },
+      { new: true, session }
+    );
+
+    if (!event) {
+      return null;
+    }
+
+    await User.updateOne(
+      { _id: userId },
+      {
+        $addToSet: { registeredEvents: event._id },
+        $pull: { calendarCancellations: { event: event._id } }
+      },
+      { session }
+    );
+
+    return { userId, event };
+  });
+
+  if (!result) {
+    return null;
+  }
+  await broadcastEvent('seats', result.event);
+  await emitRegistrationWebhook('created', result.event, result.userId, { source: 'waitlist' });
+  return result.userId;
+};
+
+// Matches a published, not yet started event the user is neither registered for nor waiting on.
+// The waitlist is only for events without free seats, or whose free seats are held for those already waiting.
+const waitlistFilter = (eventId, userId) => ({
+  _id: eventId,
+  status: 'published',
+  startsAt: { $gt: clock.now() },
+  'registrations.user': { $ne: userId },
+  'waitlist.user': { $ne: userId },
+  $or: [{ 'waitlist.0': { $exists: true } }, { $expr: { $gte: [{ $size: '$registrations' }, '$capacity'] } }]
+});
+
+// Explain why a waitlist join matched nothing
+const waitlistFailure = async (eventId, userId) => {
+  const event = await Event.findById(eventId).select('status startsAt registrations.user waitlist');
+  if (!event) {
+    return 'not_found';
+  }
+  if (!event.isOpenForRegistration(clock.now())) {
+    return 'not_open';
+  }
+  if (event.registrations.some(reg => reg.user.toString() === String(userId))) {
+    return 'already_registered';
+  }
+  if (event.waitlistPosition(userId)) {
+    return 'already_waiting';
+  }
+  return 'seats_available';
+};
+
+// Add a user to the end of the waitlist. The checks and the push are one update, so
+// concurrent joins cannot queue a user twice or queue them next to a free seat.
+// Returns { event } on success or
+// { error: 'not_found' | 'not_open' | 'already_registered' | 'already_waiting' | 'seats_available' }.
+const joinWaitlist = async (eventId, userId) => {
+  const event = await Event.findOneAndUpdate(
+    waitlistFilter(eventId, userId),
+    { $push: { waitlist: { user: userId, joinedAt: clock.now() } } },
+    { new: true }
+  );
+
+  if (!event) {
+    return { error: await waitlistFailure(eventId, userId) };
+  }
+  return { event };
+};
+
+// Remove a user from the waitlist without rewriting it, so a promotion running at the
+// same time is kept. Returns the updated event, or null if the user was not waiting.
+const leaveWaitlist = (eventId, userId) => Event.findOneAndUpdate(
+  { _id: eventId, 'waitlist.user': userId },
+  { $pull: { waitlist: { user: userId } } },
+  { new: true }
+);
+
+// Set an event's capacity unless it is below the number of registrations. The check and
+// the write are one update, so registrations landing meanwhile cannot leave the event overbooked.
+// Returns the updated event, or null when the capacity is too small.
+const setCapacity = (eventId, capacity) => Event.findOneAndUpdate(
+  { _id: eventId, $expr: { $gte: [capacity, { $size: '$registrations' }] } },
+  { $set: { capacity } },
+  { new: true }
+);
+
+// Registrations on events that are missing from the user's registeredEvents,
+// including registrations of users that no longer exist
+const findUnlistedRegistrations = () => Event.aggregate([
+  { $unwind: '$registrations' },
+  {
+    $lookup: {
+      from: 'users',
+      localField: 'registrations.user',
+      foreignField: '_id',
+      pipeline: [{ $project: { registeredEvents: 1 } }],
+      as: 'user'
+    }
+  },
+  {
+    $project: {
+      _id: 0,
+      event: '$_id',
+      title: 1,
+      user: '$registrations.user',
+      userExists: { $gt: [{ $size: '$user' }, 0] },
+      listed: {
+        $in: ['$_id', { $ifNull: [{ $arrayElemAt: ['$user.registeredEvents', 0] }, []] }]
+      }
+    }
+  },
+  { $match: { listed: false } }
+]);
+
+// Entries in users' registeredEvents without a matching registration on the event,
+// including events that no longer exist
+const findStaleUserEntries = () => User.aggregate([
+  { $unwind: '$registeredEvents' },
+  {
+    $lookup: {
+      from: 'events',
+      localField: 'registeredEvents',
+      foreignField: '_id',
+      pipeline: [{ $project: { title: 1, 'registrations.user': 1 } }],
+      as: 'event'
+    }
+  },
+  {
+    $project: {
+      _id: 0,
+      user: '$_id',
+      event: '$registeredEvents',
+      title: { $arrayElemAt: ['$event.title', 0] },
+      eventExists: { $gt: [{ $size: '$event' }, 0] },
+      registered: {
+        $in: ['$_id', { $ifNull: [{ $arrayElemAt: ['$event.registrations.user', 0] }, []] }]
+      }
+    }
+  },
+  { $match: { registered: false } }
+]);
+
+// Compare both sides of every registration. Overbooked events are reported
+// but never repaired automatically, since that means choosing who loses a seat.
+const findRegistrationMismatches = async () => {
+  const [unlisted, stale, overbooked] = await Promise.all([
+    findUnlistedRegistrations(),
+    findStaleUserEntries(),
+    Event.aggregate([
+      { $match: { $expr: { $gt: [{ $size: '$registrations' }, '$capacity'] } } },
+      { $project: { title: 1, capacity: 1, registrations: { $size: '$registrations' } } }
+    ])
+  ]);
+
+  return {
+    missingFromUser: unlisted.filter(row => row.userExists).map(({ event, title, user }) => ({ event, title, user })),
+    orphanedRegistrations: unlisted.filter(row => !row.userExists).map(({ event, title, user }) => ({ event, title, user })),
+    staleUserEntries: stale.map(({ user, event, title, eventExists }) => ({ user, event, title, eventExists })),
+    overbookedEvents: overbooked
+  };
+};
+
+// Repair mismatches found by findRegistrationMismatches:
+// add missing registeredEvents entries, drop stale ones, and remove registrations of deleted users
+const repairRegistrationMismatches = async (mismatches) => {
+  const userOps = [
+    ...mismatches.missingFromUser.map(({ user, event }) => ({
+      updateOne: { filter: { _id: user }, update: { $addToSet: { registeredEvents: event } } }
+    })),
+    ...mismatches.staleUserEntries.map(({ user, event }) => ({
+      updateOne: { filter: { _id: user }, update: { $pull: { registeredEvents: event } } }
+    }))
+  ];
+  const eventOps = mismatches.orphanedRegistrations.map(({ event, user }) => ({
+    updateOne: { filter: { _id: event }, update: { $pull: { registrations: { user } } } }
+  }));
+
+  if (userOps.length > 0) {
+    await User.bulkWrite(userOps, { ordered: false });
+  }
+  if (eventOps.length > 0) {
+    await Event.bulkWrite(eventOps, { ordered: false });
+  }
+
+  return {
+    addedToUsers: mismatches.missingFromUser.length,
+    removedFromUsers: mismatches.staleUserEntries.length,
+    removedFromEvents: mismatches.orphanedRegistrations.length
+  };
+};
+
+module.exports = {
+  registerUser,
+  cancelRegistration,
+  promoteNextWaitlisted,
+  joinWaitlist,
+  leaveWaitlist,
+  setCapacity,
+  findRegistrationMismatches,
+  repairRegistrationMismatches
+};
@@ -0,0 +1,163 @@
+const { once } = require('events');
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const Event = require('../models/Event');
+
+// Export columns in output order. `value` reads from one flattened registration row;
+// new registration fields only need a new entry here to show up in every export format.
+const REGISTRATION_EXPORT_COLUMNS = [
+  { key: 'eventTitle', header: 'Event', value: row => row.eventTitle },
+  { key: 'eventType', header: 'Event Type', value: row => row.eventType },
+  { key: 'eventStartsAt', header: 'Event Start', value: row => row.eventStartsAt },
+  { key: 'eventLocation', header: 'Location', value: row => row.eventLocation },
+  { key: 'name', header: 'Name', value: row => row.name },
+  { key: 'email', header: 'Email', value: row => row.email },
+  { key: 'registeredAt', header: 'Registered At', value: row => row.registeredAt },
+  { key: 'checkedIn', header: 'Checked In', value: row => (row.checkedInAt ? 'yes' : 'no') },
+  { key: 'checkedInAt', header: 'Checked In At', value: row => row.checkedInAt }
+];
+
+// Pick columns from a comma-separated list of keys (all columns when empty)
+const selectColumns = (fields) => {
+  if (!fields) {
+    return REGISTRATION_EXPORT_COLUMNS;
+  }
+  const keys = fields.split(',').map(key => key.trim());
+  return REGISTRATION_EXPORT_COLUMNS.filter(column => keys.includes(column.key));
+};
+
+// Aggregation cursor yielding one flat row per registration, oldest event first.
+// Filters: eventId, type (comma-separated), from/to on the event start time,
+// and eventFilter, an extra event query (e.g. to limit organizers to their own events).
+const registrationCursor = ({ eventId, type, from, to, eventFilter = {} } = {}) => {
+  const match = { ...eventFilter };
+
+  if (eventId) {
+    match._id = new mongoose.Types.ObjectId(eventId);
+  }
+  if (type) {
+    match.type = { $in: type.split(',') };
+  }
+  if (from || to) {
+    match.startsAt = {};
+    if (from) {
+      match.startsAt.$gte = new Date(from);
+    }
+    if (to) {
+      match.startsAt.$lte = new Date(to);
+    }
+  }
+
+  return Event.aggregate([
+    { $match: match },
+    { $sort: { startsAt: 1, _id: 1 } },
+    { $unwind: '$registrations' },
+    {
+      $lookup: {
+        from: 'users',
+        localField: 'registrations.user',
+        foreignField: '_id',
+        pipeline: [{ $project: { name: 1, email: 1 } }],
+        as: 'user'
+      }
+    },
+    { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        _id: 0,
+        eventId: '$_id',
+        eventTitle: '$title',
+        eventType: '$type',
+        eventStartsAt: '$startsAt',
+        eventLocation: '$location',
+        name: '$user.name',
+        email: '$user.email',
+        registeredAt: '$registrations.registeredAt',
+        checkedInAt: '$registrations.checkedInAt'
+      }
+    }
+  ]).cursor({ batchSize: 500 });
+};
+
+const formatCsvValue = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  // Keep spreadsheet apps from evaluating cells as formulas
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const writeLine = async (res, line) => {
+  if (!res.write(line)) {
+    await once(res, 'drain');
+  }
+};
+
+// Stream rows from the cursor to the response as CSV
+const streamCsv = async (cursor, res, columns, fileName) => {
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+
+  await writeLine(res, columns.map(column => formatCsvValue(column.header)).join(',') + '\r\n');
+
+  let count = 0;
+  for await (const row of cursor) {
+    await writeLine(res, columns.map(column => formatCsvValue(column.value(row))).join(',') + '\r\n');
+    count++;
+  }
+
+  res.end();
+  return count;
+};
+
+// Stream rows from the cursor to the response as an XLSX workbook
+const streamXlsx = async (cursor, res, columns, fileName, sheetName) => {
+  res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.set('Content-Disposition', `attachment; filename="${fileName}.xlsx"`);
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false });
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map(column => ({ header: column.header, key: column.key, width: 24 }));
+
+  let count = 0;
+  for await (const row of cursor) {
+    const values = {};
+    columns.forEach(column => {
+      values[column.key] = column.value(row);
+    });
+    sheet.addRow(values).commit();
+    count++;
+  }
+
+  sheet.commit();
+  await workbook.commit();
+  return count;
+};
+
+// Stream an export in the requested format ('csv' or 'xlsx'); sheetName names the XLSX worksheet
+const streamExport = (format, cursor, res, columns, fileName, sheetName) => (
+  format === 'xlsx'
+    ? streamXlsx(cursor, res, columns, fileName, sheetName)
+    : streamCsv(cursor, res, columns, fileName)
+);
+
+// Stream a registration export in the requested format ('csv' or 'xlsx')
+const streamRegistrationExport = (format, cursor, res, columns, fileName) => (
+  streamExport(format, cursor, res, columns, fileName, 'Registrations')
+);
+
+module.exports = {
+  REGISTRATION_EXPORT_COLUMNS,
+  selectColumns,
+  registrationCursor,
+  formatCsvValue,
+  streamExport,
+  streamRegistrationExport
+};
@@ -0,0 +1,72 @@
+const Event = require('../models/Event');
+
+// Overlaps between the events a user is registered for.
+//
+// REGISTRATION_CONFLICT_MODE decides what registering for an overlapping event does:
+//   require_flag  the registration is refused unless the request sets allowConflict (default)
+//   warn          the registration goes through and the overlaps are returned with it
+
+const REGISTRATION_CONFLICT_MODE = process.env.REGISTRATION_CONFLICT_MODE === 'warn' ? 'warn' : 'require_flag';
+
+const overlapMinutes = (a, b) => Math.round(
+  (Math.min(a.endsAt, b.endsAt) - Math.max(a.startsAt, b.startsAt)) / 60000
+);
+
+const eventSummary = (event) => ({
+  _id: event._id,
+  title: event.title,
+  startsAt: event.startsAt,
+  endsAt: event.endsAt,
+  location: event.location
+});
+
+// The user's published registrations overlapping the event, soonest first
+const findScheduleConflicts = async (userId, event) => {
+  const events = await Event.find({
+    _id: { $ne: event._id },
+    'registrations.user': userId,
+    status: 'published',
+    startsAt: { $lt: event.endsAt },
+    endsAt: { $gt: event.startsAt }
+  })
+    .select('title startsAt endsAt location')
+    .sort({ startsAt: 1 });
+
+  return events.map(other => ({ ...eventSummary(other), overlapMinutes: overlapMinutes(event, other) }));
+};
+
+// Overlapping pairs among the given events
+const conflictingPairs = (events) => {
+  const sorted = [...events].sort((a, b) => a.startsAt - b.startsAt);
+  const pairs = [];
+  sorted.forEach((event, index) => {
+    for (const other of sorted.slice(index + 1)) {
+      if (other.startsAt >= event.endsAt) {
+        break;
+      }
+      pairs.push({ first: event, second: other, overlapMinutes: overlapMinutes(event, other) });
+    }
+  });
+  return pairs;
+};
+
+// Overlapping pairs among the user's published registrations that have not ended yet
+const findRegistrationConflicts = async (userId, now) => {
+  const events = await Event.find({
+    'registrations.user': userId,
+    status: 'published',
+    endsAt: { $gt: now }
+  }).select('title startsAt endsAt location');
+
+  return conflictingPairs(events).map(({ first, second, overlapMinutes: minutes }) => ({
+    events: [eventSummary(first), eventSummary(second)],
+    overlapMinutes: minutes
+  }));
+};
+
+module.exports = {
+  REGISTRATION_CONFLICT_MODE,
+  conflictingPairs,
+  findScheduleConflicts,
+  findRegistrationConflicts
+};
@@ -0,0 +1,152 @@
+const Event = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+const { withTransaction } = require('./transaction');
+const { generateOccurrenceDates } = require('./recurrence');
+const { promoteFromWaitlist } = require('./waitlist');
+const { notifyUsers, isRescheduled } = require('./notifications');
+const { checkVenueBookings, rejectsBooking } = require('./venues');
+
+// Fields shared by every occurrence and editable across a series.
+// The date is per occurrence and can only be changed one occurrence at a time.
+const SERIES_FIELDS = ['title', 'description', 'time', 'timezone', 'location', 'venue', 'type', 'capacity'];
+
+// Series fields whose value in the request body differs from the event
+const getSeriesChanges = (event, body) => {
+  const changes = {};
+  SERIES_FIELDS.forEach(field => {
+    if (body[field] !== undefined && String(body[field]) !== String(event[field])) {
+      changes[field] = body[field];
+    }
+  });
+  return changes;
+};
+
+// Create the series and all of its occurrences together.
+// data may carry endTime or durationMinutes for the occurrences' end (see Event#setEnd);
+// lifecycle holds the occurrences' initial status fields (see utils/eventStatus).
+// Returns { series, occurrences, venueIssues }; when venue problems reject the booking
+// (see utils/venues) nothing is saved and only { venueIssues } is returned.
+const createSeries = async (data, recurrence, creatorId, lifecycle = {}) => {
+  const series = new EventSeries({
+    ...data,
+    startDate: data.date,
+    recurrence,
+    creator: creatorId
+  });
+  await series.validate();
+
+  const dates = generateOccurrenceDates(recurrence, data.date);
+  const occurrences = dates.map(date => new Event({
+    title: series.title,
+    description: series.description,
+    date,
+    time: series.time,
+    timezone: series.timezone,
+    location: series.location,
+    venue: series.venue,
+    type: series.type,
+    capacity: series.capacity,
+    creator: creatorId,
+    series: series._id,
+    ...lifecycle
+  }));
+
+  if (data.endTime || data.durationMinutes) {
+    occurrences.forEach(occurrence => occurrence.setEnd(data));
+  }
+
+  // insertMany skips save hooks, so derive startsAt/endsAt up front
+  await Promise.all(occurrences.map(occurrence => occurrence.validate()));
+
+  const venueIssues = await checkVenueBookings(occurrences);
+  if (rejectsBooking(venueIssues)) {
+    return { venueIssues };
+  }
+
+  await withTransaction(async (session) => {
+    await series.save({ session });
+    await Event.insertMany(occurrences, { session });
+  });
+
+  return { series, occurrences, venueIssues };
+};
+
+// Occurrences affected by a "following" or "all" edit of the given occurrence.
+// Cancelled and completed occurrences are never changed.
+const findScopeTargets = (event, scope, now) => {
+  const query = { series: event.series, status: { $in: ['draft', 'published'] } };
+  if (scope === 'following') {
+    query.startsAt = { $gte: event.startsAt };
+  } else {
+    query.startsAt = { $gt: now };
+  }
+  return Event.find(query).sort({ startsAt: 1 });
+};
+
+// Apply changes to several occurrences of a series. Fields overridden on an
+// individual occurrence are kept, except on the occurrence being edited.
+// Returns { updated, venueIssues }, { conflicts } if a capacity would drop below registrations,
+// or { venueIssues } alone when venue problems reject the change (nothing is saved then).
+const updateSeriesOccurrences = async (event, changes, scope, now) => {
+  const targets = await findScopeTargets(event, scope, now);
+
+  const updates = targets.map(target => {
+    const isEdited = target._id.equals(event._id);
+    const fields = Object.keys(changes).filter(field => isEdited || !target.overriddenFields.includes(field));
+    return { target, fields };
+  });
+
+  if (changes.capacity !== undefined) {
+    const conflicts = updates
+      .filter(({ target, fields }) => fields.includes('capacity') && target.registrations.length > Number(changes.capacity))
+      .map(({ target }) => ({ id: target._id, date: target.date, registrations: target.registrations.length }));
+    if (conflicts.length > 0) {
+      return { conflicts };
+    }
+  }
+
+  const changed = updates.filter(({ fields }) => fields.length > 0).map(({ target, fields }) => {
+    const previous = { date: target.date, time: target.time, location: target.location };
+    fields.forEach(field => {
+      target[field] = changes[field];
+    });
+    return { target, previous };
+  });
+
+  const venueIssues = await checkVenueBookings(changed.map(({ target }) => target));
+  if (rejectsBooking(venueIssues)) {
+    return { venueIssues };
+  }
+
+  // Every occurrence is checked before any is written, and all are written together,
+  // so a failure cannot leave the series half-updated
+  await Promise.all(changed.map(({ target }) => target.validate()));
+
+  await withTransaction(async (session) => {
+    for (const { target } of changed) {
+      await target.save({ session });
+    }
+    if (scope === 'all') {
+      await EventSeries.updateOne({ _id: event.series }, { $set: changes }, { session });
+    }
+  });
+
+  const updated = [];
+  for (const { target, previous } of changed) {
+    if (isRescheduled(previous, target)) {
+      await notifyUsers(target.registrations.map(reg => reg.user), 'reschedule', target, { previous });
+    }
+    await promoteFromWaitlist(target);
+
+    updated.push(target);
+  }
+
+  return { updated, venueIssues };
+};
+
+module.exports = {
+  SERIES_FIELDS,
+  getSeriesChanges,
+  createSeries,
+  updateSeriesOccurrences
+};
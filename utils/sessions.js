@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const clock = require('./clock');
+const logger = require('./logger').child({ component: 'sessions' });
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const signAccessToken = (user, session) => jwt.sign(
+  { id: user.id, role: user.role, sid: session.id },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+const newRefreshSecret = () => crypto.randomBytes(32).toString('base64url');
+
+// Refresh tokens look like "<sessionId>.<secret>"; only the secret's hash is stored
+const issueRefreshToken = (session) => {
+  const secret = newRefreshSecret();
+  session.previousTokenHash = session.refreshTokenHash;
+  session.refreshTokenHash = hashToken(secret);
+  return `${session.id}.${secret}`;
+};
+
+// Start a session for a user who just logged in or registered
+const createSession = async (user, req) => {
+  const now = clock.now();
+  const session = new Session({
+    user: user._id,
+    userAgent: req.get('User-Agent'),
+    deviceName: req.body.deviceName,
+    ip: req.ip,
+    lastUsedAt: now,
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  const refreshToken = issueRefreshToken(session);
+  await session.save();
+
+  return { token: signAccessToken(user, session), refreshToken, session };
+};
+
+// Revoke a session whose refresh token was presented after it had been rotated out
+const revokeReusedSession = async (session) => {
+  await Session.updateOne(
+    { _id: session._id, revokedAt: null },
+    { revokedAt: clock.now(), revokedReason: 'refresh_token_reuse' }
+  );
+  logger.warn('Refresh token reuse detected, revoked session', { sessionId: session.id, userId: session.user });
+};
+
+// Exchange a refresh token for a new access/refresh pair.
+// Presenting an already rotated token means it leaked, so the session is revoked.
+// Returns null when the token is not usable.
+const rotateSession = async (refreshToken, user, session) => {
+  const now = clock.now();
+  const [, secret] = String(refreshToken).split('.');
+  const hash = hashToken(secret || '');
+
+  if (!session.isActive(now)) {
+    return null;
+  }
+
+  if (hash !== session.refreshTokenHash) {
+    if (hash === session.previousTokenHash) {
+      await revokeReusedSession(session);
+    }
+    return null;
+  }
+
+  // Swap the hash only if it is still the presented one: of two refreshes with the
+  // same token only the first rotates, and the second counts as reuse
+  const newSecret = newRefreshSecret();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hash, revokedAt: null },
+    { $set: { refreshTokenHash: hashToken(newSecret), previousTokenHash: hash, lastUsedAt: now } },
+    { new: true }
+  );
+  if (!rotated) {
+    await revokeReusedSession(session);
+    return null;
+  }
+
+  return { token: signAccessToken(user, rotated), refreshToken: `${rotated.id}.${newSecret}` };
+};
+
+// Look up the session a refresh token belongs to (including hashes)
+const findSessionByRefreshToken = (refreshToken) => {
+  const [sessionId] = String(refreshToken || '').split('.');
+  if (!/^[a-f0-9]{24}$/.test(sessionId)) {
+    return null;
+  }
+  return Session.findById(sessionId).select('+refreshTokenHash +previousTokenHash');
+};
+
+const revokeSession = async (session, reason) => {
+  if (!session.revokedAt) {
+    session.revokedAt = clock.now();
+    session.revokedReason = reason;
+    await session.save();
+  }
+};
+
+// Revoke every active session of a user, e.g. after a role change or compromise
+const revokeUserSessions = async (userId, reason) => {
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: clock.now(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  findSessionByRefreshToken,
+  revokeSession,
+  revokeUserSessions
+};
@@ -0,0 +1,67 @@
+// Timezone helpers for turning an event's local date + HH:MM time into UTC instants.
+
+const DEFAULT_TIMEZONE = process.env.EVENT_TIMEZONE || 'UTC';
+const DEFAULT_DURATION_MINUTES = 60;
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Milliseconds the given timezone is ahead of UTC at the given instant
+const getTimeZoneOffset = (timestamp, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(timestamp));
+
+  const value = type => Number(parts.find(part => part.type === type).value);
+  const asUTC = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+
+  return asUTC - Math.floor(timestamp / 1000) * 1000;
+};
+
+// Convert a calendar day (Date or YYYY-MM-DD) and HH:MM wall-clock time in timeZone to a UTC Date
+const zonedTimeToUtc = (day, time, timeZone = DEFAULT_TIMEZONE) => {
+  const dayString = day instanceof Date ? day.toISOString().split('T')[0] : String(day).split('T')[0];
+  const [year, month, date] = dayString.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+
+  const wallClock = Date.UTC(year, month - 1, date, hours, minutes);
+  const offset = getTimeZoneOffset(wallClock, timeZone);
+  let utc = wallClock - offset;
+
+  // Re-check the offset at the result in case we crossed a DST transition
+  const correctedOffset = getTimeZoneOffset(utc, timeZone);
+  if (correctedOffset !== offset) {
+    utc = wallClock - correctedOffset;
+  }
+
+  return new Date(utc);
+};
+
+// HH:MM wall-clock time of a UTC instant in timeZone
+const formatZonedTime = (instant, timeZone = DEFAULT_TIMEZONE) => new Intl.DateTimeFormat('en-GB', {
+  timeZone,
+  hourCycle: 'h23',
+  hour: '2-digit',
+  minute: '2-digit'
+}).format(instant);
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DEFAULT_DURATION_MINUTES,
+  isValidTimeZone,
+  zonedTimeToUtc,
+  formatZonedTime
+};
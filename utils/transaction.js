@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const logger = require('./logger').child({ component: 'transaction' });
+
+// Multi-document transactions need a replica set or sharded cluster.
+// The check runs once per process and is cached.
+let transactionsSupported = null;
+
+const supportsTransactions = async () => {
+  if (transactionsSupported === null) {
+    try {
+      const info = await mongoose.connection.db.admin().command({ hello: 1 });
+      transactionsSupported = Boolean(info.setName) || info.msg === 'isdbgrid';
+    } catch (error) {
+      logger.warn('Could not detect deployment type', { err: error });
+      transactionsSupported = false;
+    }
+  }
+  return transactionsSupported;
+};
+
+// Run fn(session) inside a transaction when the deployment supports it,
+// otherwise run fn(null) directly. Callers must pass the session to every query.
+const withTransaction = async (fn) => {
+  if (!(await supportsTransactions())) {
+    return fn(null);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = { supportsTransactions, withTransaction };
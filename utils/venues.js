@@ -0,0 +1,164 @@
+const Event = require('../models/Event');
+const Venue = require('../models/Venue');
+const { zonedTimeToUtc, formatZonedTime } = require('./time');
+
+// Venue bookings: double-booking and room capacity checks, and free slots per day.
+//
+// VENUE_BOOKING_MODE decides what happens when a booking problem is found:
+//   reject  the create or update fails with the problems (default)
+//   warn    the change is saved and the problems are returned alongside it
+
+const VENUE_BOOKING_MODE = process.env.VENUE_BOOKING_MODE === 'warn' ? 'warn' : 'reject';
+
+// Events in these statuses hold their room
+const BOOKING_STATUSES = ['draft', 'published'];
+
+// Location for an event booked into the venue: the given location, or the venue's label.
+// Returns null if the venue does not exist or is inactive.
+const resolveVenueLocation = async (venueId, location) => {
+  const venue = await Venue.findOne({ _id: venueId, active: true }).select('name building');
+  if (!venue) {
+    return null;
+  }
+  return location && String(location).trim() ? location : venue.label;
+};
+
+// Booked events at the venue overlapping [startsAt, endsAt), soonest first
+const findOverlappingBookings = (venueId, startsAt, endsAt, excludeIds = []) => Event.find({
+  venue: venueId,
+  status: { $in: BOOKING_STATUSES },
+  _id: { $nin: excludeIds },
+  startsAt: { $lt: endsAt },
+  endsAt: { $gt: startsAt }
+})
+  .select('title startsAt endsAt status')
+  .sort({ startsAt: 1 });
+
+const overlaps = (a, b) => a.startsAt < b.endsAt && b.startsAt < a.endsAt;
+
+const bookingSummary = (event) => ({
+  _id: event._id,
+  title: event.title,
+  startsAt: event.startsAt,
+  endsAt: event.endsAt,
+  status: event.status
+});
+
+// Fields whose change can create a booking problem
+const BOOKING_FIELDS = ['venue', 'date', 'time', 'timezone', 'endsAt', 'capacity'];
+
+// Booking problems of new or changed event documents before they are saved, e.g. all
+// occurrences of a new series. Saved events whose booking fields did not change are skipped.
+// Events in the batch are checked against each other as well as against saved bookings.
+// Returns [{ event, date, code: 'venue_overlap' | 'venue_capacity', message, ... }].
+const checkVenueBookings = async (events) => {
+  const booked = events.filter(event => (
+    event.venue &&
+    BOOKING_STATUSES.includes(event.status) &&
+    (event.isNew || event.isModified(BOOKING_FIELDS))
+  ));
+  if (booked.length === 0) {
+    return [];
+  }
+
+  // Validation derives startsAt/endsAt from date, time and timezone
+  await Promise.all(booked.map(event => event.validate()));
+
+  const venueIds = [...new Set(booked.map(event => event.venue.toString()))];
+  const venues = new Map(
+    (await Venue.find({ _id: { $in: venueIds } })).map(venue => [venue.id, venue])
+  );
+  const batchIds = booked.map(event => event._id);
+
+  const issues = [];
+  for (const event of booked) {
+    const venue = venues.get(event.venue.toString());
+    if (!venue) {
+      continue;
+    }
+
+    if (event.capacity > venue.capacity) {
+      issues.push({
+        event: event._id,
+        date: event.date,
+        code: 'venue_capacity',
+        message: `Capacity ${event.capacity} is above the room capacity of ${venue.label} (${venue.capacity})`,
+        capacity: event.capacity,
+        venueCapacity: venue.capacity
+      });
+    }
+
+    const conflicts = [
+      ...booked.filter(other => other !== event && other.venue.toString() === venue.id && overlaps(event, other)),
+      ...await findOverlappingBookings(venue._id, event.startsAt, event.endsAt, batchIds)
+    ];
+    if (conflicts.length > 0) {
+      issues.push({
+        event: event._id,
+        date: event.date,
+        code: 'venue_overlap',
+        message: `${venue.label} is already booked at this time`,
+        conflicts: conflicts.map(bookingSummary)
+      });
+    }
+  }
+
+  return issues;
+};
+
+// Whether booking problems should stop the change
+const rejectsBooking = (issues) => issues.length > 0 && VENUE_BOOKING_MODE === 'reject';
+
+// Response body for a saved event, with the booking problems that were let through in warn mode
+const withVenueWarnings = (event, issues) => (
+  issues.length > 0 ? { ...event.toJSON(), venueWarnings: issues } : event
+);
+
+// Bookings and free slots of a venue on a calendar day (YYYY-MM-DD in the venue's timezone)
+// within its opening hours. Slots shorter than minMinutes are left out.
+const venueAvailability = async (venue, day, { minMinutes = 1 } = {}) => {
+  const opensAt = zonedTimeToUtc(day, venue.opensAt, venue.timezone);
+  const closesAt = zonedTimeToUtc(day, venue.closesAt, venue.timezone);
+  const bookings = await findOverlappingBookings(venue._id, opensAt, closesAt);
+
+  const slot = (start, end) => ({
+    startsAt: start,
+    endsAt: end,
+    start: formatZonedTime(start, venue.timezone),
+    end: formatZonedTime(end, venue.timezone),
+    minutes: Math.round((end - start) / 60000)
+  });
+
+  const freeSlots = [];
+  let cursor = opensAt;
+  bookings.forEach(booking => {
+    if (booking.startsAt > cursor) {
+      freeSlots.push(slot(cursor, booking.startsAt));
+    }
+    if (booking.endsAt > cursor) {
+      cursor = booking.endsAt;
+    }
+  });
+  if (cursor < closesAt) {
+    freeSlots.push(slot(cursor, closesAt));
+  }
+
+  return {
+    date: day,
+    timezone: venue.timezone,
+    opensAt,
+    closesAt,
+    bookings: bookings.map(bookingSummary),
+    freeSlots: freeSlots.filter(free => free.minutes >= minMinutes)
+  };
+};
+
+module.exports = {
+  VENUE_BOOKING_MODE,
+  BOOKING_STATUSES,
+  resolveVenueLocation,
+  checkVenueBookings,
+  rejectsBooking,
+  withVenueWarnings,
+  venueAvailability
+};
@@ -0,0 +1,40 @@
+const Event = require('../models/Event');
+const { notifyUsers } = require('./notifications');
+const { recordAudit } = require('./audit');
+const { promoteNextWaitlisted } = require('./registration');
+const logger = require('./logger').child({ component: 'waitlist' });
+
+// Move users from the front of the waitlist into any free seats, one atomic
+// promotion at a time. Refreshes the given event document and returns the promoted user ids.
+const promoteFromWaitlist = async (event) => {
+  const promoted = [];
+
+  let next;
+  while ((next = await promoteNextWaitlisted(event._id))) {
+    promoted.push(next);
+  }
+
+  if (promoted.length === 0) {
+    return promoted;
+  }
+
+  const current = await Event.findById(event._id).select('registrations waitlist');
+  event.set({ registrations: current.registrations, waitlist: current.waitlist });
+  event.unmarkModified('registrations');
+  event.unmarkModified('waitlist');
+
+  await notifyUsers(promoted, 'waitlist_promotion', event);
+
+  await Promise.all(promoted.map(userId => recordAudit(null, {
+    action: 'registration.create',
+    targetType: 'Event',
+    targetId: event._id,
+    subjectUser: userId,
+    metadata: { source: 'waitlist' }
+  })));
+
+  logger.info('Promoted users from waitlist', { eventId: event._id, count: promoted.length });
+  return promoted;
+};
+
+module.exports = { promoteFromWaitlist };
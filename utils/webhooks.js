@@ -0,0 +1,307 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const clock = require('./clock');
+const logger = require('./logger').child({ component: 'webhooks' });
+
+// Outgoing webhooks for event and registration changes.
+//
+// Every change matching a webhook's event filter becomes a WebhookDelivery. The JSON body
+// ({ id, type, createdAt, data }) is POSTed with these headers:
+//   X-Webhook-Event       the change type, e.g. registration.created
+//   X-Webhook-Delivery    the delivery id (redeliveries get a new one; the body id stays the same)
+//   X-Webhook-Signature   t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" with the webhook secret>
+// Any 2xx response counts as delivered. Other responses, timeouts and network errors are
+// retried with exponential backoff; a webhook whose deliveries keep failing is disabled.
+
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6');
+const WEBHOOK_RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS || '30');
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000');
+// Failed deliveries in a row (after all retries) before a webhook is disabled
+const WEBHOOK_DISABLE_AFTER_FAILURES = parseInt(process.env.WEBHOOK_DISABLE_AFTER_FAILURES || '5');
+const WEBHOOK_DELIVERY_RETENTION_DAYS = parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS || '30');
+
+// A claimed delivery is left alone by other runs until the attempt has had time to finish
+const CLAIM_MS = WEBHOOK_TIMEOUT_MS + 60 * 1000;
+const RETRY_BATCH_SIZE = 20;
+const RESPONSE_BODY_LIMIT = 1000;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+const signPayload = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+// Delay before the attempt after the given number of failed ones: base, 2x base, 4x base, ...
+const retryDelayMs = (failedAttempts) => WEBHOOK_RETRY_BASE_SECONDS * 1000 * 2 ** (failedAttempts - 1);
+
+const expiresAt = (now) => (
+  WEBHOOK_DELIVERY_RETENTION_DAYS > 0
+    ? new Date(now.getTime() + WEBHOOK_DELIVERY_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+    : undefined
+);
+
+// Event fields sent in webhook payloads
+const eventData = (event) => ({
+  id: event._id.toString(),
+  title: event.title,
+  type: event.type,
+  status: event.status,
+  startsAt: event.startsAt,
+  endsAt: event.endsAt,
+  timezone: event.timezone,
+  location: event.location,
+  venue: event.venue ? (event.venue._id || event.venue).toString() : undefined,
+  series: event.series ? (event.series._id || event.series).toString() : undefined,
+  capacity: event.capacity,
+  registrations: event.registrations ? event.registrations.length : undefined,
+  availableSpots: event.registrations ? event.availableSpots : undefined,
+  waitlistCount: event.waitlist ? event.waitlist.length : undefined,
+  cancellationReason: event.cancellationReason
+});
+
+// Make one HTTP request for the delivery and describe how it went
+const send = async (webhook, delivery) => {
+  const attempt = { attemptedAt: clock.now() };
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'MosaicEvents-Webhooks/1.0',
+        'X-Webhook-Event': delivery.type,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Signature': `t=${timestamp},v1=${signPayload(webhook.secret, timestamp, delivery.payload)}`
+      },
+      body: delivery.payload,
+      // A redirect is not a delivery
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    attempt.statusCode = response.status;
+    attempt.responseBody = (await response.text()).slice(0, RESPONSE_BODY_LIMIT);
+  } catch (error) {
+    attempt.error = error.name === 'TimeoutError'
+      ? `Timed out after ${WEBHOOK_TIMEOUT_MS} ms`
+      : (error.cause && error.cause.message) || error.message;
+  }
+
+  attempt.responseTimeMs = Date.now() - started;
+  return attempt;
+};
+
+// Count a delivery that ran out of attempts against its webhook, disabling it after too many in a row
+const recordFailedDelivery = async (webhookId, now) => {
+  const webhook = await Webhook.findOneAndUpdate(
+    { _id: webhookId },
+    { $inc: { consecutiveFailures: 1 } },
+    { new: true }
+  );
+
+  if (webhook && webhook.active && webhook.consecutiveFailures >= WEBHOOK_DISABLE_AFTER_FAILURES) {
+    await Webhook.updateOne(
+      { _id: webhook._id, active: true },
+      {
+        $set: {
+          active: false,
+          disabledAt: now,
+          disabledReason: `${webhook.consecutiveFailures} deliveries failed in a row`
+        }
+      }
+    );
+    logger.warn('Webhook disabled after repeated failures', {
+      webhookId: webhook.id,
+      failures: webhook.consecutiveFailures
+    });
+  }
+};
+
+// Attempt a pending delivery that is due. The delivery is claimed first, so a delivery
+// is never sent twice at once. Returns the updated delivery, or null if it was not due.
+const attemptDelivery = async (deliveryId, now = clock.now()) => {
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_MS) } },
+    { new: true }
+  );
+  if (!delivery) {
+    return null;
+  }
+
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  if (!webhook || !webhook.active) {
+    // Nothing is sent to disabled or deleted webhooks; redeliver once the webhook is enabled again
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = undefined;
+    await delivery.save();
+    return delivery;
+  }
+
+  const attempt = await send(webhook, delivery);
+  delivery.attempts.push(attempt);
+  const finishedAt = clock.now();
+
+  if (attempt.statusCode >= 200 && attempt.statusCode < 300) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = finishedAt;
+    delivery.nextAttemptAt = undefined;
+    await delivery.save();
+    await Webhook.updateOne(
+      { _id: webhook._id },
+      { $set: { consecutiveFailures: 0, lastDeliveryAt: finishedAt } }
+    );
+    return delivery;
+  }
+
+  logger.warn('Webhook delivery attempt failed', {
+    webhookId: webhook.id,
+    deliveryId: delivery.id,
+    attempt: delivery.attempts.length,
+    statusCode: attempt.statusCode,
+    error: attempt.error
+  });
+
+  if (delivery.attempts.length < WEBHOOK_MAX_ATTEMPTS) {
+    delivery.nextAttemptAt = new Date(finishedAt.getTime() + retryDelayMs(delivery.attempts.length));
+    await delivery.save();
+    return delivery;
+  }
+
+  delivery.status = 'failed';
+  delivery.nextAttemptAt = undefined;
+  await delivery.save();
+  await recordFailedDelivery(webhook._id, finishedAt);
+  return delivery;
+};
+
+// Make the first attempt without holding up the caller
+const attemptInBackground = (deliveries) => {
+  setImmediate(() => {
+    deliveries.forEach(delivery => {
+      attemptDelivery(delivery._id).catch(error => (
+        logger.error('Error delivering webhook', { err: error, deliveryId: delivery.id })
+      ));
+    });
+  });
+};
+
+const buildPayload = (type, data, now) => JSON.stringify({
+  id: new mongoose.Types.ObjectId().toString(),
+  type,
+  createdAt: now,
+  data
+});
+
+// Queue a change for every active webhook subscribed to its type and start delivering it.
+// Failures are logged and never break the calling request.
+const emitWebhook = async (type, data) => {
+  try {
+    const webhooks = await Webhook.find({ active: true, events: { $in: [type, '*'] } }).select('_id');
+    if (webhooks.length === 0) {
+      return [];
+    }
+
+    const now = clock.now();
+    const payload = buildPayload(type, data, now);
+    const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+      webhook: webhook._id,
+      type,
+      payload,
+      nextAttemptAt: now,
+      expiresAt: expiresAt(now)
+    })));
+
+    attemptInBackground(deliveries);
+    return deliveries;
+  } catch (error) {
+    logger.error('Error queueing webhooks', { err: error, type });
+    return [];
+  }
+};
+
+// type: created | updated | published | cancelled | completed | deleted
+const emitEventWebhook = (type, event) => emitWebhook(`event.${type}`, { event: eventData(event) });
+
+// type: created | cancelled. details are added to the payload, e.g. { source: 'waitlist' }
+const emitRegistrationWebhook = (type, event, userId, details = {}) => emitWebhook(`registration.${type}`, {
+  event: eventData(event),
+  user: { id: userId.toString() },
+  ...details
+});
+
+// Send a delivery again as a new delivery with the same body, and wait for the first attempt
+const redeliver = async (delivery) => {
+  const now = clock.now();
+  const copy = await WebhookDelivery.create({
+    webhook: delivery.webhook,
+    type: delivery.type,
+    payload: delivery.payload,
+    nextAttemptAt: now,
+    redeliveryOf: delivery._id,
+    expiresAt: expiresAt(now)
+  });
+  return (await attemptDelivery(copy._id, now)) || copy;
+};
+
+// Send a ping to one webhook, e.g. to check a new endpoint, and wait for the first attempt
+const sendPing = async (webhook) => {
+  const now = clock.now();
+  const delivery = await WebhookDelivery.create({
+    webhook: webhook._id,
+    type: 'ping',
+    payload: buildPayload('ping', { webhook: { id: webhook._id.toString() } }, now),
+    nextAttemptAt: now,
+    expiresAt: expiresAt(now)
+  });
+  return (await attemptDelivery(delivery._id, now)) || delivery;
+};
+
+// Retry deliveries whose next attempt is due
+const runWebhookRetries = async (now = clock.now()) => {
+  let attempted = 0;
+  let due;
+
+  do {
+    due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+      .sort({ nextAttemptAt: 1 })
+      .limit(RETRY_BATCH_SIZE)
+      .select('_id');
+    const results = await Promise.all(due.map(delivery => attemptDelivery(delivery._id, now)));
+    attempted += results.filter(Boolean).length;
+  } while (due.length === RETRY_BATCH_SIZE);
+
+  if (attempted > 0) {
+    logger.info('Webhook retries ran', { attempted });
+  }
+  return { attempted };
+};
+
+// Run the retries every intervalMs. Failures are logged and retried on the next run.
+const startWebhookScheduler = (intervalMs) => {
+  const timer = setInterval(() => {
+    runWebhookRetries().catch(error => logger.error('Webhook retries failed', { err: error }));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_DISABLE_AFTER_FAILURES,
+  generateSecret,
+  signPayload,
+  retryDelayMs,
+  attemptDelivery,
+  emitWebhook,
+  emitEventWebhook,
+  emitRegistrationWebhook,
+  redeliver,
+  sendPing,
+  runWebhookRetries,
+  startWebhookScheduler
+};